@@ -0,0 +1,109 @@
+// audio-filters.js - Pre-processing applied to the audio before the VAD
+// A chain is a set of ffmpeg filters (high-pass against hum and rumble,
+// low-pass against hiss, afftdn noise reduction and loudnorm loudness
+// normalisation) plus optional GTCRN speech enhancement with sherpa-onnx
+// (see speech-enhancement.js). Presets name common chains; single steps can be
+// overridden per job:
+//
+//   resolveAudioChain("field")                        -> preset as is
+//   resolveAudioChain({ preset: "speech", highpass: 120, denoise: true })
+//
+// This module doesn't load sherpa-onnx, so the web server can validate presets.
+
+// Fields of a chain; null (or false for denoise) leaves a step out
+const EMPTY_CHAIN = {
+  highpass: null, // cut-off in Hz
+  lowpass: null, // cut-off in Hz
+  afftdn: null, // noise floor in dB, e.g. -25
+  loudnorm: null, // integrated loudness target in LUFS, e.g. -16
+  denoise: false, // GTCRN speech enhancement
+};
+
+export const AUDIO_PRESETS = {
+  none: {},
+  // Clean speech with uneven levels
+  speech: { highpass: 80, lowpass: 8000, loudnorm: -16 },
+  // Field recordings: mains hum, wind and low levels
+  field: { highpass: 100, lowpass: 7000, afftdn: -25, loudnorm: -16 },
+  // Speech over music or loud background noise
+  music: { highpass: 120, lowpass: 7000, loudnorm: -16, denoise: true },
+  // Speech enhancement only
+  denoise: { loudnorm: -16, denoise: true },
+};
+
+export const DEFAULT_AUDIO_PRESET = "none";
+
+/**
+ * Resolve a preset name or chain description to a complete chain
+ * @param {string|Object|null} [audio] - Preset name, or `{preset, highpass, lowpass, afftdn, loudnorm, denoise}`
+ * @returns {{highpass: number|null, lowpass: number|null, afftdn: number|null, loudnorm: number|null, denoise: boolean}}
+ * @throws {Error} - On unknown presets and invalid values
+ */
+export function resolveAudioChain(audio = null) {
+  const { preset = DEFAULT_AUDIO_PRESET, ...overrides } = typeof audio === "string" ? { preset: audio } : audio || {};
+  if (!Object.hasOwn(AUDIO_PRESETS, preset)) {
+    throw new Error(`Unknown audio preset "${preset}" (use ${Object.keys(AUDIO_PRESETS).join(", ")})`);
+  }
+  const chain = { ...EMPTY_CHAIN, ...AUDIO_PRESETS[preset] };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!Object.hasOwn(EMPTY_CHAIN, key)) throw new Error(`Unknown audio filter "${key}"`);
+    if (value !== undefined) chain[key] = value;
+  }
+
+  for (const key of ["highpass", "lowpass"]) {
+    if (chain[key] !== null && !(Number(chain[key]) > 0)) {
+      throw new Error(`Invalid ${key} cut-off "${chain[key]}" (use a frequency in Hz)`);
+    }
+  }
+  if (chain.highpass !== null && chain.lowpass !== null && Number(chain.highpass) >= Number(chain.lowpass)) {
+    throw new Error(`The high-pass cut-off (${chain.highpass} Hz) must be below the low-pass one (${chain.lowpass} Hz)`);
+  }
+  // ffmpeg's ranges: afftdn nf -80..-20 dB, loudnorm I -70..-5 LUFS
+  if (chain.afftdn !== null && !(Number(chain.afftdn) >= -80 && Number(chain.afftdn) <= -20)) {
+    throw new Error(`Invalid afftdn noise floor "${chain.afftdn}" (use -80 to -20 dB)`);
+  }
+  if (chain.loudnorm !== null && !(Number(chain.loudnorm) >= -70 && Number(chain.loudnorm) <= -5)) {
+    throw new Error(`Invalid loudnorm target "${chain.loudnorm}" (use -70 to -5 LUFS)`);
+  }
+  chain.denoise = chain.denoise === true;
+  return chain;
+}
+
+/**
+ * The ffmpeg filter graph (`-af`) of a chain
+ * @param {Object} chain - From resolveAudioChain()
+ * @returns {string|null} - null when the chain has no ffmpeg filters
+ */
+export function buildAudioFilter(chain) {
+  const filters = [];
+  if (chain.highpass !== null) filters.push(`highpass=f=${Number(chain.highpass)}`);
+  if (chain.lowpass !== null) filters.push(`lowpass=f=${Number(chain.lowpass)}`);
+  if (chain.afftdn !== null) filters.push(`afftdn=nf=${Number(chain.afftdn)}`);
+  // Last, so it measures the cleaned signal
+  if (chain.loudnorm !== null) filters.push(`loudnorm=I=${Number(chain.loudnorm)}:TP=-1.5:LRA=11`);
+  return filters.length > 0 ? filters.join(",") : null;
+}
+
+/**
+ * Whether a chain changes the audio at all
+ * @param {Object} chain - From resolveAudioChain()
+ * @returns {boolean}
+ */
+export function isAudioChainEmpty(chain) {
+  return buildAudioFilter(chain) === null && !chain.denoise;
+}
+
+/**
+ * Short description of a chain for logs, e.g. "high-pass 80 Hz, loudnorm -16 LUFS, GTCRN denoise"
+ * @param {Object} chain - From resolveAudioChain()
+ * @returns {string}
+ */
+export function describeAudioChain(chain) {
+  const steps = [];
+  if (chain.highpass !== null) steps.push(`high-pass ${chain.highpass} Hz`);
+  if (chain.lowpass !== null) steps.push(`low-pass ${chain.lowpass} Hz`);
+  if (chain.afftdn !== null) steps.push(`afftdn ${chain.afftdn} dB`);
+  if (chain.loudnorm !== null) steps.push(`loudnorm ${chain.loudnorm} LUFS`);
+  if (chain.denoise) steps.push("GTCRN denoise");
+  return steps.length > 0 ? steps.join(", ") : "none";
+}
@@ -0,0 +1,322 @@
+// batch-manifest.js - Batch job manifests for batch.js
+// A manifest lists one job per row, as a JSON array (or {"jobs": [...]}) or a
+// CSV file with a header row. Columns:
+//   file        media file to transcribe (required; relative to the manifest)
+//   model       recognition model (default: picked for `source`, else auto)
+//   source      spoken language as a Google code, or auto (default)
+//   targets     languages to translate the SRT into, separated by spaces, ";" or "|"
+//   formats     subtitle formats (default: srt; srt is added when there are targets)
+//   audioTrack  audio track to transcribe: a track number, a language code or auto
+//   outputDir   directory for the subtitles (relative to the manifest)
+//   bilingual   true, srt or ass for bilingual translations (see srt-gtk.js)
+//   force       transcribe even if the subtitles are up to date
+//   id          optional name of the row in the results report
+// Every row is checked before anything runs. Results are kept in
+// <manifest>.results.json; rows that finished with the same options are skipped
+// when the manifest is run again.
+
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { BILINGUAL_FORMATS, parseFormats } from "./subtitle-formats.js";
+
+export const MANIFEST_COLUMNS = [
+  "id", "file", "model", "source", "targets", "formats", "audioTrack", "outputDir", "bilingual", "force",
+];
+export const ROW_STATUSES = ["pending", "done", "failed", "cancelled"];
+
+// Google language codes: "en", "zh-CN", "haw", ...
+const LANGUAGE_RE = /^[a-z]{2,3}(?:-[a-z\d]{2,4})?$/i;
+// What gensrt.js --audio-track takes
+const AUDIO_TRACK_RE = /^(?:auto|\d+|[a-z]{2,3}(?:-[a-z\d]+)?)$/i;
+// Column names match case-insensitively, with or without "-" and "_" (audio_track, Audio-Track)
+const COLUMN_KEYS = Object.fromEntries(MANIFEST_COLUMNS.map((c) => [c.toLowerCase(), c]));
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields may hold commas, quotes and newlines)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  // Blank lines carry no job
+  return records.filter((r) => r.some((f) => f.trim() !== ""));
+}
+
+/**
+ * Parse manifest text into raw rows
+ * @param {string} text
+ * @param {string} format - "json" or "csv"
+ * @returns {Object[]} - One object per job, keyed by column name
+ * @throws {Error} - If the text can't be parsed
+ */
+export function parseManifest(text, format) {
+  if (format === "json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    const rows = Array.isArray(data) ? data : data?.jobs;
+    if (!Array.isArray(rows)) throw new Error('A JSON manifest is an array of jobs or {"jobs": [...]}');
+    return rows;
+  }
+  if (format === "csv") {
+    const [header, ...records] = parseCsv(text.replace(/^\uFEFF/, ""));
+    if (!header) return [];
+    const names = header.map((h) => h.trim());
+    return records.map((record) => Object.fromEntries(names.map((name, i) => [name, record[i] ?? ""])));
+  }
+  throw new Error(`Unknown manifest format "${format}" (use json or csv)`);
+}
+
+/**
+ * Manifest format from a file name
+ * @param {string} file
+ * @returns {string|null} - "json", "csv" or null
+ */
+export function manifestFormat(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === ".json") return "json";
+  if (extension === ".csv") return "csv";
+  return null;
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+function parseList(value) {
+  if (isBlank(value)) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v).split(/[\s,;|]+/))
+    .filter(Boolean);
+}
+
+function parseFlag(value, column) {
+  if (isBlank(value)) return false;
+  if (typeof value === "boolean") return value;
+  const text = String(value).trim().toLowerCase();
+  if (["true", "yes", "1", "y"].includes(text)) return true;
+  if (["false", "no", "0", "n"].includes(text)) return false;
+  throw new Error(`${column} must be true or false (got "${value}")`);
+}
+
+/**
+ * Key of the options that decide a job's outputs; a finished row with the same
+ * key is not run again
+ * @param {Object} job - From validateManifest()
+ * @returns {string}
+ */
+export function jobKey(job) {
+  const options = [job.file, job.model, job.source, job.targets, job.formats, job.audioTrack, job.outputDir, job.bilingual];
+  return createHash("sha1").update(JSON.stringify(options)).digest("hex").slice(0, 12);
+}
+
+// One row into a job; problems are collected instead of thrown
+async function validateRow(raw, index, { baseDir, models }) {
+  const problems = [];
+  const check = (fn) => {
+    try {
+      return fn();
+    } catch (error) {
+      problems.push(error.message);
+      return null;
+    }
+  };
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { job: null, problems: ["not an object of column values"] };
+  }
+  const row = {};
+  for (const [name, value] of Object.entries(raw)) {
+    const column = COLUMN_KEYS[name.replace(/[-_\s]/g, "").toLowerCase()];
+    if (column) row[column] = value;
+    else if (!isBlank(value)) problems.push(`unknown column "${name}" (columns: ${MANIFEST_COLUMNS.join(", ")})`);
+  }
+
+  let file = null;
+  if (isBlank(row.file)) {
+    problems.push("file is missing");
+  } else {
+    file = path.resolve(baseDir, String(row.file).trim());
+    try {
+      if (!(await fs.stat(file)).isFile()) problems.push(`${row.file} is not a file`);
+    } catch {
+      problems.push(`${row.file} does not exist`);
+    }
+  }
+
+  const source = isBlank(row.source) ? "auto" : String(row.source).trim();
+  if (source !== "auto" && !LANGUAGE_RE.test(source)) problems.push(`invalid source language "${source}"`);
+  const targets = [...new Set(parseList(row.targets))];
+  for (const target of targets.filter((t) => !LANGUAGE_RE.test(t))) problems.push(`invalid target language "${target}"`);
+
+  const audioTrack = isBlank(row.audioTrack) ? null : String(row.audioTrack).trim();
+  if (audioTrack && !AUDIO_TRACK_RE.test(audioTrack)) {
+    problems.push(`invalid audioTrack "${audioTrack}" (use a track number, a language code or auto)`);
+  }
+
+  const model = isBlank(row.model) ? null : String(row.model).trim();
+  if (model && models && !models.includes(model)) {
+    problems.push(`unknown model "${model}" (models: ${models.join(", ")})`);
+  }
+
+  let formats = isBlank(row.formats) ? ["srt"] : check(() => parseFormats(parseList(row.formats)));
+  // Translations are made from the SRT
+  if (formats && targets.length > 0 && !formats.includes("srt")) formats = ["srt", ...formats];
+
+  let bilingual = null;
+  if (!isBlank(row.bilingual) && !/^(?:false|no|0|n)$/i.test(String(row.bilingual).trim())) {
+    const value = String(row.bilingual).trim().toLowerCase();
+    bilingual = ["true", "yes", "1", "y"].includes(value) ? "srt" : value;
+    if (!BILINGUAL_FORMATS.includes(bilingual)) {
+      problems.push(`bilingual must be true or one of ${BILINGUAL_FORMATS.join(", ")} (got "${row.bilingual}")`);
+    }
+    if (targets.length === 0) problems.push("bilingual needs targets");
+  }
+
+  const job = {
+    row: index + 1,
+    id: isBlank(row.id) ? null : String(row.id).trim(),
+    file,
+    model,
+    source,
+    targets,
+    formats,
+    audioTrack,
+    outputDir: isBlank(row.outputDir) ? null : path.resolve(baseDir, String(row.outputDir).trim()),
+    bilingual,
+    force: check(() => parseFlag(row.force, "force")) ?? false,
+  };
+  return { job, problems };
+}
+
+/**
+ * Check every row of a manifest
+ * @param {Object[]} rows - From parseManifest()
+ * @param {Object} [options]
+ * @param {string} [options.baseDir] - Relative paths start here (the manifest's directory)
+ * @param {string[]} [options.models] - Known model names; models are not checked without it
+ * @returns {Promise<{jobs: Object[], problems: string[]}>} - problems has one "Row n: ..." line per problem;
+ *   jobs are only complete when there are none
+ */
+export async function validateManifest(rows, { baseDir = process.cwd(), models = null } = {}) {
+  const jobs = [];
+  const problems = [];
+  if (rows.length === 0) problems.push("The manifest has no jobs");
+  const seen = new Map();
+  for (const [index, raw] of rows.entries()) {
+    const { job, problems: rowProblems } = await validateRow(raw, index, { baseDir, models });
+    const label = `Row ${index + 1}${job?.id ? ` (${job.id})` : ""}`;
+    for (const problem of rowProblems) problems.push(`${label}: ${problem}`);
+    if (!job || rowProblems.length > 0) continue;
+    job.key = jobKey(job);
+    if (seen.has(job.key)) problems.push(`${label}: same job as row ${seen.get(job.key)}`);
+    seen.set(job.key, job.row);
+    jobs.push(job);
+  }
+  return { jobs, problems };
+}
+
+/**
+ * Read and check a manifest file
+ * @param {string} file - .json or .csv
+ * @param {Object} [options] - See validateManifest(); baseDir defaults to the manifest's directory
+ * @returns {Promise<{jobs: Object[], problems: string[]}>}
+ * @throws {Error} - If the file can't be read or parsed
+ */
+export async function loadManifest(file, { models = null } = {}) {
+  const format = manifestFormat(file);
+  if (!format) throw new Error(`${file}: a manifest is a .json or .csv file`);
+  const rows = parseManifest(await fs.readFile(file, "utf8"), format);
+  return validateManifest(rows, { baseDir: path.dirname(path.resolve(file)), models });
+}
+
+/**
+ * Path of the results report of a manifest
+ * @param {string} manifestFile
+ * @returns {string}
+ */
+export function resultsPath(manifestFile) {
+  return path.join(path.dirname(manifestFile), `${path.basename(manifestFile, path.extname(manifestFile))}.results.json`);
+}
+
+/**
+ * Read a results report
+ * @param {string} file
+ * @returns {Promise<Object|null>} - null when there is none (yet)
+ */
+export async function readResults(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rows of an earlier run that need not run again: done with the same options,
+ * and every output still there
+ * @param {Object|null} results - From readResults()
+ * @returns {Promise<Map<string, Object>>} - Earlier row results by jobKey()
+ */
+export async function finishedRows(results) {
+  const finished = new Map();
+  for (const row of results?.rows ?? []) {
+    if (row.status !== "done" || !row.key) continue;
+    const present = await Promise.all((row.outputs ?? []).map((o) => fs.access(o).then(() => true, () => false)));
+    if (present.every(Boolean)) finished.set(row.key, row);
+  }
+  return finished;
+}
+
+/**
+ * Write a results report
+ * @param {string} file
+ * @param {Object} info
+ * @param {string} info.manifest - Manifest file
+ * @param {Object[]} info.rows - Row results, each with a status from ROW_STATUSES
+ * @returns {Promise<Object<string, number>>} - Rows per status
+ */
+export async function writeResults(file, { manifest, rows }) {
+  const summary = Object.fromEntries(ROW_STATUSES.map((status) => [status, 0]));
+  for (const row of rows) summary[row.status]++;
+  summary.skipped = rows.filter((r) => r.skipped).length;
+  const data = { manifest, updatedAt: new Date().toISOString(), summary, rows };
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, `${JSON.stringify(data, null, 2)}\n`, "utf8");
+  await fs.rename(tmp, file);
+  return summary;
+}
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+// batch.js - Run the jobs of a batch manifest (see batch-manifest.js)
+// Every row is transcribed with gensrt.js and its SRT translated with srt-gtk.js
+// into each target language, one row after the other. Progress covers the whole
+// batch; the status and outputs of every row go to <manifest>.results.json, and
+// rows that finished before are skipped when the manifest is run again.
+
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import {
+  finishedRows, loadManifest, readResults, resultsPath, writeResults,
+} from "./batch-manifest.js";
+import { printHelp, usageExit } from "./cli-usage.js";
+import Logger from "./logger.js";
+import { AUTO_MODEL, findModelForLanguage, MODEL_NAMES } from "./modelConfig.js";
+import { getOutputBase } from "./output-meta.js";
+import { createProgressParser, openProgressChannel } from "./progress-channel.js";
+import { getFormatExtension } from "./subtitle-formats.js";
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const CLI_OPTIONS = {
+  help: { type: "boolean", short: "h", description: "Show this help and exit" },
+  report: {
+    type: "string", value: "file",
+    description: "Results report (default: <manifest>.results.json next to the manifest)",
+  },
+  rerun: { type: "boolean", description: "Run rows again even if they finished before" },
+  "dry-run": { type: "boolean", description: "Check the manifest and list what would run, then exit" },
+  "progress-fd": { type: "string", value: "fd", description: "Write NDJSON progress events to this file descriptor" },
+};
+
+// Machine-readable events; enabled once --progress-fd has been parsed
+let progress = openProgressChannel(undefined, "batch");
+
+const HELP = {
+  usage: "node batch.js <manifest.json|manifest.csv> [options]",
+  intro: [
+    "Transcribe and translate the files listed in a manifest, one job per row.",
+    "Columns: file, model, source, targets, formats, audioTrack, outputDir, bilingual, force, id",
+  ],
+};
+
+const exitWithUsage = usageExit({ script: "batch.js", tag: "BATCH", progress: () => progress });
+
+// Model for a row: the one given, else the best one for its source language
+function rowModel(job) {
+  if (job.model) return job.model;
+  if (job.source === "auto") return AUTO_MODEL;
+  return findModelForLanguage(job.source.split("-")[0].toLowerCase()) || AUTO_MODEL;
+}
+
+function transcribeArgs(job, model) {
+  const args = [job.file, "--model", model, "--format", job.formats.join(",")];
+  if (job.audioTrack) args.push("--audio-track", job.audioTrack);
+  if (job.outputDir) args.push("--output-dir", job.outputDir);
+  if (job.force) args.push("--force");
+  return args;
+}
+
+function translateArgs(job, srtPath, target) {
+  const args = [srtPath, job.source, target];
+  if (job.bilingual) args.push("--bilingual-format", job.bilingual);
+  return args;
+}
+
+// The child running now, stopped on SIGINT/SIGTERM
+let current = null;
+
+/**
+ * Run one of the CLIs with its progress channel on fd 3
+ * @param {string} script - e.g. "gensrt.js"
+ * @param {string[]} args
+ * @param {function(Object): void} onEvent - Called with every progress event
+ * @returns {Promise<{code: number|null, signal: string|null}>}
+ */
+function runCli(script, args, onEvent) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(SCRIPT_DIR, script), ...args, "--progress-fd", "3"], {
+      stdio: ["ignore", "inherit", "inherit", "pipe"],
+    });
+    current = child;
+    child.stdio[3].on("data", createProgressParser(onEvent));
+    child.on("error", (error) => {
+      current = null;
+      reject(error);
+    });
+    child.on("close", (code, signal) => {
+      current = null;
+      resolve({ code, signal });
+    });
+  });
+}
+
+const exists = (file) => fs.access(file).then(() => true, () => false);
+
+/**
+ * Transcribe and translate one row
+ * @param {Object} job - From validateManifest()
+ * @param {Object} result - Row result, filled in as the steps finish
+ * @param {function(string, number): void} onStep - Called with the stage and fraction done of the current step
+ * @param {AbortSignal} signal
+ */
+async function runJob(job, result, onStep, signal) {
+  const name = path.basename(job.file);
+  result.model = rowModel(job);
+
+  // Transcription: gensrt.js reports no outputs for files it skips as up to date
+  let error = null;
+  let complete = null;
+  onStep("transcribe", 0);
+  const { code } = await runCli("gensrt.js", transcribeArgs(job, result.model), (event) => {
+    if (event.file && path.resolve(event.file) !== job.file) return;
+    if (event.event === "progress" && !event.stage) onStep("transcribe", (event.percent ?? 0) / 100);
+    else if (event.event === "language") result.language = event.language;
+    else if (event.event === "complete") complete = event;
+    else if (event.event === "error") error = event.message;
+  });
+  if (signal.aborted) return;
+  if (error || code !== 0) throw new Error(error || `gensrt.js exited with code ${code}`);
+  if (complete) {
+    result.outputs.push(...complete.outputs);
+    if (complete.review) result.review = complete.review.report;
+  } else {
+    const outBase = getOutputBase(job.file, { outputDir: job.outputDir });
+    const outputs = job.formats.map((format) => `${outBase}${getFormatExtension(format)}`);
+    const missing = [];
+    for (const output of outputs) if (!(await exists(output))) missing.push(output);
+    if (missing.length > 0) throw new Error(`gensrt.js wrote no ${missing.map((m) => path.basename(m)).join(", ")}`);
+    Logger.log("BATCH", `${name}: subtitles up to date`);
+    result.outputs.push(...outputs);
+  }
+
+  const srtPath = result.outputs.find((o) => o.toLowerCase().endsWith(".srt"));
+  for (const target of job.targets) {
+    if (signal.aborted) return;
+    let translated = null;
+    error = null;
+    onStep(`translate:${target}`, 0);
+    const run = await runCli("srt-gtk.js", translateArgs(job, srtPath, target), (event) => {
+      if (event.event === "progress") onStep(`translate:${target}`, (event.percent ?? 0) / 100);
+      else if (event.event === "complete") translated = event.outputs[0];
+      else if (event.event === "error") error = event.message;
+    });
+    if (signal.aborted) return;
+    if (error || run.code !== 0 || !translated) {
+      throw new Error(`Translation to ${target} failed: ${error || `srt-gtk.js exited with code ${run.code}`}`);
+    }
+    result.translations[target] = translated;
+    result.outputs.push(translated);
+  }
+}
+
+function printSummary(results) {
+  const rows = results.map((r) => [
+    String(r.row),
+    r.id ?? path.basename(r.file),
+    r.skipped ? "skipped" : r.status,
+    r.error ?? `${r.outputs.length} output(s)`,
+  ]);
+  const header = ["Row", "Job", "Status", "Result"];
+  const widths = header.map((h, c) => Math.max(h.length, ...rows.map((row) => row[c].length)));
+  const line = (cells) => cells.map((cell, c) => cell.padEnd(widths[c])).join("  ");
+
+  Logger.log("BATCH", "Summary:");
+  console.log(`   ${line(header)}`);
+  console.log(`   ${widths.map((w) => "-".repeat(w)).join("  ")}`);
+  for (const row of rows) console.log(`   ${line(row)}`);
+}
+
+async function main() {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({ options: CLI_OPTIONS, allowPositionals: true, strict: true }));
+  } catch (error) {
+    exitWithUsage("Invalid arguments provided", error.message || error);
+  }
+  if (values.help) {
+    printHelp(CLI_OPTIONS, HELP);
+    process.exit(0);
+  }
+  try {
+    progress = openProgressChannel(values["progress-fd"], "batch");
+  } catch (error) {
+    exitWithUsage(error.message);
+  }
+
+  const [manifestFile] = positionals;
+  if (!manifestFile || positionals.length > 1) exitWithUsage("Give exactly one manifest file");
+  const manifest = path.resolve(manifestFile);
+  const reportFile = path.resolve(values.report || resultsPath(manifest));
+
+  // Every row is checked before the first one runs
+  let jobs;
+  try {
+    let problems;
+    ({ jobs, problems } = await loadManifest(manifest, { models: [...MODEL_NAMES, AUTO_MODEL] }));
+    if (problems.length > 0) {
+      for (const problem of problems) Logger.error("BATCH", problem);
+      throw new Error(`${problems.length} problem(s) in ${path.basename(manifest)}, nothing was run`);
+    }
+  } catch (error) {
+    Logger.error("BATCH", `❌ ${error.message || error}`);
+    progress.emit("error", { file: manifest, message: error.message || String(error) });
+    process.exit(1);
+  }
+
+  const finished = values.rerun ? new Map() : await finishedRows(await readResults(reportFile));
+  const results = jobs.map((job) => {
+    const earlier = finished.get(job.key);
+    if (earlier) return { ...earlier, row: job.row, id: job.id, skipped: true };
+    return {
+      row: job.row, id: job.id, file: job.file, key: job.key, status: "pending",
+      model: null, language: null, outputs: [], translations: {}, error: null,
+    };
+  });
+  const pending = jobs.filter((job, i) => results[i].status === "pending");
+  Logger.log("BATCH", `${jobs.length} job(s) in ${path.basename(manifest)}, ${pending.length} to run`);
+
+  if (values["dry-run"]) {
+    for (const [i, job] of jobs.entries()) {
+      const steps = [`transcribe (${rowModel(job)}, ${job.formats.join(",")})`, ...job.targets.map((t) => `translate ${t}`)];
+      console.log(
+        `   ${job.row}. ${path.basename(job.file)}: ${results[i].skipped ? "finished before, skipped" : steps.join(" -> ")}`
+      );
+    }
+    console.log(`   Report: ${reportFile}`);
+    process.exit(0);
+  }
+
+  const shutdown = new AbortController();
+  const onSignal = (signal) => {
+    Logger.log("BATCH", `Received ${signal}, stopping...`);
+    shutdown.abort();
+    if (current) current.kill("SIGTERM");
+  };
+  process.on("SIGINT", () => onSignal("SIGINT"));
+  process.on("SIGTERM", () => onSignal("SIGTERM"));
+
+  // One step per transcription and per translation
+  const totalSteps = pending.reduce((sum, job) => sum + 1 + job.targets.length, 0);
+  let doneSteps = 0;
+  let lastPercent = -1;
+  const startTime = Date.now();
+
+  progress.emit("start", { file: manifest, rows: jobs.length, pending: pending.length });
+  for (const [i, job] of jobs.entries()) {
+    const result = results[i];
+    if (result.status !== "pending") continue;
+    if (shutdown.signal.aborted) break;
+
+    Logger.processStart("BATCH", path.basename(job.file), `(row ${job.row}/${jobs.length})`);
+    const rowSteps = 1 + job.targets.length;
+    let rowStep = -1;
+    let lastStage = null;
+    const onStep = (stage, fraction) => {
+      if (stage !== lastStage) {
+        rowStep++;
+        lastStage = stage;
+      }
+      const percent = totalSteps > 0 ? Math.floor(((doneSteps + rowStep + fraction) / totalSteps) * 100) : 100;
+      if (percent === lastPercent) return;
+      lastPercent = percent;
+      progress.emit("progress", {
+        file: manifest, stage, row: job.row, percent, processed: doneSteps + rowStep, total: totalSteps,
+        elapsed: (Date.now() - startTime) / 1000,
+      });
+    };
+
+    const rowStart = Date.now();
+    try {
+      await runJob(job, result, onStep, shutdown.signal);
+      result.status = shutdown.signal.aborted ? "cancelled" : "done";
+    } catch (error) {
+      result.status = "failed";
+      result.error = error.message || String(error);
+    }
+    result.elapsed = Math.round((Date.now() - rowStart) / 100) / 10;
+    doneSteps += rowSteps;
+    await writeResults(reportFile, { manifest, rows: results });
+
+    if (result.status === "done") {
+      Logger.processComplete("BATCH", path.basename(job.file), `(row ${job.row}/${jobs.length})`);
+      progress.emit("complete", { file: job.file, row: job.row, outputs: result.outputs });
+    } else if (result.status === "failed") {
+      Logger.processError("BATCH", path.basename(job.file), result.error);
+      progress.emit("error", { file: job.file, row: job.row, message: result.error });
+    }
+  }
+
+  const summary = await writeResults(reportFile, { manifest, rows: results });
+  printSummary(results);
+  Logger.log("BATCH", `Report: ${reportFile}`);
+  if (shutdown.signal.aborted) {
+    Logger.log("BATCH", "Batch cancelled; run the manifest again to continue");
+    progress.emit("cancelled", { file: manifest });
+    process.exit(0);
+  }
+  const message = `${summary.done} done (${summary.skipped} skipped), ${summary.failed} failed`;
+  if (summary.failed > 0) Logger.warn("BATCH", `Batch finished: ${message}`);
+  else Logger.success("BATCH", `✅ Batch finished: ${message}`);
+  progress.emit("complete", { file: manifest, outputs: [reportFile], summary });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
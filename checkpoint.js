@@ -0,0 +1,139 @@
+// checkpoint.js - Resume support for interrupted transcriptions
+// A sidecar `<output>.checkpoint.json` holds the segments decoded so far and the
+// audio offset up to which everything has been decoded. A rerun on the same,
+// unchanged input with the same model and decoding settings seeks ffmpeg to that
+// offset and continues.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import Logger from "./logger.js";
+import { Segment } from "./segment.js";
+
+const CHECKPOINT_VERSION = 2;
+
+/**
+ * Path of the checkpoint sidecar for an output base path
+ * @param {string} outBase - Output path without extension
+ * @returns {string}
+ */
+export function checkpointPath(outBase) {
+  return `${outBase}.checkpoint.json`;
+}
+
+/**
+ * Whether a checkpoint exists for an output base path
+ * @param {string} outBase - Output path without extension
+ * @returns {Promise<boolean>}
+ */
+export async function hasCheckpoint(outBase) {
+  try {
+    await fs.access(checkpointPath(outBase));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Save a checkpoint atomically (write to a temp file, then rename)
+ * @param {string} outBase - Output path without extension
+ * @param {Object} state
+ * @param {string} state.inputFile - Media file being transcribed
+ * @param {string} state.model - Model name
+ * @param {number|null} [state.audioTrack] - Audio track being transcribed
+ * @param {Array<{start: number, end: number|null}>|null} [state.ranges] - Time ranges being transcribed
+ * @param {Object} [state.settings] - Other options that change the decoded text (audio filters,
+ *   hotwords, ...), as plain JSON values
+ * @param {number} state.offset - Seconds of audio fully decoded
+ * @param {Segment[]} state.segments - Segments decoded so far
+ */
+export async function saveCheckpoint(outBase, { inputFile, model, audioTrack = null, ranges = null, settings = {}, offset, segments }) {
+  const stat = await fs.stat(inputFile);
+  const data = {
+    version: CHECKPOINT_VERSION,
+    input: path.resolve(inputFile),
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    model,
+    audioTrack,
+    ranges,
+    settings,
+    offset,
+    savedAt: new Date().toISOString(),
+    segments: segments.map((s) => ({
+      start: s.start,
+      duration: s.duration,
+      text: s.text,
+      words: s.words || [],
+      speaker: s.speaker ?? null,
+      // Issues found by segment-review.js, when reviewing
+      review: s.review,
+    })),
+  };
+  const file = checkpointPath(outBase);
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data), "utf8");
+  await fs.rename(tmp, file);
+}
+
+// Name of the first decoding setting that differs between two settings objects
+function changedSetting(saved, current) {
+  const names = new Set([...Object.keys(saved), ...Object.keys(current)]);
+  return [...names].find((name) => JSON.stringify(saved[name] ?? null) !== JSON.stringify(current[name] ?? null));
+}
+
+/**
+ * Load a checkpoint if it belongs to this (unchanged) input, model, audio track, time ranges and settings
+ * @param {string} outBase - Output path without extension
+ * @param {string} inputFile - Media file about to be transcribed
+ * @param {string} model - Model name
+ * @param {number|null} [audioTrack] - Audio track about to be transcribed
+ * @param {Array<{start: number, end: number|null}>|null} [ranges] - Time ranges about to be transcribed
+ * @param {Object} [settings] - Decoding settings about to be used (see saveCheckpoint())
+ * @returns {Promise<{offset: number, segments: Segment[]}|null>}
+ */
+export async function loadCheckpoint(outBase, inputFile, model, audioTrack = null, ranges = null, settings = {}) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(checkpointPath(outBase), "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      Logger.warn("TRANSCRIBE", `Ignoring unreadable checkpoint: ${error.message || error}`);
+    }
+    return null;
+  }
+
+  const stat = await fs.stat(inputFile);
+  const setting = changedSetting(data.settings ?? {}, settings);
+  const mismatch =
+    data.version !== CHECKPOINT_VERSION ? "checkpoint version" :
+    data.input !== path.resolve(inputFile) ? "input path" :
+    data.size !== stat.size || data.mtimeMs !== stat.mtimeMs ? "input file changed" :
+    data.model !== model ? `model (${data.model})` :
+    (data.audioTrack ?? null) !== audioTrack ? `audio track (${data.audioTrack})` :
+    JSON.stringify(data.ranges ?? null) !== JSON.stringify(ranges) ? "time ranges" :
+    setting ? `${setting} setting` :
+    null;
+  if (mismatch) {
+    Logger.warn("TRANSCRIBE", `Ignoring checkpoint for ${path.basename(inputFile)}: ${mismatch} differs`);
+    return null;
+  }
+
+  return {
+    offset: Number(data.offset) || 0,
+    segments: (data.segments || []).map((s) => {
+      const segment = new Segment(s.start, s.duration, s.text, s.words || []);
+      segment.speaker = s.speaker ?? null;
+      if (s.review) segment.review = s.review;
+      return segment;
+    }),
+  };
+}
+
+/**
+ * Delete the checkpoint sidecar (after a completed run)
+ * @param {string} outBase - Output path without extension
+ */
+export async function removeCheckpoint(outBase) {
+  await fs.unlink(checkpointPath(outBase)).catch(() => {});
+}
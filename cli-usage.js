@@ -0,0 +1,49 @@
+// cli-usage.js - --help text and usage errors shared by the CLIs
+// Each CLI declares its options as a parseArgs table with two extra fields:
+// `value` names the argument in --help and `description` explains the option.
+
+import Logger from "./logger.js";
+
+/**
+ * Print --help: the usage line, a few lines about the tool and one row per option
+ * @param {Object} options - parseArgs option table with `value` and `description`
+ * @param {Object} text
+ * @param {string} text.usage - e.g. "node srt-timing.js <file.srt> [options]"
+ * @param {string[]} text.intro - Lines between the usage line and the options
+ */
+export function printHelp(options, { usage, intro }) {
+  const rows = Object.entries(options).map(([name, opt]) => [
+    `${opt.short ? `-${opt.short}, ` : "    "}--${name}${opt.value ? ` <${opt.value}>` : ""}`,
+    opt.description,
+  ]);
+  const width = Math.max(...rows.map(([flags]) => flags.length));
+  console.log(
+    [
+      `Usage: ${usage}`,
+      "",
+      ...intro,
+      "",
+      "Options:",
+      ...rows.map(([flags, description]) => `  ${flags.padEnd(width)}  ${description}`),
+    ].join("\n")
+  );
+}
+
+/**
+ * The usage error handler of a CLI: reports the problem as an error event and
+ * in the log, points at --help and exits with code 1
+ * @param {Object} cli
+ * @param {string} cli.script - e.g. "batch.js"
+ * @param {string} cli.tag - Logger component
+ * @param {function(): {emit: function(string, Object): void}} cli.progress - The progress channel in use
+ *   (CLIs replace theirs once --progress-fd has been parsed)
+ * @returns {function(string, string=): void} - Called with a message and an optional detail
+ */
+export function usageExit({ script, tag, progress }) {
+  return (message, detail) => {
+    progress().emit("error", { file: null, message: detail ? `${message}: ${detail}` : message });
+    Logger.error(tag, message, ...(detail ? [detail] : []));
+    Logger.error(tag, `Run \`node ${script} --help\` for usage.`);
+    process.exit(1);
+  };
+}
@@ -0,0 +1,145 @@
+// diarization.js - Speaker diarization with sherpa-onnx OfflineSpeakerDiarization
+// A pyannote segmentation model finds speaker turns and a speaker embedding
+// model clusters them into speakers. Diarization needs the whole recording, so
+// it runs as a separate pass before transcription; the resulting turns are then
+// used to tag every decoded word and segment with a speaker.
+
+import { spawn } from "node:child_process";
+import path from "node:path";
+import sherpa_onnx from "sherpa-onnx-node";
+
+export const DEFAULT_DIARIZATION = {
+  segmentationModel: "./models/sherpa-onnx-pyannote-segmentation-3-0/model.onnx",
+  embeddingModel: "./models/3dspeaker_speech_eres2net_base_sv_zh-cn_3dspeaker_16k.onnx",
+  // Used when the number of speakers is unknown; smaller values give more speakers
+  threshold: 0.5,
+  minDurationOn: 0.3,
+  minDurationOff: 0.5,
+  numThreads: 1,
+};
+
+/**
+ * Create a diarizer
+ * @param {Object} [options] - See DEFAULT_DIARIZATION
+ * @param {number} [options.numSpeakers] - Expected number of speakers (0 = detect)
+ * @returns {Object} - sherpa-onnx OfflineSpeakerDiarization
+ */
+export function createDiarizer(options = {}) {
+  const opts = { ...DEFAULT_DIARIZATION, ...options };
+  return new sherpa_onnx.OfflineSpeakerDiarization({
+    segmentation: {
+      pyannote: { model: path.resolve(opts.segmentationModel) },
+      numThreads: opts.numThreads,
+    },
+    embedding: {
+      model: path.resolve(opts.embeddingModel),
+      numThreads: opts.numThreads,
+    },
+    clustering: {
+      numClusters: opts.numSpeakers > 0 ? opts.numSpeakers : -1,
+      threshold: opts.threshold,
+    },
+    minDurationOn: opts.minDurationOn,
+    minDurationOff: opts.minDurationOff,
+  });
+}
+
+/**
+ * Decode a whole audio track to mono float samples
+ * @param {string} ffmpegPath - ffmpeg binary
+ * @param {string} file - Media file
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate] - Output sample rate (default 16000)
+ * @param {number|null} [options.track] - Audio track (ffmpeg `-map 0:a:<track>`)
+ * @param {function(import("node:child_process").ChildProcess): void} [options.onSpawn] - Gets the
+ *   ffmpeg process, e.g. to stop it on shutdown
+ * @returns {Promise<Float32Array>}
+ */
+export function decodeAudio(ffmpegPath, file, { sampleRate = 16000, track = null, onSpawn } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let stderr = "";
+    const ffmpeg = spawn(ffmpegPath, [
+      "-i", file,
+      ...(track !== null ? ["-map", `0:a:${track}`] : []),
+      "-f", "s16le",
+      "-ac", "1",
+      "-ar", String(sampleRate),
+      "-",
+    ]);
+    if (onSpawn) onSpawn(ffmpeg);
+    ffmpeg.stdout.on("data", (chunk) => chunks.push(chunk));
+    ffmpeg.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+    ffmpeg.on("error", reject);
+    ffmpeg.on("close", (code) => {
+      if (code !== 0) {
+        reject(new Error(`FFmpeg exited with code ${code}: ${stderr.trim()}`));
+        return;
+      }
+      const pcm = Buffer.concat(chunks);
+      const samples = new Float32Array(Math.floor(pcm.length / 2));
+      for (let i = 0; i < samples.length; i++) samples[i] = pcm.readInt16LE(i * 2) / 32768;
+      resolve(samples);
+    });
+  });
+}
+
+/**
+ * Find speaker turns in a recording
+ * @param {Object} diarizer - From createDiarizer()
+ * @param {Float32Array} samples - Mono samples at diarizer.sampleRate
+ * @returns {Array<{start: number, end: number, speaker: number}>} - Turns sorted by start
+ */
+export function diarize(diarizer, samples) {
+  const turns = diarizer.process(samples) || [];
+  return turns
+    .map((t) => ({ start: t.start, end: t.end, speaker: t.speaker }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Speaker talking most during an interval; the nearest turn wins when none overlaps
+ * @param {Array<{start: number, end: number, speaker: number}>} turns
+ * @param {number} start
+ * @param {number} end
+ * @returns {number|null}
+ */
+export function speakerAt(turns, start, end) {
+  const overlap = new Map();
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const turn of turns) {
+    const shared = Math.min(end, turn.end) - Math.max(start, turn.start);
+    if (shared > 0) {
+      overlap.set(turn.speaker, (overlap.get(turn.speaker) || 0) + shared);
+    } else {
+      const distance = Math.max(turn.start - end, start - turn.end);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = turn.speaker;
+      }
+    }
+  }
+  if (overlap.size === 0) return nearest;
+  return [...overlap.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Tag a segment and each of its words with a speaker. A single word whose
+ * speaker differs from both (agreeing) neighbours is treated as noise.
+ * @param {import("./segment.js").Segment} segment
+ * @param {Array<{start: number, end: number, speaker: number}>} turns
+ */
+export function assignSpeakers(segment, turns) {
+  if (turns.length === 0) return;
+  segment.speaker = speakerAt(turns, segment.start, segment.end);
+  const words = segment.words || [];
+  const speakers = words.map((w) => speakerAt(turns, w.start, w.end));
+  words.forEach((word, i) => {
+    const before = speakers[i - 1];
+    const after = speakers[i + 1];
+    word.speaker = before !== undefined && before === after ? before : speakers[i];
+  });
+}
@@ -1,492 +1,836 @@
 #!/usr/bin/env node
-import { spawn } from "node:child_process";
+// gensrt.js - Command line front end of the transcription library (transcribe.js)
+// Parses the options, finds the files to transcribe, runs them in a bounded
+// worker pool with a progress bar each and turns Ctrl+C into a cancellation.
+
 import fs from "node:fs/promises";
 import path from "node:path";
 import chalk from "chalk";
+import { printHelp, usageExit } from "./cli-usage.js";
 import Logger from "./logger.js";
 import ffmpegInstaller from "@ffmpeg-installer/ffmpeg";
 import ffprobeInstaller from "@ffprobe-installer/ffprobe";
-import sherpa_onnx from "sherpa-onnx-node";
 import cliProgress from "cli-progress";
-import { getModel } from "./modelConfig.js";
+import { parseArgs } from "node:util";
+import { DEFAULT_MODEL, MODEL_NAMES, getModel, hotwordSupport } from "./modelConfig.js";
+import { SUBTITLE_FORMATS, getFormatExtension, parseFormats } from "./subtitle-formats.js";
+import { DEFAULT_CUE_OPTIONS, normalizeCueOptions } from "./segmentation.js";
+import { findMediaFiles } from "./media-scan.js";
+import { describeAudioStream, hasVideoStream, normalizeLanguage } from "./media-probe.js";
+import {
+  AUTO_MODEL, checkOutputs, compareAudioChains, createConfig, getDuration, getOutputBase, transcribe,
+} from "./transcribe.js";
+import { openProgressChannel } from "./progress-channel.js";
+import { resolveHotwords } from "./hotwords.js";
+import { PUNCTUATION_MODES } from "./punctuation.js";
+import { loadTextRules } from "./text-rules.js";
+import { describeRanges, normalizeRanges } from "./time-ranges.js";
+import { AUDIO_PRESETS, DEFAULT_AUDIO_PRESET, describeAudioChain, isAudioChainEmpty, resolveAudioChain } from "./audio-filters.js";
+import { readOutputMeta } from "./output-meta.js";
+import { REVIEW_ACTIONS, REVIEW_MARK, reviewPath } from "./segment-review.js";
+import {
+  DEFAULT_BURN, MUX_CONTAINERS, MUX_MODES, burnSubtitles, defaultContainer, findSubtitleTracks, muxOutputPath,
+  muxSubtitles,
+} from "./mux.js";
 import os from "os";
 
 const ffmpegPath = ffmpegInstaller.path;
 const ffprobePath = ffprobeInstaller.path;
 
-// Track active processes for proper cleanup
-let activeFfmpegProcess = null;
-let cancelTranscription = false;
-
-// CLI argument parsing
-const args = process.argv.slice(2);
-const inputPath = args[0];
-const modelFlagIndex = args.indexOf("--model");
-const modelName = modelFlagIndex !== -1 ? args[modelFlagIndex + 1] : null;
-const uploadedFlagIndex = args.indexOf("--uploaded");
-const isUploadedFile = uploadedFlagIndex !== -1;
-
-if (!inputPath || (modelFlagIndex !== -1 && !modelName)) {
-  Logger.error("TRANSCRIBE", "Invalid arguments provided");
-  process.exit(1);
-}
-
-// Load model config
-let model;
-try {
-  model = getModel(modelName);
-} catch (error) {
-  Logger.error("TRANSCRIBE", "Failed to load model config", error.message || error);
-  process.exit(1);
-}
+// Aborted on SIGINT/SIGTERM; every running job stops and keeps its checkpoint
+const shutdown = new AbortController();
 
-// Configuration with optimized defaults
+// Library configuration (command line options below override it) plus the
+// settings of the folder runner
 const config = {
-  sampleRate: 16000,
-  featDim: 80,
-  bufferSizeInSeconds: 5,
-  maxFileSizeMB: 500,
-  tempDir: path.join(os.tmpdir(), "sherpa-temp"),
+  ...createConfig(),
   maxConcurrent: Math.max(1, os.cpus().length - 1),
+  // Working memory per job on top of the model weights (audio buffers, VAD, ffmpeg)
+  jobOverheadMB: 200,
+};
 
-  vad: {
-    sileroVad: {
-      model: path.join(model.modelDir, "silero_vad.onnx"),
-      threshold: 0.5,
-      minSpeechDuration: 0.25,
-      minSilenceDuration: 0.5,
-      windowSize: 512,
-    },
-    sampleRate: 16000,
-    debug: false,
-    numThreads: 1,
-  },
 
-  memory: {
-    maxHeapMB: 1024,
-    gcInterval: 10000,
+// Command line options. `value` names the argument in --help; `number` selects
+// the validation applied to numeric values ("count", "depth", "positive" or "probability").
+const CLI_OPTIONS = {
+  help: { type: "boolean", short: "h", description: "Show this help and exit" },
+  model: {
+    type: "string", short: "m", value: "name", default: DEFAULT_MODEL,
+    description: `Recognition model from models.json or ./models: ${MODEL_NAMES.join(", ") || "(none usable)"}, ` +
+      `or ${AUTO_MODEL} to detect the ` +
+      `spoken language of each file and use the best model for it (default: ${DEFAULT_MODEL})`,
+  },
+  format: {
+    type: "string", short: "f", value: "list", multiple: true,
+    description: `Output formats, comma separated or repeated: ${SUBTITLE_FORMATS.join(", ")} (default: srt)`,
+  },
+  "output-dir": {
+    type: "string", short: "o", value: "dir",
+    description: "Write subtitles to this directory instead of next to each media file",
+  },
+  force: { type: "boolean", description: "Transcribe files even if their subtitles already exist" },
+  skip: {
+    type: "string", value: "mode", default: "smart",
+    description: "When to skip files with subtitles: smart (redo if older than the media or made " +
+      "with another model) or exists (default: smart)",
+  },
+  recursive: { type: "boolean", short: "r", description: "Also scan subdirectories" },
+  "max-depth": {
+    type: "string", value: "n", number: "depth",
+    description: "Subdirectory levels to scan (implies --recursive)",
+  },
+  include: {
+    type: "string", value: "glob", multiple: true,
+    description: "Only transcribe files matching this pattern (repeatable, e.g. \"*.mkv\")",
+  },
+  exclude: {
+    type: "string", value: "glob", multiple: true,
+    description: "Skip files and directories matching this pattern (repeatable, e.g. \"extras\")",
+  },
+  sniff: { type: "boolean", description: "Detect media without a known extension by probing it with ffprobe" },
+  "audio-track": {
+    type: "string", short: "a", value: "track", default: "auto",
+    description: "Audio track to transcribe: a track number (0 = first), a language code such as " +
+      "\"ja\", or auto to pick a track in one of the model's languages (default: auto)",
+  },
+  "dry-run": { type: "boolean", description: "List the files that would be transcribed and their outputs, then exit" },
+  jobs: {
+    type: "string", short: "j", value: "n", number: "count",
+    description: `Files transcribed at once (default: ${config.maxConcurrent}, capped by free memory)`,
+  },
+  threads: {
+    type: "string", short: "t", value: "n", number: "count",
+    description: `Recognizer threads per file (default: ${config.numThreads})`,
+  },
+  "vad-threshold": {
+    type: "string", value: "p", number: "probability",
+    description: `Speech probability needed to start a segment (default: ${config.vad.sileroVad.threshold})`,
+  },
+  "min-speech": {
+    type: "string", value: "sec", number: "positive",
+    description: `Shorter speech is ignored (default: ${config.vad.sileroVad.minSpeechDuration})`,
+  },
+  "min-silence": {
+    type: "string", value: "sec", number: "positive",
+    description: `Silence that ends a speech segment (default: ${config.vad.sileroVad.minSilenceDuration})`,
+  },
+  "buffer-size": {
+    type: "string", value: "sec", number: "positive",
+    description: `Audio buffered for the VAD (default: ${config.bufferSizeInSeconds})`,
+  },
+  "max-heap": {
+    type: "string", value: "mb", number: "count",
+    description: `Recognizer heap limit where supported (default: ${config.memory.maxHeapMB})`,
+  },
+  "checkpoint-interval": {
+    type: "string", value: "sec", number: "positive",
+    description: `How often the resume checkpoint is saved (default: ${config.checkpointIntervalMs / 1000})`,
+  },
+  "max-chars": { type: "string", value: "n", description: `Characters per cue line (default: ${DEFAULT_CUE_OPTIONS.maxCharsPerLine})` },
+  "max-lines": { type: "string", value: "n", description: `Lines per cue (default: ${DEFAULT_CUE_OPTIONS.maxLines})` },
+  "max-cps": { type: "string", value: "n", description: `Reading speed in characters per second (default: ${DEFAULT_CUE_OPTIONS.maxCps})` },
+  "min-duration": { type: "string", value: "sec", description: `Shortest cue (default: ${DEFAULT_CUE_OPTIONS.minDuration})` },
+  "max-duration": { type: "string", value: "sec", description: `Longest cue (default: ${DEFAULT_CUE_OPTIONS.maxDuration})` },
+  "max-pause": { type: "string", value: "sec", description: `Pause that always starts a new cue (default: ${DEFAULT_CUE_OPTIONS.maxPause})` },
+  diarize: { type: "boolean", description: "Label cues with the speaker (Speaker 1, Speaker 2, ...)" },
+  speakers: {
+    type: "string", value: "n", number: "count",
+    description: "Expected number of speakers (implies --diarize; default: detect)",
+  },
+  "speaker-threshold": {
+    type: "string", value: "p", number: "probability",
+    description: `Clustering threshold when the speaker count is unknown; lower finds more speakers ` +
+      `(default: ${config.diarization.threshold})`,
+  },
+  hotwords: {
+    type: "string", value: "list", multiple: true,
+    description: "Phrases to bias decoding towards, comma separated or repeated; \"phrase :3\" boosts " +
+      "one phrase more (transducer models only)",
+  },
+  "hotwords-file": {
+    type: "string", value: "file", multiple: true,
+    description: "Read hotwords from a file, one phrase per line (repeatable)",
+  },
+  vocabulary: {
+    type: "string", value: "name", multiple: true,
+    description: "Add the hotwords of a saved profile, vocabularies/<name>.txt (repeatable)",
+  },
+  "hotwords-score": {
+    type: "string", value: "n", number: "positive",
+    description: `How strongly hotwords are preferred (default: ${config.hotwords.score})`,
+  },
+  punctuation: {
+    type: "string", value: "mode", default: "auto",
+    description: "Restore punctuation and casing: auto (for models marked in the registry), context " +
+      "(looking at the previous segment too), segment (each segment alone) or off (default: auto)",
+  },
+  "punctuation-model": {
+    type: "string", value: "file",
+    description: `CT-Transformer punctuation model (default: ${config.punctuation.model})`,
+  },
+  "text-rules": {
+    type: "string", value: "profile", multiple: true,
+    description: "Apply the rules of text-rules/<profile>.json (replacements, fillers, profanity, " +
+      "punctuation width, numbers, script) to the transcript (repeatable, applied in order)",
+  },
+  review: {
+    type: "boolean",
+    description: "Check every segment for repetition loops, implausible reading speed, near-silent audio and " +
+      "text in the wrong script, and list the suspicious ones in <name>.review.json",
+  },
+  "review-action": {
+    type: "string", value: "action",
+    description: `What to do with suspicious segments in the subtitles: report (keep them), mark (prefix ` +
+      `them with "${REVIEW_MARK.trim()}") or drop (implies --review; default: report)`,
+  },
+  mux: {
+    type: "string", value: "mode",
+    description: "Also write a video with the subtitles: soft (selectable tracks, including srt-gtk.js " +
+      "translations, as <name>.subbed.mkv/mp4) or hard (burned in, as <name>.hardsub.mkv/mp4)",
+  },
+  "mux-format": {
+    type: "string", value: "container",
+    description: "Container of the --mux video: mkv or mp4 (default: mp4 for MP4/MOV sources, else mkv)",
+  },
+  "burn-style": {
+    type: "string", value: "style",
+    description: "ASS style override for --mux hard, e.g. \"FontName=Arial,FontSize=24,Outline=2\"",
+  },
+  "burn-language": {
+    type: "string", value: "lang",
+    description: "With --mux hard, burn the translation in this language (<name>-<lang>.srt) instead of the transcript",
+  },
+  "audio-preset": {
+    type: "string", value: "name", default: DEFAULT_AUDIO_PRESET,
+    description: `Clean up the audio before the VAD: ${Object.keys(AUDIO_PRESETS).join(", ")} ` +
+      `(default: ${DEFAULT_AUDIO_PRESET}); the flags below change single steps`,
+  },
+  highpass: { type: "string", value: "Hz", number: "positive", description: "High-pass filter cut-off, against hum and rumble" },
+  lowpass: { type: "string", value: "Hz", number: "positive", description: "Low-pass filter cut-off, against hiss" },
+  afftdn: { type: "string", value: "dB", description: "FFT noise reduction with this noise floor (-80 to -20, e.g. -25)" },
+  loudnorm: { type: "string", value: "LUFS", description: "Normalise loudness to this target (-70 to -5, e.g. -16)" },
+  denoise: { type: "boolean", description: "Enhance speech with the sherpa-onnx GTCRN model before the VAD" },
+  "denoise-model": {
+    type: "string", value: "file",
+    description: `GTCRN speech enhancement model (default: ${config.denoise.model})`,
+  },
+  "compare-audio": {
+    type: "boolean",
+    description: "Instead of transcribing, count VAD segments, speech and recognised segments of each " +
+      "file without and with the audio chain",
+  },
+  start: {
+    type: "string", value: "time",
+    description: "Only transcribe from this time on (seconds or [hh:]mm:ss[.mmm]); cues keep the original times",
+  },
+  end: { type: "string", value: "time", description: "Only transcribe up to this time" },
+  range: {
+    type: "string", value: "start-end", multiple: true,
+    description: "Only transcribe this range, e.g. 1:00:00-1:05:00 (repeatable; either end may be left out, " +
+      "--range=-5:00 for the first five minutes). Subtitles of the whole file are only replaced with --force",
+  },
+  splice: {
+    type: "boolean",
+    description: "Transcribe the ranges again and replace only their cues in the existing SRT (needs a range)",
+  },
+  "save-partial": { type: "boolean", description: "Write the subtitles decoded so far when cancelled" },
+  "no-resume": { type: "boolean", description: "Ignore checkpoints and start interrupted files over" },
+  uploaded: { type: "boolean", description: "Input is a web upload (subtitles go to /sdcard/Download)" },
+  "progress-fd": {
+    type: "string", value: "fd",
+    description: "Also write NDJSON progress events (start, progress, segment, complete, error) to this " +
+      "file descriptor, for programs driving the CLI",
   },
 };
 
-// Create recognizer with resource limits
-function createRecognizer() {
-  const recognizer = model.createRecognizer({
-    sampleRate: config.sampleRate,
-    featDim: config.featDim,
-    modelDir: model.modelDir,
-  });
+// Cue readability flags and their segmentation option names
+const CUE_FLAGS = {
+  "max-chars": "maxCharsPerLine",
+  "max-lines": "maxLines",
+  "max-cps": "maxCps",
+  "min-duration": "minDuration",
+  "max-duration": "maxDuration",
+  "max-pause": "maxPause",
+};
 
-  if (recognizer && typeof recognizer.setMaxHeapSize === "function") {
-    try {
-      recognizer.setMaxHeapSize(config.memory.maxHeapMB);
-    } catch (error) {
-      Logger.log("TRANSCRIBE", `Recognizer.setMaxHeapSize not applied: ${error.message || error}`);
+const HELP = {
+  usage: "node gensrt.js <file-or-directory> [options]",
+  intro: [
+    "Transcribe audio/video files into subtitles with sherpa-onnx.",
+  ],
+};
+
+function parseNumberOption(name, value) {
+  const kind = CLI_OPTIONS[name].number;
+  const num = Number(value);
+  const valid =
+    value !== "" && Number.isFinite(num) &&
+    (kind === "count" ? Number.isInteger(num) && num >= 1 :
+      kind === "depth" ? Number.isInteger(num) && num >= 0 :
+        kind === "probability" ? num > 0 && num < 1 :
+          num > 0);
+  if (!valid) {
+    const expected =
+      kind === "count" ? "a whole number of at least 1" :
+        kind === "depth" ? "a whole number of at least 0" :
+          kind === "probability" ? "a number between 0 and 1" :
+            "a positive number";
+    throw new Error(`--${name} must be ${expected} (got "${value}")`);
+  }
+  return num;
+}
+
+// Machine-readable events; enabled once --progress-fd has been parsed
+let progress = openProgressChannel(undefined, "gensrt");
+
+const exitWithUsage = usageExit({ script: "gensrt.js", tag: "TRANSCRIBE", progress: () => progress });
+
+// CLI argument parsing
+let options;
+let inputPath;
+try {
+  // parseArgs ignores the extra help/validation keys of CLI_OPTIONS
+  const parsed = parseArgs({ options: CLI_OPTIONS, allowPositionals: true, strict: true });
+  options = parsed.values;
+  if (options.help) {
+    printHelp(CLI_OPTIONS, HELP);
+    process.exit(0);
+  }
+  if (parsed.positionals.length !== 1) {
+    throw new Error(
+      parsed.positionals.length === 0
+        ? "Missing input file or directory"
+        : `Expected one input path, got ${parsed.positionals.length}`
+    );
+  }
+  inputPath = parsed.positionals[0];
+  if (!["smart", "exists"].includes(options.skip)) {
+    throw new Error(`--skip must be "smart" or "exists" (got "${options.skip}")`);
+  }
+  if (options.mux !== undefined && !MUX_MODES.includes(options.mux)) {
+    throw new Error(`--mux must be one of ${MUX_MODES.join(", ")} (got "${options.mux}")`);
+  }
+  if (options["mux-format"] !== undefined && !MUX_CONTAINERS.includes(options["mux-format"])) {
+    throw new Error(`--mux-format must be one of ${MUX_CONTAINERS.join(", ")} (got "${options["mux-format"]}")`);
+  }
+  if (options["mux-format"] !== undefined && options.mux === undefined) throw new Error("--mux-format needs --mux");
+  for (const name of ["burn-style", "burn-language"]) {
+    if (options[name] !== undefined && options.mux !== "hard") throw new Error(`--${name} needs --mux hard`);
+  }
+  if (!PUNCTUATION_MODES.includes(options.punctuation)) {
+    throw new Error(`--punctuation must be one of ${PUNCTUATION_MODES.join(", ")} (got "${options.punctuation}")`);
+  }
+  for (const name of Object.keys(CLI_OPTIONS)) {
+    if (CLI_OPTIONS[name].number && options[name] !== undefined) {
+      options[name] = parseNumberOption(name, options[name]);
     }
   }
+} catch (error) {
+  exitWithUsage("Invalid arguments provided", error.message || error);
+}
+try {
+  progress = openProgressChannel(options["progress-fd"], "gensrt");
+} catch (error) {
+  exitWithUsage(error.message);
+}
 
-  return recognizer;
+const modelName = options.model;
+const isUploadedFile = options.uploaded === true;
+const outputDir = options["output-dir"] ? path.resolve(options["output-dir"]) : null;
+const force = options.force === true;
+const skipMode = options.skip;
+const audioTrackOption = options["audio-track"];
+const diarizeEnabled = options.diarize === true || options.speakers !== undefined;
+const scanOptions = {
+  recursive: options.recursive === true,
+  maxDepth: options["max-depth"],
+  include: options.include || [],
+  exclude: options.exclude || [],
+  ffprobePath: options.sniff ? ffprobePath : null,
+};
+const dryRun = options["dry-run"] === true;
+// Keep what was decoded when cancelled (written as final outputs) and/or ignore checkpoints
+const savePartial = options["save-partial"] === true;
+const resumeEnabled = options["no-resume"] !== true;
+const muxMode = options.mux || null;
+// Files whose subtitles are up to date but whose --mux video is missing
+const muxOnlyFiles = new Set();
+
+let outputFormats;
+try {
+  outputFormats = parseFormats(options.format || "srt");
+} catch (error) {
+  exitWithUsage("Invalid output format", error.message || error);
 }
 
-function createVad() {
-  return new sherpa_onnx.Vad(config.vad, config.bufferSizeInSeconds);
+let cueOptions;
+try {
+  cueOptions = normalizeCueOptions(
+    Object.fromEntries(Object.entries(CUE_FLAGS).map(([flag, key]) => [key, options[flag]]))
+  );
+} catch (error) {
+  exitWithUsage("Invalid segmentation options", error.message || error);
 }
 
-function formatTime(t) {
-  const intPart = Math.floor(Number(t) || 0);
-  const ms = Math.floor((Number(t) - intPart) * 1000) || 0;
-  const h = Math.floor(intPart / 3600).toString().padStart(2, "0");
-  const m = Math.floor((intPart % 3600) / 60).toString().padStart(2, "0");
-  const s = (intPart % 60).toString().padStart(2, "0");
-  return `${h}:${m}:${s},${ms.toString().padStart(3, "0")}`;
+// Check the model now so a typo fails before any file is scanned. With
+// --model auto each file gets its model once its language is known.
+let baseModel;
+try {
+  baseModel = getModel(modelName === AUTO_MODEL ? DEFAULT_MODEL : modelName);
+} catch (error) {
+  exitWithUsage("Failed to load model config", error.message || error);
 }
 
-class Segment {
-  constructor(start, duration, text) {
-    this.start = start;
-    this.duration = duration;
-    this.text = text;
-  }
-  get end() {
-    return this.start + this.duration;
-  }
-  toString() {
-    return `${formatTime(this.start)} --> ${formatTime(this.end)}\n${this.text}`;
-  }
+if (options.jobs !== undefined) config.maxConcurrent = options.jobs;
+if (options.threads !== undefined) config.numThreads = options.threads;
+if (options["vad-threshold"] !== undefined) config.vad.sileroVad.threshold = options["vad-threshold"];
+if (options["min-speech"] !== undefined) config.vad.sileroVad.minSpeechDuration = options["min-speech"];
+if (options["min-silence"] !== undefined) config.vad.sileroVad.minSilenceDuration = options["min-silence"];
+if (options["buffer-size"] !== undefined) config.bufferSizeInSeconds = options["buffer-size"];
+if (options["max-heap"] !== undefined) config.memory.maxHeapMB = options["max-heap"];
+if (options.speakers !== undefined) config.diarization.numSpeakers = options.speakers;
+if (options["speaker-threshold"] !== undefined) config.diarization.threshold = options["speaker-threshold"];
+if (options["checkpoint-interval"] !== undefined) {
+  config.checkpointIntervalMs = options["checkpoint-interval"] * 1000;
 }
+if (options["hotwords-score"] !== undefined) config.hotwords.score = options["hotwords-score"];
+if (options["punctuation-model"] !== undefined) config.punctuation.model = options["punctuation-model"];
+if (options["denoise-model"] !== undefined) config.denoise.model = options["denoise-model"];
 
-function mergeSegments(segments, maxDuration = 15, maxPause = 0.5) {
-  if (!Array.isArray(segments) || segments.length === 0) return [];
-  const merged = [];
-  let current = new Segment(segments[0].start, segments[0].duration, segments[0].text);
-  for (let i = 1; i < segments.length; i++) {
-    const next = segments[i];
-    const pause = next.start - current.end;
-    if (
-      pause >= 0 &&
-      current.duration + next.duration <= maxDuration &&
-      pause < maxPause
-    ) {
-      current.duration = next.end - current.start;
-      current.text = `${current.text} ${next.text}`;
-    } else {
-      merged.push(current);
-      current = new Segment(next.start, next.duration, next.text);
-    }
+// Audio pre-processing: the preset with single steps overridden
+let audioChain;
+try {
+  audioChain = resolveAudioChain({
+    preset: options["audio-preset"],
+    highpass: options.highpass,
+    lowpass: options.lowpass,
+    afftdn: options.afftdn === undefined ? undefined : Number(options.afftdn),
+    loudnorm: options.loudnorm === undefined ? undefined : Number(options.loudnorm),
+    denoise: options.denoise ? true : undefined,
+  });
+} catch (error) {
+  exitWithUsage("Invalid audio filters", error.message || error);
+}
+const compareAudio = options["compare-audio"] === true;
+
+// Time ranges from --start/--end and --range
+let ranges = null;
+try {
+  const given = [...(options.range || [])];
+  if (options.start !== undefined || options.end !== undefined) given.push({ start: options.start, end: options.end });
+  if (given.length > 0) ranges = normalizeRanges(given);
+  if (options.splice && !ranges) throw new Error("--splice needs --start/--end or --range");
+  if (options.splice && (outputFormats.length !== 1 || outputFormats[0] !== "srt")) {
+    throw new Error("--splice merges into SRT files only; leave out --format or use --format srt");
   }
-  merged.push(current);
-  return merged;
+} catch (error) {
+  exitWithUsage("Invalid time range", error.message || error);
+}
+const splice = options.splice === true;
+if (compareAudio && isAudioChainEmpty(audioChain)) {
+  exitWithUsage("Nothing to compare", "--compare-audio needs an --audio-preset or audio filter flags");
 }
 
-async function saveSrt(segments, outPath) {
-  segments = segments || [];
-  segments.sort((a, b) => a.start - b.start);
-  const merged = mergeSegments(segments);
-  const srtContent =
-    merged.length > 0
-      ? merged
-          .map((s, i) => `${i + 1}\n${s.toString()}`)
-          .join("\n\n")
-      : ""; // empty file if no segments
-
-  const dir = path.dirname(outPath);
+// Hotwords from the command line, files and vocabulary profiles
+let hotwords;
+try {
+  hotwords = await resolveHotwords({
+    hotwords: options.hotwords || [],
+    files: options["hotwords-file"] || [],
+    vocabularies: options.vocabulary || [],
+  });
+} catch (error) {
+  exitWithUsage("Invalid hotwords", error.message || error);
+}
+if (hotwords.length > 0 && modelName !== AUTO_MODEL && !hotwordSupport(baseModel).supported) {
+  exitWithUsage("Hotwords not supported", hotwordSupport(baseModel).reason);
+}
+
+// Text rule profiles, loaded once for all files
+let textRules = null;
+if (options["text-rules"]) {
   try {
-    await fs.mkdir(dir, { recursive: true });
+    textRules = await loadTextRules(options["text-rules"]);
   } catch (error) {
-    Logger.warn("TRANSCRIBE", `Failed to ensure output directory: ${error.message || error}`);
+    exitWithUsage("Invalid text rules", error.message || error);
   }
-
-  await fs.writeFile(outPath, srtContent, "utf-8");
-  Logger.log("TRANSCRIBE", `SRT file saved to: ${outPath}`);
 }
 
-function safeFree(obj) {
-  if (!obj) return;
-
-  if (typeof obj.free === "function") {
-    obj.free();
-  } else if (typeof obj.delete === "function") {
-    obj.delete();
-  } else if (typeof obj.destroy === "function") {
-    obj.destroy();
-  }
+// Segment review (--review, --review-action)
+const reviewAction = options["review-action"] ?? (options.review ? "report" : null);
+if (reviewAction && !REVIEW_ACTIONS.includes(reviewAction)) {
+  exitWithUsage("Invalid review action", `"${reviewAction}" (use ${REVIEW_ACTIONS.join(", ")})`);
 }
 
+// Where the outputs of a media file go (see --output-dir and --uploaded)
+const outputBaseOf = (file) =>
+  getOutputBase(file, { root: inputPath, outputDir, uploaded: isUploadedFile });
+
 async function getAudioFiles(inputPath) {
-  const stats = await fs.stat(inputPath);
-  const isDirectory = stats.isDirectory();
-  const audioExt = new Set([
-    ".wav", ".mp3", ".flac", ".m4a", ".ogg",
-    ".mp4", ".mkv", ".mov", ".avi", ".webm",
-  ]);
+  const mediaFiles = await findMediaFiles(inputPath, scanOptions);
+  // Comparisons don't write subtitles, so existing ones don't matter
+  if (compareAudio) return mediaFiles;
   const filesToProcess = [];
 
-  if (isDirectory) {
-    const entries = await fs.readdir(inputPath);
-    for (const entry of entries) {
-      const fullPath = path.join(inputPath, entry);
-      try {
-        const stat = await fs.stat(fullPath);
-        if (stat.isFile() && audioExt.has(path.extname(entry).toLowerCase())) {
-          const srtPath = fullPath.replace(/\.[^.]*$/, ".srt");
-          try {
-            await fs.access(srtPath); // exists
-            Logger.log("TRANSCRIBE", `Skipping ${path.basename(fullPath)} (SRT already exists)`);
-          } catch {
-            filesToProcess.push(fullPath); // doesn't exist → process
-          }
-        }
-      } catch {
-        // ignore entries that can't be stat'd
-      }
+  for (const file of mediaFiles) {
+    const { transcribe: needed, reason } = await checkOutputs(file, {
+      outputBase: outputBaseOf(file),
+      formats: outputFormats,
+      model: modelName,
+      skip: skipMode,
+      // A splice is asked for explicitly, so it runs even on up-to-date subtitles
+      force: force || splice,
+      resume: resumeEnabled,
+      ranges: ranges !== null && !splice,
+    });
+    if (splice && !(await fileExists(`${outputBaseOf(file)}.srt`))) {
+      Logger.log("TRANSCRIBE", `Skipping ${path.basename(file)} (no SRT to splice into)`);
+      continue;
     }
-  } else if (audioExt.has(path.extname(inputPath).toLowerCase())) {
-    const srtPath = inputPath.replace(/\.[^.]*$/, ".srt");
-    try {
-      await fs.access(srtPath); // exists
-      Logger.log("TRANSCRIBE", `Skipping ${path.basename(inputPath)} (SRT already exists)`);
-    } catch {
-      filesToProcess.push(inputPath); // doesn't exist → process
+    if (!needed && reason) {
+      Logger.warn("TRANSCRIBE", `Skipping ${path.basename(file)}: ${reason} (use --splice to merge them, or --force)`);
+      continue;
+    }
+    if (!needed) {
+      if (muxMode && !(await fileExists(muxTarget(file))) && (await hasVideoStream(ffprobePath, file))) {
+        Logger.log("TRANSCRIBE", `Subtitles of ${path.basename(file)} are up to date; muxing only`);
+        muxOnlyFiles.add(file);
+        filesToProcess.push(file);
+        continue;
+      }
+      Logger.log("TRANSCRIBE", `Skipping ${path.basename(file)} (subtitles up to date)`);
+      continue;
     }
+    if (reason) Logger.log("TRANSCRIBE", `Transcribing ${path.basename(file)} again: ${reason}`);
+    filesToProcess.push(file);
   }
 
   return filesToProcess;
 }
 
-async function getDuration(inputFile) {
-  return new Promise((resolve, _) => {
-    let stdout = "";
-    const ffprobe = spawn(ffprobePath, [
-      "-v",
-      "error",
-      "-show_entries",
-      "format=duration",
-      "-of",
-      "default=noprint_wrappers=1:nokey=1",
-      inputFile,
-    ]);
-
-    ffprobe.stdout.on("data", (chunk) => (stdout += chunk.toString()));
-    let stderr = "";
-    ffprobe.stderr.on("data", (chunk) => (stderr += chunk.toString()));
-
-    ffprobe.on("error", (error) => {
-      Logger.log("TRANSCRIBE", `ffprobe spawn error: ${error.message || error}`);
-      resolve(0);
-    });
+const fileExists = (file) => fs.access(file).then(() => true, () => false);
 
-    ffprobe.on("close", (code) => {
-      if (code !== 0) {
-        Logger.log("TRANSCRIBE", `ffprobe returned code ${code}. stderr: ${stderr.trim()}`);
-        resolve(0);
-        return;
-      }
-      const val = parseFloat(stdout);
-      if (Number.isFinite(val) && val > 0) resolve(val);
-      else resolve(0);
-    });
-  });
-}
+// Video written by --mux for a media file
+const muxTarget = (file) =>
+  muxOutputPath(outputBaseOf(file), muxMode, options["mux-format"] || defaultContainer(file));
 
-async function processFile(inputFile) {
+// Mux or burn the subtitles of a file into its video (--mux), with a progress bar
+async function muxFile(inputFile, progressBars, language) {
   const filename = path.basename(inputFile);
-  const baseName = filename.replace(/\.[^.]*$/, "");
-  let safeBaseName = baseName.replace(/[\x00-\x1f"*/:<>?|]/g, "_");
-
-  if (Buffer.byteLength(safeBaseName, "utf8") > 150) {
-    while (Buffer.byteLength(safeBaseName, "utf8") > 150 && safeBaseName.length > 0) {
-      safeBaseName = safeBaseName.slice(0, -1);
-    }
+  if (!(await hasVideoStream(ffprobePath, inputFile))) {
+    Logger.warn("TRANSCRIBE", `${filename} has no video stream; nothing to mux the subtitles into`);
+    return null;
   }
-  const srtFilename = `${safeBaseName}.srt`;
-
-  const outPath =
-    inputFile.startsWith("/tmp/") || isUploadedFile
-      ? path.join("/sdcard/Download", srtFilename)
-      : path.join(path.dirname(inputFile), srtFilename);
-
-  Logger.log("TRANSCRIBE", `Starting: ${filename}`);
-
-  const recognizer = createRecognizer();
-  const vad = createVad();
+  const outputBase = outputBaseOf(inputFile);
+  const meta = await readOutputMeta(outputBase);
+  const tracks = await findSubtitleTracks(outputBase, { formats: outputFormats, language: language ?? meta?.language ?? null });
+  const output = muxTarget(inputFile);
+
+  let track = tracks[0];
+  if (muxMode === "hard" && options["burn-language"]) {
+    const wanted = normalizeLanguage(options["burn-language"]);
+    track = tracks.find((t) => t.translated && t.language === wanted);
+    if (!track) throw new Error(`No ${options["burn-language"]} translation of ${filename} to burn in (translate it with srt-gtk.js first)`);
+  }
+  if (!track) throw new Error(`No subtitles of ${filename} to mux`);
 
-  const bufferLength = Math.max(
-    1,
-    Math.floor(config.bufferSizeInSeconds * (config.vad.sampleRate || config.sampleRate))
+  Logger.log(
+    "TRANSCRIBE",
+    muxMode === "hard"
+      ? `Burning ${path.basename(track.file)} into ${path.basename(output)}`
+      : `Muxing ${tracks.length} subtitle track(s) into ${path.basename(output)}: ${tracks.map((t) => path.basename(t.file)).join(", ")}`
   );
-  const buffer = new sherpa_onnx.CircularBuffer(bufferLength);
-
-  const duration = await getDuration(inputFile) || 0;
+  const duration = (await getDuration(inputFile)) || 0;
   const startTime = Date.now();
-  let processed = 0;
-
-  const progressBar = new cliProgress.SingleBar(
-    {
-      format:
-        chalk.blue("   {bar}") +
-        chalk.green(" | {percentage}% | Time: {timeUsed}/{timeRemaining}s | Speed: {speed}x"),
-      clearOnComplete: false,
-      hideCursor: true,
-    },
-    cliProgress.Presets.shades_classic
-  );
-
-  const progressTotal = duration > 0 ? duration : 1;
-  progressBar.start(progressTotal, 0, {
+  const bar = progressBars.create(duration > 0 ? duration : 1, 0, {
     speed: "N/A",
     timeUsed: "0",
     timeRemaining: "0",
+    file: `${filename} (${muxMode === "hard" ? "burn" : "mux"})`,
   });
-
-  const progressInterval = setInterval(() => {
-    // Update progress bar periodically to ensure it's always showing current status
-    const elapsed = Math.max(0.001, (Date.now() - startTime) / 1000);
-    const speed = Number((processed / elapsed).toFixed(2));
-    const remaining = processed > 0 && duration > 0 ? Math.max(0, (duration - processed) / (processed / elapsed)) : 0;
-    const updateValue = duration > 0 ? Math.min(duration, processed) : processed;
-    
-    progressBar.update(updateValue, {
-      speed: isFinite(speed) ? speed : "N/A",
+  let lastProgressEvent = 0;
+  const onProgress = ({ processed, percent }) => {
+    const elapsed = (Date.now() - startTime) / 1000;
+    const speed = elapsed > 0 ? processed / elapsed : 0;
+    const remaining = speed > 0 && duration > 0 ? Math.max(0, (duration - processed) / speed) : 0;
+    bar.update(Math.min(processed, duration || processed), {
+      speed: speed > 0 ? Number(speed.toFixed(2)) : "N/A",
       timeUsed: elapsed.toFixed(1),
       timeRemaining: remaining.toFixed(1),
     });
-  }, 1000);
+    if (Date.now() - lastProgressEvent < 500) return;
+    lastProgressEvent = Date.now();
+    progress.emit("progress", { file: inputFile, stage: muxMode === "hard" ? "burn" : "mux", percent, processed, duration, elapsed, remaining, speed });
+  };
+  // Stop ffmpeg on shutdown like the transcription does
+  const onSpawn = (child) => {
+    const stop = () => child.kill("SIGTERM");
+    shutdown.signal.addEventListener("abort", stop, { once: true });
+    child.on("close", () => shutdown.signal.removeEventListener("abort", stop));
+  };
 
-  return new Promise((resolve, reject) => {
-    let ffmpeg;
-    try {
-      ffmpeg = spawn(ffmpegPath, [
-        "-i",
-        inputFile,
-        "-f",
-        "s16le",
-        "-ac",
-        "1",
-        "-ar",
-        String(config.vad.sampleRate),
-        "-",
-      ]);
-      // Track the active ffmpeg process for signal handling
-      activeFfmpegProcess = ffmpeg;
-      Logger.log("TRANSCRIBE", `Started ffmpeg process with pid: ${ffmpeg.pid}`);
-    } catch (spawnError) {
-      clearInterval(progressInterval);
-      progressBar.stop();
-      safeFree(vad);
-      safeFree(recognizer);
-      safeFree(buffer);
-      const errorMsg = `Failed to spawn FFmpeg: ${spawnError.message || spawnError}`;
-      Logger.error("TRANSCRIBE", errorMsg);
-      return reject(new Error(errorMsg));
+  try {
+    if (muxMode === "hard") {
+      await burnSubtitles(ffmpegPath, inputFile, track, {
+        output, style: options["burn-style"] ?? DEFAULT_BURN.style, duration, onProgress, onSpawn,
+      });
+    } else {
+      await muxSubtitles(ffmpegPath, inputFile, tracks, { output, duration, onProgress, onSpawn });
     }
+  } catch (error) {
+    await fs.rm(output, { force: true });
+    throw new Error(`${muxMode === "hard" ? "Burning" : "Muxing"} subtitles into ${filename} failed: ${error.message}`);
+  } finally {
+    bar.stop();
+    progressBars.remove(bar);
+  }
+  Logger.success("TRANSCRIBE", `Video with subtitles: ${output}`);
+  return output;
+}
 
-    let ffmpegError = "";
-    ffmpeg.stderr.on("data", (data) => {
-      ffmpegError += data.toString();
-    });
-
-    ffmpeg.stdout.on("data", (chunk) => {
-      // Check if transcription has been cancelled
-      if (cancelTranscription) {
-        Logger.log("TRANSCRIBE", "Transcription cancelled by user");
-        // Kill the ffmpeg process
-        if (ffmpeg && !ffmpeg.killed) {
-          ffmpeg.kill('SIGTERM');
-        }
-        return;
-      }
-      
-      try {
-        const sampleCount = Math.floor(chunk.length / 2);
-        const float32 = new Float32Array(sampleCount);
-        for (let i = 0; i < sampleCount; i++) {
-          float32[i] = chunk.readInt16LE(i * 2) / 32768.0;
-        }
-        buffer.push(float32);
-
-        // Yield control to the event loop periodically to allow signal handling
-        if (buffer.size() % 1000 === 0) {
-          setImmediate(() => {}); // Schedule a microtask to yield control
-        }
+// --mux for a file whose subtitles were already up to date
+async function muxExisting(inputFile, progressBars) {
+  const startTime = Date.now();
+  progress.emit("start", { file: inputFile });
+  const output = await muxFile(inputFile, progressBars, null);
+  const elapsed = (Date.now() - startTime) / 1000;
+  progress.emit("complete", { file: inputFile, outputs: output ? [output] : [], elapsed, muxOnly: true });
+  return { duration: 0, elapsed };
+}
 
-        while (buffer.size() >= config.vad.sileroVad.windowSize) {
-          // Check if transcription has been cancelled before processing
-          if (cancelTranscription) {
-            Logger.log("TRANSCRIBE", "Transcription cancelled by user during processing");
-            // Kill the ffmpeg process
-            if (ffmpeg && !ffmpeg.killed) {
-              ffmpeg.kill('SIGTERM');
-            }
-            return;
-          }
-          
-          const frame = buffer.get(buffer.head(), config.vad.sileroVad.windowSize);
-          buffer.pop(config.vad.sileroVad.windowSize);
-          vad.acceptWaveform(frame);
-          
-          // Yield control to the event loop periodically to allow signal handling
-          if (buffer.head() % 1000 === 0) {
-            setImmediate(() => {}); // Schedule a microtask to yield control
-          }
-        }
+// Transcribe one file with its own progress bar, logging what the library reports
+async function processFile(inputFile, progressBars) {
+  const filename = path.basename(inputFile);
+  Logger.log("TRANSCRIBE", `Starting: ${filename}`);
+  progress.emit("start", { file: inputFile });
+
+  const job = transcribe(inputFile, {
+    model: modelName,
+    formats: outputFormats,
+    outputBase: outputBaseOf(inputFile),
+    audioTrack: audioTrackOption,
+    diarize: diarizeEnabled,
+    cueOptions,
+    hotwords,
+    punctuation: options.punctuation,
+    textRules,
+    audio: audioChain,
+    ranges,
+    splice,
+    review: reviewAction,
+    resume: resumeEnabled,
+    savePartial,
+    signal: shutdown.signal,
+    config,
+  });
 
-        processed += chunk.length / (config.vad.sampleRate * 2);
-        const elapsed = Math.max(0.001, (Date.now() - startTime) / 1000);
-        const speed = Number((processed / elapsed).toFixed(2));
-        const remaining = processed > 0 && duration > 0 ? Math.max(0, (duration - processed) / (processed / elapsed)) : 0;
-        const updateValue = duration > 0 ? Math.min(duration, processed) : processed;
-
-        progressBar.update(updateValue, {
-          speed: isFinite(speed) ? speed : "N/A",
-          timeUsed: elapsed.toFixed(1),
-          timeRemaining: remaining.toFixed(1),
-        });
-      } catch (error) {
-        Logger.log("TRANSCRIBE", `Error handling audio chunk: ${error.message || error}`);
-        const errorMsg = `Error handling audio chunk: ${error.message || error}`;
-        return reject(new Error(errorMsg));
-      }
+  let progressBar = null;
+  // Finished bars are removed; the summary table reports the result
+  const stopProgress = () => {
+    if (!progressBar) return;
+    progressBar.stop();
+    progressBars.remove(progressBar);
+    progressBar = null;
+  };
+
+  job.on("warning", ({ message }) => Logger.warn("TRANSCRIBE", message));
+  job.on("track", ({ stream, streams, reason }) => {
+    if (streams.length > 1) {
+      Logger.log("TRANSCRIBE", `Audio tracks: ${streams.map(describeAudioStream).join(", ")}`);
+    }
+    Logger.log("TRANSCRIBE", `Using audio track ${describeAudioStream(stream)} (${reason})`);
+  });
+  job.on("speakers", ({ turns, count, elapsed }) => {
+    Logger.log("TRANSCRIBE", `Found ${count} speaker(s) in ${turns.length} turns (${elapsed.toFixed(1)}s)`);
+  });
+  job.on("language", ({ language, model }) => {
+    Logger.log("TRANSCRIBE", `Detected language of ${filename}: ${language}`);
+    Logger.log("TRANSCRIBE", `Using model ${model} for ${filename}`);
+    progress.emit("language", { file: inputFile, language, model });
+  });
+  job.on("start", ({ duration, resumeOffset, resumedSegments, hotwords: hotwordCount, audio, ranges: fileRanges }) => {
+    if (resumeOffset > 0) {
+      Logger.log("TRANSCRIBE", `Resuming ${filename} from ${resumeOffset.toFixed(2)}s (${resumedSegments} segments already decoded)`);
+    }
+    if (fileRanges) Logger.log("TRANSCRIBE", `${splice ? "Splicing" : "Transcribing"} ${filename} from ${fileRanges}`);
+    if (audio) Logger.log("TRANSCRIBE", `Audio pre-processing for ${filename}: ${audio}`);
+    if (hotwordCount > 0) {
+      Logger.log("TRANSCRIBE", `Biasing ${filename} towards ${hotwordCount} hotword${hotwordCount === 1 ? "" : "s"} (score ${config.hotwords.score})`);
+    }
+    progressBar = progressBars.create(duration > 0 ? duration : 1, 0, {
+      speed: "N/A",
+      timeUsed: "0",
+      timeRemaining: "0",
+      file: filename,
     });
+  });
+  let lastProgressEvent = 0;
+  job.on("progress", ({ processed, duration, elapsed, speed, remaining }) => {
+    progressBar?.update(processed, {
+      speed: Number.isFinite(speed) ? Number(speed.toFixed(2)) : "N/A",
+      timeUsed: elapsed.toFixed(1),
+      timeRemaining: remaining.toFixed(1),
+    });
+    // At most two events a second per file
+    if (Date.now() - lastProgressEvent < 500) return;
+    lastProgressEvent = Date.now();
+    progress.emit("progress", {
+      file: inputFile,
+      percent: duration > 0 ? Math.min(100, Math.round((processed / duration) * 100)) : null,
+      processed,
+      duration,
+      elapsed,
+      remaining,
+      speed: Number.isFinite(speed) ? speed : null,
+    });
+  });
+  job.on("segment", ({ segment }) => {
+    progress.emit("segment", {
+      file: inputFile,
+      start: segment.start,
+      end: segment.end,
+      text: segment.text,
+      speaker: segment.speaker,
+    });
+  });
+  job.on("cancelled", ({ offset, outputs, segments }) => {
+    stopProgress();
+    if (outputs.length > 0) {
+      Logger.log("TRANSCRIBE", `Partial subtitles saved (${segments} segments): ${outputs.join(", ")}`);
+    }
+    Logger.log("TRANSCRIBE", `Checkpoint saved at ${offset.toFixed(2)}s; rerun to resume ${filename}`);
+    progress.emit("cancelled", { file: inputFile, offset });
+  });
 
-    ffmpeg.on("close", async (code, signal) => {
-      // Clear the active ffmpeg process reference
-      Logger.log("TRANSCRIBE", `FFmpeg process closed with code: ${code}, signal: ${signal}`);
-      activeFfmpegProcess = null;
-      clearInterval(progressInterval);
-      if (duration > 0) progressBar.update(duration);
-      else progressBar.update(processed);
-      progressBar.stop();
-
-      if (code !== 0) {
-        safeFree(vad);
-        safeFree(recognizer);
-        safeFree(buffer);
-        const errorMsg = `FFmpeg exited with code ${code}. Error: ${ffmpegError}`;
-        Logger.error("TRANSCRIBE", `Error processing ${filename}: ${errorMsg}`);
-        return reject(new Error(errorMsg));
-      }
-
-      try {
-        Logger.log("TRANSCRIBE", "Finalizing transcription...");
-        if (typeof vad.flush === "function") vad.flush();
-
-        const segments = [];
-        while (!vad.isEmpty()) {
-          const seg = vad.front();
-          vad.pop();
+  try {
+    const result = await job;
+    stopProgress();
+    const { duration, elapsed } = result;
+    Logger.success("TRANSCRIBE", `Done! Output: ${result.outputs.join(", ")}`);
+    Logger.log("TRANSCRIBE", `   - Segments: ${result.segments.length}, Duration: ${duration.toFixed(2)}s`);
+    Logger.log("TRANSCRIBE", `   - Time: ${elapsed.toFixed(2)}s, Speed: ${(duration > 0 ? (duration / elapsed).toFixed(2) : "N/A")}x`);
+    const video = muxMode ? await muxFile(inputFile, progressBars, result.language) : null;
+    progress.emit("complete", {
+      file: inputFile,
+      outputs: video ? [...result.outputs, video] : result.outputs,
+      duration,
+      elapsed,
+      segments: result.segments.length,
+      model: result.model,
+      language: result.language,
+      review: result.review,
+    });
+    return result;
+  } finally {
+    stopProgress();
+  }
+}
 
-          const stream = recognizer.createStream();
-          try {
-            stream.acceptWaveform({
-              samples: seg.samples,
-              sampleRate: config.vad.sampleRate,
-            });
-            recognizer.decode(stream);
-            const result = recognizer.getResult(stream);
-            if (result && result.text) {
-              segments.push(
-                new Segment(
-                  seg.start / config.vad.sampleRate,
-                  seg.samples.length / config.vad.sampleRate,
-                  result.text.trim()
-                )
-              );
-            }
-          } finally {
-            safeFree(stream);
-          }
-        }
+// --compare-audio: speech found in each file without and with the audio chain
+async function compareFiles(files) {
+  const label = describeAudioChain(audioChain);
+  Logger.log("TRANSCRIBE", `Comparing ${files.length} file(s) without and with: ${label}`);
+  for (const file of files) {
+    if (shutdown.signal.aborted) break;
+    const filename = path.basename(file);
+    progress.emit("start", { file });
+    try {
+      const results = await compareAudioChains(file, {
+        chains: ["none", audioChain],
+        model: modelName,
+        audioTrack: audioTrackOption,
+        signal: shutdown.signal,
+        config,
+        onChain: (chain) => Logger.log("TRANSCRIBE", `${filename}: measuring ${chain === "none" ? "unprocessed audio" : chain}`),
+      });
+      const rows = results.map((r) => [
+        r.label === "none" ? "unprocessed" : "processed",
+        String(r.vadSegments),
+        `${r.speechSeconds.toFixed(1)}s`,
+        String(r.segments),
+        String(r.characters),
+        `${r.elapsed.toFixed(1)}s`,
+      ]);
+      const header = ["Audio", "VAD segments", "Speech", "Recognised", "Characters", "Time"];
+      const widths = header.map((h, c) => Math.max(h.length, ...rows.map((row) => row[c].length)));
+      const line = (cells) => cells.map((cell, c) => cell.padEnd(widths[c])).join("  ");
+      Logger.log("TRANSCRIBE", `${filename}:`);
+      console.log(`   ${line(header)}`);
+      console.log(`   ${widths.map((w) => "-".repeat(w)).join("  ")}`);
+      for (const row of rows) console.log(`   ${line(row)}`);
+      progress.emit("complete", {
+        file,
+        outputs: [],
+        comparison: results.map(({ label: chain, vadSegments, speechSeconds, segments, characters, elapsed }) => ({
+          chain, vadSegments, speechSeconds, segments, characters, elapsed,
+        })),
+      });
+    } catch (error) {
+      if (shutdown.signal.aborted) break;
+      Logger.error("TRANSCRIBE", `Comparison failed for ${filename}: ${error.message || error}`);
+      progress.emit("error", { file, message: error.message || String(error) });
+    }
+  }
+}
 
-        await saveSrt(segments, outPath);
+// Rough memory needed by one job: the model weights plus working buffers
+async function estimateJobMemoryMB() {
+  let modelBytes = 0;
+  try {
+    for (const entry of await fs.readdir(baseModel.modelDir)) {
+      if (!entry.endsWith(".onnx")) continue;
+      modelBytes += (await fs.stat(path.join(baseModel.modelDir, entry))).size;
+    }
+  } catch {
+    // unknown model size; fall back to the overhead alone
+  }
+  return Math.ceil(modelBytes / 1024 / 1024) + config.jobOverheadMB;
+}
 
-        const elapsedTotal = (Date.now() - startTime) / 1000;
-        Logger.success("TRANSCRIBE", `Done! Output: ${outPath}`);
-        Logger.log("TRANSCRIBE", `   - Segments: ${segments.length}, Duration: ${duration.toFixed(2)}s`);
-        Logger.log("TRANSCRIBE", `   - Time: ${elapsedTotal.toFixed(2)}s, Speed: ${(duration > 0 ? (duration / elapsedTotal).toFixed(2) : "N/A")}x`);
-        resolve();
-      } catch (error) {
-        Logger.error("TRANSCRIBE", `Error during final transcription of ${filename}: ${error.message || error}`);
-        const errorMsg = `Error during final transcription: ${error.message || error}`;
-        return reject(new Error(errorMsg));
-      } finally {
-        safeFree(vad);
-        safeFree(recognizer);
-        safeFree(buffer);
-      }
-    });
+// Number of files to transcribe at once: config.maxConcurrent (--jobs),
+// never more than the files found or than free memory allows
+async function getConcurrency(fileCount) {
+  const requested = config.maxConcurrent;
+  const perJobMB = await estimateJobMemoryMB();
+  const freeMB = os.freemem() / 1024 / 1024;
+  const memoryCap = Math.max(1, Math.floor(freeMB / perJobMB));
+  const jobs = Math.max(1, Math.min(requested, fileCount, memoryCap));
+  if (memoryCap < Math.min(requested, fileCount)) {
+    Logger.warn("TRANSCRIBE", `Limiting to ${jobs} parallel job(s): ~${perJobMB}MB each, ${Math.round(freeMB)}MB free`);
+  }
+  return jobs;
+}
 
-    ffmpeg.on("error", (error) => {
-      // Clear the active ffmpeg process reference
-      Logger.log("TRANSCRIBE", `FFmpeg process error: ${error.message}`);
-      activeFfmpegProcess = null;
-      clearInterval(progressInterval);
-      progressBar.stop();
-      safeFree(vad);
-      safeFree(recognizer);
-      safeFree(buffer);
-      Logger.error("TRANSCRIBE", `FFmpeg spawn error for ${filename}: ${error.message || error}`);
-      reject(error);
-    });
+// Run `worker` over `items` with at most `limit` in flight; results keep item order
+async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
   });
+  await Promise.all(lanes);
+  return results;
+}
+
+function printSummary(results) {
+  const rows = results.map((r) => [
+    path.basename(r.file),
+    r.status,
+    r.duration > 0 ? `${r.duration.toFixed(1)}s` : "-",
+    r.elapsed > 0 ? `${r.elapsed.toFixed(1)}s` : "-",
+    r.duration > 0 && r.elapsed > 0 ? `${(r.duration / r.elapsed).toFixed(2)}x` : "-",
+  ]);
+  const header = ["File", "Status", "Duration", "Time", "Speed"];
+  const widths = header.map((h, c) => Math.max(h.length, ...rows.map((row) => row[c].length)));
+  const line = (cells) => cells.map((cell, c) => cell.padEnd(widths[c])).join("  ");
+
+  Logger.log("TRANSCRIBE", "Summary:");
+  console.log(`   ${line(header)}`);
+  console.log(`   ${widths.map((w) => "-".repeat(w)).join("  ")}`);
+  for (const row of rows) console.log(`   ${line(row)}`);
 }
 
 async function main() {
@@ -499,12 +843,48 @@ async function main() {
       return;
     }
 
-    Logger.log("TRANSCRIBE", `Found ${filesToProcess.length} file(s) to process.`);
+    if (compareAudio) {
+      await compareFiles(filesToProcess);
+      if (shutdown.signal.aborted) process.exit(0);
+      return;
+    }
+
+    if (dryRun) {
+      Logger.log("TRANSCRIBE", `Dry run: ${filesToProcess.length} file(s) would be transcribed with ${modelName}:`);
+      if (ranges) Logger.log("TRANSCRIBE", `Only ${describeRanges(ranges)}${splice ? ", spliced into the existing SRT" : ""}`);
+      for (const file of filesToProcess) {
+        const base = outputBaseOf(file);
+        console.log(`   ${file}`);
+        if (!muxOnlyFiles.has(file)) {
+          for (const format of outputFormats) console.log(`     -> ${base}${getFormatExtension(format)}`);
+          if (reviewAction) console.log(`     -> ${reviewPath(base)} (review, ${reviewAction})`);
+        }
+        if (muxMode) console.log(`     -> ${muxTarget(file)} (${muxMode} subtitles)`);
+      }
+      return;
+    }
+
+    const concurrency = await getConcurrency(filesToProcess.length);
+    Logger.log("TRANSCRIBE", `Found ${filesToProcess.length} file(s) to process (${concurrency} at a time).`);
     const startTime = Date.now();
 
-    for (const file of filesToProcess) {
+    const progressBars = new cliProgress.MultiBar(
+      {
+        format:
+          chalk.blue("   {bar}") +
+          chalk.green(" | {percentage}% | Time: {timeUsed}/{timeRemaining}s | Speed: {speed}x") +
+          " | {file}",
+        clearOnComplete: false,
+        hideCursor: true,
+      },
+      cliProgress.Presets.shades_classic
+    );
+
+    const results = await runPool(filesToProcess, concurrency, async (file) => {
+      if (shutdown.signal.aborted) return { file, status: "cancelled", duration: 0, elapsed: 0 };
+      const fileStart = Date.now();
       try {
-        await processFile(file);
+        const stats = muxOnlyFiles.has(file) ? await muxExisting(file, progressBars) : await processFile(file, progressBars);
         if (global.gc) {
           try {
             global.gc();
@@ -512,13 +892,23 @@ async function main() {
             // ignore GC errors
           }
         }
-        await new Promise((r) => setTimeout(r, 100));
+        return { file, status: "done", duration: stats.duration, elapsed: stats.elapsed };
       } catch (error) {
+        const elapsed = (Date.now() - fileStart) / 1000;
+        if (shutdown.signal.aborted) return { file, status: "cancelled", duration: 0, elapsed };
         Logger.error("TRANSCRIBE", `Skipping to next file due to error: ${error.message || error}`);
+        progress.emit("error", { file, message: error.message || String(error) });
+        return { file, status: "failed", duration: 0, elapsed };
       }
-    }
+    });
+    progressBars.stop();
 
     const totalTime = (Date.now() - startTime) / 1000;
+    if (filesToProcess.length > 1 || results[0].status !== "done") printSummary(results);
+    if (shutdown.signal.aborted) {
+      Logger.log("TRANSCRIBE", `Processing cancelled after ${totalTime.toFixed(2)}s`);
+      process.exit(0);
+    }
     Logger.success("TRANSCRIBE", `All processing complete! Total time: ${totalTime.toFixed(2)}s`);
   } catch (error) {
     if (error && error.code === "ENOENT") {
@@ -526,84 +916,28 @@ async function main() {
     } else {
       Logger.error("TRANSCRIBE", `An unexpected error occurred: ${error && error.message ? error.message : error}`);
     }
+    progress.emit("error", { file: null, message: error && error.message ? error.message : String(error) });
     process.exit(1);
   }
 }
 
-// Handle SIGINT (Ctrl+C) and SIGTERM signals for graceful shutdown
-process.on('SIGINT', () => {
-  Logger.log("TRANSCRIBE", "Received SIGINT. Shutting down gracefully...");
-  cancelTranscription = true;
-  
-  if (activeFfmpegProcess) {
-    Logger.log("TRANSCRIBE", `Terminating ffmpeg process (pid: ${activeFfmpegProcess.pid})...`);
-    try {
-      // Try to kill gracefully first
-      if (!activeFfmpegProcess.killed) {
-        activeFfmpegProcess.kill('SIGTERM');
-      }
-      
-      // Force kill if SIGTERM doesn't work after 2 seconds
-      setTimeout(() => {
-        if (activeFfmpegProcess && !activeFfmpegProcess.killed) {
-          Logger.log("TRANSCRIBE", "Force killing ffmpeg process with SIGKILL...");
-          try {
-            activeFfmpegProcess.kill('SIGKILL');
-          } catch (error) {
-            Logger.error("TRANSCRIBE", `Failed to kill ffmpeg process with SIGKILL: ${error.message}`);
-          }
-        }
-      }, 1000);
-    } catch (error) {
-      Logger.error("TRANSCRIBE", `Error terminating ffmpeg process: ${error.message}`);
-    }
-  } else {
-    Logger.log("TRANSCRIBE", "No active ffmpeg process to terminate");
-  }
-  
-  // Exit quickly if no ffmpeg process
-  setTimeout(() => {
-    Logger.log("TRANSCRIBE", "Exiting process...");
-    process.exit(0);
-  }, 1000);
-});
-
-process.on('SIGTERM', () => {
-  Logger.log("TRANSCRIBE", "Received SIGTERM. Shutting down gracefully...");
-  cancelTranscription = true;
-  
-  if (activeFfmpegProcess) {
-    Logger.log("TRANSCRIBE", `Terminating ffmpeg process (pid: ${activeFfmpegProcess.pid})...`);
-    try {
-      // Try to kill gracefully first
-      if (!activeFfmpegProcess.killed) {
-        activeFfmpegProcess.kill('SIGTERM');
-      }
-      
-      // Force kill if SIGTERM doesn't work after 1 second
-      setTimeout(() => {
-        if (activeFfmpegProcess && !activeFfmpegProcess.killed) {
-          Logger.log("TRANSCRIBE", "Force killing ffmpeg process with SIGKILL...");
-          try {
-            activeFfmpegProcess.kill('SIGKILL');
-          } catch (error) {
-            Logger.error("TRANSCRIBE", `Failed to kill ffmpeg process with SIGKILL: ${error.message}`);
-          }
-        }
-        process.exit(0);
-      }, 1000);
-    } catch (error) {
-      Logger.error("TRANSCRIBE", `Error terminating ffmpeg process: ${error.message}`);
-    }
-  } else {
-    Logger.log("TRANSCRIBE", "No active ffmpeg process to terminate");
-  }
-  
-  // Exit quickly
+// Handle SIGINT (Ctrl+C) and SIGTERM signals for graceful shutdown.
+// Aborting stops every job's ffmpeg and lets it save a checkpoint (and partial
+// output with --save-partial) before main() returns; the timer only guards
+// against a hang.
+function handleShutdown(signal) {
+  Logger.log("TRANSCRIBE", `Received ${signal}. Shutting down gracefully...`);
+  if (shutdown.signal.aborted) return;
+  shutdown.abort();
+
+  // Exit even if saving the checkpoint hangs
   setTimeout(() => {
     Logger.log("TRANSCRIBE", "Exiting process...");
     process.exit(0);
-  }, 1000);
-});
+  }, 10000).unref();
+}
+
+process.on('SIGINT', () => handleShutdown('SIGINT'));
+process.on('SIGTERM', () => handleShutdown('SIGTERM'));
 
 main();
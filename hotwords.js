@@ -0,0 +1,117 @@
+// hotwords.js - Per-job hotword lists (contextual biasing)
+// Hotwords are phrases the recognizer should prefer, such as product and
+// people's names. They come from the command line / API, from files and from
+// saved vocabulary profiles (./vocabularies/<name>.txt, one phrase per line,
+// `#` starts a comment). A line may end with ` :<score>` to boost that phrase
+// more or less than the others, e.g. `Sherpa Onnx :3.0`.
+// sherpa-onnx reads the list from a file when the recognizer is created, so
+// writeHotwordsFile() puts the merged list in a temporary file.
+
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+const VOCABULARIES_DIR = process.env.VOCABULARIES_DIR || "./vocabularies";
+
+// Profile names become file names
+const VOCABULARY_NAME_RE = /^[\w.-]+$/;
+
+// "phrase :2.5" - per-phrase boost in the sherpa-onnx hotwords syntax
+const BOOST_RE = /^(.*?)(?:\s+|^):\s*([\d.]+)$/;
+
+/**
+ * Split hotword text into phrases
+ * @param {string|string[]} input - Newline separated text, or a list of such strings
+ * @param {Object} [options]
+ * @param {boolean} [options.commas] - Also split at commas (command line and API lists)
+ * @returns {string[]} - Trimmed phrases without comments, blanks and duplicates
+ * @throws {Error} - When a phrase has an invalid boost
+ */
+export function parseHotwords(input, { commas = false } = {}) {
+  const texts = Array.isArray(input) ? input : [input];
+  const phrases = [];
+  for (const text of texts) {
+    if (typeof text !== "string") throw new Error(`Hotwords must be text (got ${typeof text})`);
+    for (const rawLine of text.split(commas ? /[\n,]/ : /\n/)) {
+      const line = rawLine.replace(/#.*$/, "").replace(/\s+/g, " ").trim();
+      if (!line) continue;
+      const boost = line.match(BOOST_RE);
+      if (boost && !(Number(boost[2]) > 0)) {
+        throw new Error(`Invalid hotword boost in "${line}" (use "phrase :2.0")`);
+      }
+      if (boost && !boost[1]) throw new Error(`Hotword "${line}" has a boost but no phrase`);
+      if (!phrases.includes(line)) phrases.push(line);
+    }
+  }
+  return phrases;
+}
+
+/**
+ * Names of the saved vocabulary profiles
+ * @returns {string[]}
+ */
+export function listVocabularies() {
+  if (!fs.existsSync(VOCABULARIES_DIR)) return [];
+  return fs
+    .readdirSync(VOCABULARIES_DIR)
+    .filter((f) => f.endsWith(".txt"))
+    .map((f) => f.slice(0, -".txt".length))
+    .sort();
+}
+
+/**
+ * Phrases of a saved vocabulary profile
+ * @param {string} name - Profile name (file name without .txt)
+ * @returns {Promise<string[]>}
+ * @throws {Error} - Listing the available profiles when the name is unknown
+ */
+export async function loadVocabulary(name) {
+  if (!VOCABULARY_NAME_RE.test(name)) throw new Error(`Invalid vocabulary name "${name}"`);
+  const file = path.join(VOCABULARIES_DIR, `${name}.txt`);
+  let text;
+  try {
+    text = await fsp.readFile(file, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    const known = listVocabularies();
+    throw new Error(
+      `Unknown vocabulary "${name}" (${known.length > 0 ? `available: ${known.join(", ")}` : `no profiles in ${VOCABULARIES_DIR}`})`
+    );
+  }
+  return parseHotwords(text);
+}
+
+/**
+ * Merge the hotwords of a job
+ * @param {Object} sources
+ * @param {string|string[]} [sources.hotwords] - Comma or newline separated phrases
+ * @param {string[]} [sources.files] - Hotword files (one phrase per line)
+ * @param {string[]} [sources.vocabularies] - Saved profile names
+ * @returns {Promise<string[]>} - Unique phrases, in the order given
+ */
+export async function resolveHotwords({ hotwords = [], files = [], vocabularies = [] } = {}) {
+  const lists = [parseHotwords(hotwords, { commas: true })];
+  for (const file of files) {
+    lists.push(parseHotwords(await fsp.readFile(file, "utf8")));
+  }
+  for (const name of vocabularies) {
+    lists.push(await loadVocabulary(name));
+  }
+  return [...new Set(lists.flat())];
+}
+
+/**
+ * Write hotwords to a temporary file for the recognizer
+ * @param {string[]} phrases
+ * @returns {Promise<{file: string, remove: function(): Promise<void>}>}
+ */
+export async function writeHotwordsFile(phrases) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "hotwords-"));
+  const file = path.join(dir, "hotwords.txt");
+  await fsp.writeFile(file, `${phrases.join("\n")}\n`, "utf8");
+  return {
+    file,
+    remove: () => fsp.rm(dir, { recursive: true, force: true }),
+  };
+}
@@ -0,0 +1,150 @@
+// language-id.js - Spoken language identification with sherpa-onnx
+// The first speech segments of a recording (found with the Silero VAD) are
+// given to a Whisper based SpokenLanguageIdentification model. gensrt.js uses
+// the result to pick a recognition model when it is run with `--model auto`.
+
+import { spawn } from "node:child_process";
+import path from "node:path";
+import sherpa_onnx from "sherpa-onnx-node";
+
+export const DEFAULT_LANGUAGE_ID = {
+  encoder: "./models/sherpa-onnx-whisper-tiny/tiny-encoder.int8.onnx",
+  decoder: "./models/sherpa-onnx-whisper-tiny/tiny-decoder.int8.onnx",
+  // Speech collected for identification (Whisper looks at up to 30 s)
+  speechSeconds: 20,
+  // Stop looking for speech after this much audio
+  scanSeconds: 600,
+  numThreads: 1,
+};
+
+/**
+ * Create a spoken language identifier
+ * @param {Object} [options] - See DEFAULT_LANGUAGE_ID
+ * @returns {Object} - sherpa-onnx SpokenLanguageIdentification
+ */
+export function createLanguageIdentifier(options = {}) {
+  const opts = { ...DEFAULT_LANGUAGE_ID, ...options };
+  return new sherpa_onnx.SpokenLanguageIdentification({
+    whisper: {
+      encoder: path.resolve(opts.encoder),
+      decoder: path.resolve(opts.decoder),
+    },
+    numThreads: opts.numThreads,
+    provider: "cpu",
+    debug: false,
+  });
+}
+
+/**
+ * Collect the first speech of an audio track
+ * @param {string} ffmpegPath - ffmpeg binary
+ * @param {string} file - Media file
+ * @param {Object} options
+ * @param {Object} options.vadConfig - sherpa-onnx Vad config (as used for transcription)
+ * @param {number} options.bufferSeconds - Vad buffer size in seconds
+ * @param {number|null} [options.track] - Audio track (ffmpeg `-map 0:a:<track>`)
+ * @param {number} [options.speechSeconds] - Stop once this much speech is collected
+ * @param {number} [options.scanSeconds] - Audio to scan at most
+ * @param {string|null} [options.audioFilter] - ffmpeg filter graph applied first (see audio-filters.js)
+ * @param {function(import("node:child_process").ChildProcess): void} [options.onSpawn] - Gets the
+ *   ffmpeg process, e.g. to stop it on shutdown
+ * @returns {Promise<Float32Array>} - Concatenated speech (empty when none was found)
+ */
+export function collectSpeech(ffmpegPath, file, options) {
+  const {
+    vadConfig,
+    bufferSeconds,
+    track = null,
+    speechSeconds = DEFAULT_LANGUAGE_ID.speechSeconds,
+    scanSeconds = DEFAULT_LANGUAGE_ID.scanSeconds,
+    audioFilter = null,
+    onSpawn,
+  } = options;
+  const sampleRate = vadConfig.sampleRate;
+  const windowSize = vadConfig.sileroVad.windowSize;
+  const wanted = Math.floor(speechSeconds * sampleRate);
+
+  return new Promise((resolve, reject) => {
+    const vad = new sherpa_onnx.Vad(vadConfig, bufferSeconds);
+    const buffer = new sherpa_onnx.CircularBuffer(Math.max(1, Math.floor(bufferSeconds * sampleRate)));
+    const speech = [];
+    let collected = 0;
+    let failed = null;
+
+    const takeSegments = () => {
+      while (!vad.isEmpty()) {
+        const seg = vad.front();
+        vad.pop();
+        if (collected < wanted) {
+          speech.push(seg.samples);
+          collected += seg.samples.length;
+        }
+      }
+    };
+
+    const ffmpeg = spawn(ffmpegPath, [
+      "-t", String(scanSeconds),
+      "-i", file,
+      ...(track !== null ? ["-map", `0:a:${track}`] : []),
+      ...(audioFilter ? ["-af", audioFilter] : []),
+      "-f", "s16le",
+      "-ac", "1",
+      "-ar", String(sampleRate),
+      "-",
+    ]);
+    if (onSpawn) onSpawn(ffmpeg);
+
+    ffmpeg.stdout.on("data", (chunk) => {
+      if (collected >= wanted || failed) return;
+      try {
+        const samples = new Float32Array(Math.floor(chunk.length / 2));
+        for (let i = 0; i < samples.length; i++) samples[i] = chunk.readInt16LE(i * 2) / 32768;
+        buffer.push(samples);
+        while (buffer.size() >= windowSize) {
+          vad.acceptWaveform(buffer.get(buffer.head(), windowSize));
+          buffer.pop(windowSize);
+          takeSegments();
+        }
+      } catch (error) {
+        failed = error;
+      }
+      // Enough speech: no need to decode the rest
+      if (collected >= wanted || failed) ffmpeg.kill("SIGTERM");
+    });
+    ffmpeg.on("error", reject);
+    ffmpeg.on("close", () => {
+      if (failed) {
+        reject(failed);
+        return;
+      }
+      if (collected < wanted) {
+        vad.flush();
+        takeSegments();
+      }
+      const out = new Float32Array(Math.min(collected, wanted));
+      let offset = 0;
+      for (const samples of speech) {
+        const part = samples.subarray(0, out.length - offset);
+        out.set(part, offset);
+        offset += part.length;
+        if (offset >= out.length) break;
+      }
+      resolve(out);
+    });
+  });
+}
+
+/**
+ * Identify the language spoken in a piece of audio
+ * @param {Object} identifier - From createLanguageIdentifier()
+ * @param {Float32Array} samples - Mono speech samples
+ * @param {number} sampleRate
+ * @returns {string|null} - Language code such as "en", "ja" or "zh"; null if unknown
+ */
+export function identifyLanguage(identifier, samples, sampleRate) {
+  if (samples.length === 0) return null;
+  const stream = identifier.createStream();
+  stream.acceptWaveform({ samples, sampleRate });
+  const language = identifier.compute(stream);
+  return language ? String(language).trim().toLowerCase() : null;
+}
@@ -0,0 +1,185 @@
+// media-probe.js - Audio stream discovery and track selection
+// ffprobe lists the audio streams of a container with their language tags so
+// the track to transcribe can be chosen by index, by language, or automatically
+// from the languages the selected model understands.
+
+import { spawn } from "node:child_process";
+
+// ISO 639-2 (bibliographic and terminology) codes mapped to the ISO 639-1 codes
+// the models are described with. Codes without an entry are kept as they are.
+const ISO_639_2 = {
+  eng: "en", jpn: "ja", zho: "zh", chi: "zh", cmn: "zh", kor: "ko",
+  deu: "de", ger: "de", fra: "fr", fre: "fr", spa: "es", ita: "it",
+  por: "pt", nld: "nl", dut: "nl", pol: "pl", rus: "ru", ukr: "uk",
+  bel: "be", hrv: "hr", ces: "cs", cze: "cs", swe: "sv", nor: "no",
+  dan: "da", fin: "fi", tur: "tr", ara: "ar", hin: "hi", tha: "th",
+  vie: "vi", ind: "id", msa: "ms", may: "ms", ell: "el", gre: "el",
+  heb: "he", hun: "hu", ron: "ro", rum: "ro",
+};
+
+/**
+ * Normalize a language tag to a lowercase ISO 639-1 code where one exists
+ * @param {string} code - e.g. "jpn", "en-US", "ZH"
+ * @returns {string|null} - null for missing or undetermined ("und") languages
+ */
+export function normalizeLanguage(code) {
+  if (!code) return null;
+  const primary = String(code).trim().toLowerCase().split(/[-_]/)[0];
+  if (!primary || primary === "und" || primary === "mis" || primary === "zxx") return null;
+  return ISO_639_2[primary] || primary;
+}
+
+// ISO 639-1 codes back to the (terminology) ISO 639-2 codes containers store
+const ISO_639_1 = Object.fromEntries(
+  Object.entries(ISO_639_2).reverse().map(([long, short]) => [short, long])
+);
+
+/**
+ * ISO 639-2 code for container metadata (MKV/MP4 language tags)
+ * @param {string} code - e.g. "ja", "zh-CN", "eng"
+ * @returns {string} - "und" when unknown
+ */
+export function toIso639_2(code) {
+  const language = normalizeLanguage(code);
+  if (!language) return "und";
+  return ISO_639_1[language] || (language.length === 3 ? language : "und");
+}
+
+/**
+ * Whether a media file has a real video stream (cover art doesn't count)
+ * @param {string} ffprobePath - ffprobe binary
+ * @param {string} file
+ * @returns {Promise<boolean>}
+ */
+export function hasVideoStream(ffprobePath, file) {
+  return new Promise((resolve, reject) => {
+    let stdout = "";
+    let stderr = "";
+    const ffprobe = spawn(ffprobePath, [
+      "-v", "error",
+      "-select_streams", "v",
+      "-show_entries", "stream=index:stream_disposition=attached_pic",
+      "-of", "json",
+      file,
+    ]);
+    ffprobe.stdout.on("data", (chunk) => (stdout += chunk.toString()));
+    ffprobe.stderr.on("data", (chunk) => (stderr += chunk.toString()));
+    ffprobe.on("error", reject);
+    ffprobe.on("close", (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffprobe exited with code ${code}: ${stderr.trim()}`));
+        return;
+      }
+      try {
+        const streams = JSON.parse(stdout).streams || [];
+        resolve(streams.some((s) => s.disposition?.attached_pic !== 1));
+      } catch (error) {
+        reject(new Error(`Unreadable ffprobe output: ${error.message}`));
+      }
+    });
+  });
+}
+
+/**
+ * List the audio streams of a media file
+ * @param {string} ffprobePath - ffprobe binary
+ * @param {string} file
+ * @returns {Promise<Array<{track: number, streamIndex: number, codec: string, channels: number,
+ *   language: string|null, title: string|null, isDefault: boolean}>>}
+ *   - `track` is the position among audio streams (ffmpeg `-map 0:a:<track>`)
+ */
+export function probeAudioStreams(ffprobePath, file) {
+  return new Promise((resolve, reject) => {
+    let stdout = "";
+    let stderr = "";
+    const ffprobe = spawn(ffprobePath, [
+      "-v", "error",
+      "-select_streams", "a",
+      "-show_entries", "stream=index,codec_name,channels:stream_tags=language,title:stream_disposition=default",
+      "-of", "json",
+      file,
+    ]);
+    ffprobe.stdout.on("data", (chunk) => (stdout += chunk.toString()));
+    ffprobe.stderr.on("data", (chunk) => (stderr += chunk.toString()));
+    ffprobe.on("error", reject);
+    ffprobe.on("close", (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffprobe exited with code ${code}: ${stderr.trim()}`));
+        return;
+      }
+      try {
+        const streams = JSON.parse(stdout).streams || [];
+        resolve(
+          streams.map((s, track) => ({
+            track,
+            streamIndex: s.index,
+            codec: s.codec_name || "unknown",
+            channels: s.channels || 0,
+            language: normalizeLanguage(s.tags?.language),
+            title: s.tags?.title || null,
+            isDefault: s.disposition?.default === 1,
+          }))
+        );
+      } catch (error) {
+        reject(new Error(`Unreadable ffprobe output: ${error.message}`));
+      }
+    });
+  });
+}
+
+/**
+ * Short human readable description of an audio stream
+ * @param {Object} stream - Entry from probeAudioStreams()
+ * @returns {string} - e.g. "#1 ja \"Japanese\" aac 2ch (default)"
+ */
+export function describeAudioStream(stream) {
+  return [
+    `#${stream.track}`,
+    stream.language || "und",
+    stream.title ? `"${stream.title}"` : null,
+    stream.codec,
+    stream.channels ? `${stream.channels}ch` : null,
+    stream.isDefault ? "(default)" : null,
+  ].filter(Boolean).join(" ");
+}
+
+/**
+ * Choose the audio stream to transcribe
+ * @param {Array} streams - Entries from probeAudioStreams()
+ * @param {Object} [options]
+ * @param {string|number} [options.track] - "auto" (default), a track number, or a language code
+ * @param {string[]} [options.languages] - Languages of the model, used by "auto"
+ * @returns {{stream: Object, reason: string}|null} - null when the file has no audio stream
+ * @throws {Error} - If a track number is out of range
+ */
+export function selectAudioTrack(streams, { track = "auto", languages = [] } = {}) {
+  if (streams.length === 0) return null;
+  const requested = String(track ?? "auto").trim().toLowerCase();
+
+  if (/^\d+$/.test(requested)) {
+    const stream = streams[Number(requested)];
+    if (!stream) {
+      throw new Error(`Audio track ${requested} does not exist (tracks: 0-${streams.length - 1})`);
+    }
+    return { stream, reason: "requested track" };
+  }
+
+  const pickLanguage = (wanted) => {
+    const matches = streams.filter((s) => s.language && wanted.includes(s.language));
+    return matches.find((s) => s.isDefault) || matches[0] || null;
+  };
+
+  let fallbackReason = "";
+  if (requested !== "auto" && requested !== "") {
+    const language = normalizeLanguage(requested);
+    const stream = pickLanguage([language]);
+    if (stream) return { stream, reason: `requested language ${language}` };
+    fallbackReason = `no ${language} track, `;
+  }
+
+  const modelLanguages = languages.map(normalizeLanguage).filter(Boolean);
+  const stream = pickLanguage(modelLanguages);
+  if (stream) return { stream, reason: `${fallbackReason}matches model language ${stream.language}` };
+  const fallback = streams.find((s) => s.isDefault) || streams[0];
+  return { stream: fallback, reason: `${fallbackReason}${fallback.isDefault ? "default track" : "first track"}` };
+}
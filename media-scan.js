@@ -0,0 +1,164 @@
+// media-scan.js - Find media files to transcribe in a file or directory tree
+// Directories can be walked recursively (optionally limited in depth) and
+// filtered with include/exclude glob patterns. Files are recognised by
+// extension or, when an ffprobe path is given, by probing for an audio stream.
+
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { isMuxOutput } from "./mux.js";
+
+export const MEDIA_EXTENSIONS = new Set([
+  ".wav", ".mp3", ".flac", ".m4a", ".ogg",
+  ".mp4", ".mkv", ".mov", ".avi", ".webm",
+]);
+
+// Never worth probing: subtitles, our own sidecars and other text files
+const TEXT_EXTENSIONS = new Set([
+  ".srt", ".vtt", ".ass", ".ssa", ".ttml", ".json", ".txt", ".part", ".tmp",
+  ".nfo", ".md", ".jpg", ".jpeg", ".png", ".gif", ".webp",
+]);
+
+/**
+ * Convert a glob pattern to a regular expression.
+ * Supports `*`, `**`, `?`, `[...]` and `{a,b}`; matching is case-insensitive.
+ * @param {string} pattern - e.g. "*.mkv", "Season ?/*" or "extras/**"
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let re = "";
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "*") {
+      if (pattern[i + 1] === "*") {
+        // "**/" matches any number of directories (including none)
+        const slash = pattern[i + 2] === "/";
+        re += slash ? "(?:.*/)?" : ".*";
+        i += slash ? 2 : 1;
+      } else {
+        re += "[^/]*";
+      }
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else if (ch === "[") {
+      const close = pattern.indexOf("]", i + 1);
+      if (close === -1) {
+        re += "\\[";
+      } else {
+        const body = pattern.slice(i + 1, close).replace(/^!/, "^").replace(/\\/g, "\\\\");
+        re += `[${body}]`;
+        i = close;
+      }
+    } else if (ch === "{") {
+      braces++;
+      re += "(?:";
+    } else if (ch === "}" && braces > 0) {
+      braces--;
+      re += ")";
+    } else if (ch === "," && braces > 0) {
+      re += "|";
+    } else {
+      re += ch.replace(/[$()*+.?[\\\]^{|}]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`, "i");
+}
+
+/**
+ * Build a matcher for a list of glob patterns. Patterns without a slash match
+ * the file name anywhere in the tree; others match the path relative to the root.
+ * @param {string[]} patterns
+ * @returns {function(string): boolean} - Takes a relative path with "/" separators
+ */
+export function createGlobMatcher(patterns) {
+  const compiled = patterns.map((p) => {
+    const pattern = p.replace(/\\/g, "/").replace(/^\.\//, "");
+    return { re: globToRegExp(pattern), basename: !pattern.includes("/") };
+  });
+  return (relPath) =>
+    compiled.some(({ re, basename }) => re.test(basename ? path.posix.basename(relPath) : relPath));
+}
+
+/**
+ * Ask ffprobe whether a file has at least one audio stream
+ * @param {string} ffprobePath - ffprobe binary
+ * @param {string} file
+ * @returns {Promise<boolean>}
+ */
+export function hasAudioStream(ffprobePath, file) {
+  return new Promise((resolve) => {
+    let stdout = "";
+    const ffprobe = spawn(ffprobePath, [
+      "-v", "error",
+      "-select_streams", "a",
+      "-show_entries", "stream=codec_type",
+      "-of", "csv=p=0",
+      file,
+    ]);
+    ffprobe.stdout.on("data", (chunk) => (stdout += chunk.toString()));
+    ffprobe.on("error", () => resolve(false));
+    ffprobe.on("close", (code) => resolve(code === 0 && stdout.includes("audio")));
+  });
+}
+
+/**
+ * List media files under a file or directory
+ * @param {string} inputPath - File or directory
+ * @param {Object} [options]
+ * @param {boolean} [options.recursive] - Descend into subdirectories
+ * @param {number} [options.maxDepth] - Subdirectory levels to descend (implies recursive)
+ * @param {string[]} [options.include] - Only keep files matching one of these globs
+ * @param {string[]} [options.exclude] - Drop files and directories matching these globs
+ * @param {string} [options.ffprobePath] - Enables content sniffing for unknown extensions
+ * @returns {Promise<string[]>} - Media files sorted by path; videos written by
+ *   --mux are left out of directory scans
+ */
+export async function findMediaFiles(inputPath, options = {}) {
+  const { include = [], exclude = [], ffprobePath = null } = options;
+  const maxDepth = options.maxDepth ?? (options.recursive ? Infinity : 0);
+  const isIncluded = include.length > 0 ? createGlobMatcher(include) : () => true;
+  const isExcluded = exclude.length > 0 ? createGlobMatcher(exclude) : () => false;
+
+  const isMedia = async (file) => {
+    const ext = path.extname(file).toLowerCase();
+    if (MEDIA_EXTENSIONS.has(ext)) return true;
+    if (!ffprobePath || TEXT_EXTENSIONS.has(ext)) return false;
+    return hasAudioStream(ffprobePath, file);
+  };
+
+  const stats = await fs.stat(inputPath);
+  if (!stats.isDirectory()) {
+    return (await isMedia(inputPath)) ? [inputPath] : [];
+  }
+
+  const files = [];
+  // Real paths of visited directories, so symlink loops are walked only once
+  const visited = new Set();
+  const walk = async (dir, depth) => {
+    const real = await fs.realpath(dir);
+    if (visited.has(real)) return;
+    visited.add(real);
+
+    const entries = await fs.readdir(dir);
+    entries.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry);
+      const relPath = path.relative(inputPath, fullPath).split(path.sep).join("/");
+      if (isExcluded(relPath)) continue;
+      let stat;
+      try {
+        stat = await fs.stat(fullPath);
+      } catch {
+        continue; // ignore entries that can't be stat'd (broken links, permissions)
+      }
+      if (stat.isDirectory()) {
+        if (depth < maxDepth) await walk(fullPath, depth + 1);
+      } else if (stat.isFile() && isIncluded(relPath) && !isMuxOutput(entry) && (await isMedia(fullPath))) {
+        files.push(fullPath);
+      }
+    }
+  };
+  await walk(inputPath, 0);
+  return files;
+}
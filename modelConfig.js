@@ -1,74 +1,336 @@
-import path from "path";
-import sherpa_onnx from "sherpa-onnx-node";
+// modelConfig.js - Registry of speech recognition models
+// Models come from a manifest (models.json, or models.yaml when the `yaml`
+// package is installed) and from autodiscovery: every folder in ./models that
+// is not listed in the manifest is inspected and its model family recognised
+// from the files it contains. Each entry declares its type, files, languages
+// and recognizer options, and whether its output needs punctuation restored
+// (see punctuation.js); entries with missing files are kept but marked
+// unusable, with the reasons, so they can be listed and reported. sherpa-onnx
+// is only loaded to create a recognizer, so reading the registry stays light.
 
-// Default model configuration that can be reused
-function createBaseModelConfig(modelSpecificConfig, tokensFile = "tokens.txt") {
-  return (cfg) => {
+import fs from "node:fs";
+import path from "node:path";
+
+const MODELS_DIR = process.env.MODELS_DIR || "./models";
+const MANIFEST_FILES = process.env.MODELS_MANIFEST
+  ? [process.env.MODELS_MANIFEST]
+  : ["./models.json", "./models.yaml", "./models.yml"];
+
+// Files each model type needs (keys of the sherpa-onnx model config), and
+// options that are passed on unchanged. Only transducers decode with modified
+// beam search, which is what hotword biasing needs.
+const MODEL_TYPES = {
+  senseVoice: { files: ["model"], defaults: { useInverseTextNormalization: 1 } },
+  nemoCtc: { files: ["model"], defaults: {} },
+  zipformerCtc: { files: ["model"], defaults: {} },
+  paraformer: { files: ["model"], defaults: {} },
+  dolphin: { files: ["model"], defaults: {} },
+  transducer: { files: ["encoder", "decoder", "joiner"], defaults: {}, hotwords: true },
+  whisper: { files: ["encoder", "decoder"], defaults: { task: "transcribe", tailPaddings: -1 } },
+  fireRedAsr: { files: ["encoder", "decoder"], defaults: {} },
+  moonshine: { files: ["preprocessor", "encoder", "uncachedDecoder", "cachedDecoder"], defaults: {} },
+};
+
+// Language codes recognised in folder names such as "...-zh-en-ja-ko-yue-..."
+const LANGUAGE_CODES = new Set([
+  "ar", "be", "bg", "cs", "da", "de", "el", "en", "es", "fa", "fi", "fr", "he", "hi", "hr",
+  "hu", "id", "it", "ja", "ko", "ms", "nl", "no", "pl", "pt", "ro", "ru", "sk", "sv", "th",
+  "tr", "uk", "vi", "yue", "zh",
+]);
+
+// Folders in ./models that hold other sherpa-onnx models (VAD, diarization,
+// punctuation, ...) rather than recognizers
+const AUXILIARY_DIR_RE = /pyannote|speaker|3dspeaker|wespeaker|silero|vad|punct|gtcrn|denois/i;
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+async function readManifest() {
+  const file = MANIFEST_FILES.find((f) => fs.existsSync(f));
+  if (!file) return { file: null, data: { models: {} } };
+  if (/\.ya?ml$/i.test(file)) {
+    let yaml;
+    try {
+      yaml = await import("yaml");
+    } catch {
+      throw new Error(`Reading ${file} needs the "yaml" package (npm install yaml), or use models.json`);
+    }
+    return { file, data: yaml.parse(fs.readFileSync(file, "utf8")) || {} };
+  }
+  return { file, data: readJson(file) };
+}
+
+// Prefer int8 builds, like the original fixed configuration
+function pickOnnx(files, re) {
+  const matches = files.filter((f) => f.endsWith(".onnx") && re.test(f));
+  return matches.find((f) => f.includes(".int8.")) || matches[0] || null;
+}
+
+/**
+ * Recognise the model family of a folder from the files it contains
+ * @param {string} dirName - Folder name (used for hints such as "sense-voice")
+ * @param {string[]} files - File names in the folder
+ * @returns {{type: string, files: Object}|null} - null when the family is unknown
+ */
+export function detectModelFamily(dirName, files) {
+  const name = dirName.toLowerCase();
+  const tokens = files.find((f) => f === "tokens.txt") || files.find((f) => f.endsWith("tokens.txt")) || "tokens.txt";
+
+  const preprocessor = pickOnnx(files, /^preprocess/);
+  if (preprocessor) {
+    return {
+      type: "moonshine",
+      files: {
+        preprocessor,
+        encoder: pickOnnx(files, /^encode/),
+        uncachedDecoder: pickOnnx(files, /^uncached_decode/),
+        cachedDecoder: pickOnnx(files, /^cached_decode/),
+        tokens,
+      },
+    };
+  }
+
+  const encoder = pickOnnx(files, /encoder/);
+  const decoder = pickOnnx(files, /decoder/);
+  const joiner = pickOnnx(files, /joiner/);
+  if (encoder && decoder && joiner) {
+    // bpe.vocab lets hotwords be split into the model's BPE units
+    const bpeVocab = files.includes("bpe.vocab") ? { bpeVocab: "bpe.vocab" } : {};
+    return { type: "transducer", files: { encoder, decoder, joiner, tokens, ...bpeVocab } };
+  }
+  if (encoder && decoder) {
+    const type = name.includes("fire-red") ? "fireRedAsr" : name.includes("whisper") ? "whisper" : null;
+    return type ? { type, files: { encoder, decoder, tokens } } : null;
+  }
+
+  const model = pickOnnx(files, /^model/);
+  if (!model) return null;
+  const type =
+    name.includes("sense-voice") || name.includes("sensevoice") ? "senseVoice" :
+    name.includes("paraformer") ? "paraformer" :
+    name.includes("dolphin") ? "dolphin" :
+    name.includes("nemo") ? "nemoCtc" :
+    name.includes("zipformer") && name.includes("ctc") ? "zipformerCtc" :
+    null;
+  return type ? { type, files: { model, tokens } } : null;
+}
+
+/**
+ * Guess the languages of a model from its folder name
+ * @param {string} dirName
+ * @returns {string[]}
+ */
+export function languagesFromName(dirName) {
+  return [...new Set(dirName.toLowerCase().split(/[^a-z]+/).filter((t) => LANGUAGE_CODES.has(t)))];
+}
+
+// Check the declared files and fill in problems
+function validateEntry(entry) {
+  const problems = [];
+  const spec = MODEL_TYPES[entry.type];
+  if (!spec) {
+    problems.push(`unknown model type "${entry.type}" (known: ${Object.keys(MODEL_TYPES).join(", ")})`);
+  } else if (!fs.existsSync(entry.modelDir)) {
+    problems.push(`folder ${entry.modelDir} not found`);
+  } else {
+    for (const key of [...spec.files, "tokens"]) {
+      const file = entry.files[key];
+      if (!file) {
+        problems.push(`no ${key} file declared`);
+      } else if (!fs.existsSync(path.join(entry.modelDir, file))) {
+        problems.push(`missing ${file}`);
+      }
+    }
+    if (entry.files.bpeVocab && !fs.existsSync(path.join(entry.modelDir, entry.files.bpeVocab))) {
+      problems.push(`missing ${entry.files.bpeVocab}`);
+    }
+  }
+  return { ...entry, usable: problems.length === 0, problems };
+}
+
+function entryFromManifest(name, raw, baseDir) {
+  const files = { tokens: "tokens.txt", ...(raw.files || {}) };
+  return {
+    name,
+    type: raw.type,
+    modelDir: path.resolve(baseDir, raw.dir || raw.modelDir || path.join(MODELS_DIR, name)),
+    files,
+    languages: raw.languages || languagesFromName(raw.dir || name),
+    options: raw.options || {},
+    ...(raw.modelingUnit ? { modelingUnit: raw.modelingUnit } : {}),
+    punctuation: raw.punctuation === true,
+    source: "manifest",
+  };
+}
+
+function discoverModels(knownDirs) {
+  if (!fs.existsSync(MODELS_DIR)) return [];
+  const entries = [];
+  for (const dirent of fs.readdirSync(MODELS_DIR, { withFileTypes: true })) {
+    if (!dirent.isDirectory() || AUXILIARY_DIR_RE.test(dirent.name)) continue;
+    const modelDir = path.join(MODELS_DIR, dirent.name);
+    if (knownDirs.has(path.resolve(modelDir))) continue;
+
+    const files = fs.readdirSync(modelDir);
+    const family = detectModelFamily(dirent.name, files);
+    const base = {
+      name: dirent.name,
+      modelDir,
+      languages: languagesFromName(dirent.name),
+      options: {},
+      punctuation: false,
+      source: "discovered",
+    };
+    if (!family) {
+      entries.push({ ...base, type: null, files: {}, usable: false, problems: ["model family not recognised from its files"] });
+      continue;
+    }
+    entries.push(validateEntry({ ...base, type: family.type, files: family.files }));
+  }
+  return entries;
+}
+
+async function loadRegistry() {
+  const { file, data } = await readManifest();
+  const baseDir = file ? path.dirname(file) : ".";
+  const fromManifest = Object.entries(data.models || {}).map(([name, raw]) =>
+    validateEntry(entryFromManifest(name, raw, baseDir))
+  );
+  const knownDirs = new Set(fromManifest.map((m) => path.resolve(m.modelDir)));
+  return {
+    defaultModel: data.default || fromManifest[0]?.name || null,
+    models: [...fromManifest, ...discoverModels(knownDirs)],
+  };
+}
+
+const registry = await loadRegistry();
+
+// How hotword phrases are split into tokens: BPE when the model ships a
+// bpe.vocab (mixed with characters for Chinese), otherwise characters
+function modelingUnitOf(entry) {
+  if (entry.modelingUnit) return entry.modelingUnit;
+  if (!entry.files.bpeVocab) return "cjkchar";
+  return entry.languages.includes("zh") ? "cjkchar+bpe" : "bpe";
+}
+
+// Recognizer factory for a registry entry. With `cfg.hotwords` ({file, score,
+// maxActivePaths}) decoding switches to modified beam search biased towards them.
+function createRecognizerFactory(entry) {
+  const spec = MODEL_TYPES[entry.type];
+  return async (cfg) => {
+    const { default: sherpa_onnx } = await import("sherpa-onnx-node");
+    const modelFiles = Object.fromEntries(
+      spec.files.map((key) => [key, path.join(cfg.modelDir, entry.files[key])])
+    );
+    const modelConfig = {
+      [entry.type]: { ...spec.defaults, ...modelFiles, ...entry.options },
+      tokens: path.join(cfg.modelDir, entry.files.tokens),
+      numThreads: cfg.numThreads || 2, // 2 by default to limit CPU usage and prevent speed degradation
+      provider: "cpu",
+      debug: false,
+    };
+    let decoding = {};
+    if (cfg.hotwords) {
+      if (!spec.hotwords) throw new Error(hotwordSupport(entry).reason);
+      modelConfig.modelingUnit = modelingUnitOf(entry);
+      if (entry.files.bpeVocab) modelConfig.bpeVocab = path.join(cfg.modelDir, entry.files.bpeVocab);
+      decoding = {
+        decodingMethod: "modified_beam_search",
+        maxActivePaths: cfg.hotwords.maxActivePaths || 4,
+        hotwordsFile: cfg.hotwords.file,
+        hotwordsScore: cfg.hotwords.score,
+      };
+    }
     return new sherpa_onnx.OfflineRecognizer({
       featConfig: { sampleRate: cfg.sampleRate, featureDim: cfg.featDim },
-      modelConfig: {
-        ...modelSpecificConfig(cfg),
-        tokens: path.join(cfg.modelDir, tokensFile),
-        numThreads: 2, // Reduced from 4 to 2 threads to decrease CPU usage and prevent speed degradation
-        provider: "cpu",
-        debug: false,
-      },
+      modelConfig,
+      ...decoding,
     });
   };
 }
 
-const MODELS = {
-  senseVoice: {
-    modelDir: "./models/sherpa-onnx-sense-voice-zh-en-ja-ko-yue-2024-07-17",
-    createRecognizer: createBaseModelConfig(
-      (cfg) => ({
-        senseVoice: {
-          model: path.join(cfg.modelDir, "model.int8.onnx"),
-          useInverseTextNormalization: 1,
-        }
-      })
-    ),
-  },
-
-  nemoCtc: {
-    modelDir:
-      "./models/sherpa-onnx-nemo-fast-conformer-transducer-be-de-en-es-fr-hr-it-pl-ru-uk-20k",
-    createRecognizer: createBaseModelConfig(
-      (cfg) => ({
-        nemoCtc: {
-          model: path.join(cfg.modelDir, "model.onnx"),
-          useInverseTextNormalization: 1,
-        }
-      })
-    ),
-  },
-
-  transducer: {
-    modelDir: "./models/sherpa-onnx-zipformer-ja-reazonspeech-2024-08-01",
-    createRecognizer: createBaseModelConfig(
-      (cfg) => ({
-        transducer: {
-          encoder: path.join(
-            cfg.modelDir,
-            "encoder-epoch-99-avg-1.int8.onnx",
-          ),
-          decoder: path.join(
-            cfg.modelDir,
-            "decoder-epoch-99-avg-1.int8.onnx",
-          ),
-          joiner: path.join(cfg.modelDir, "joiner-epoch-99-avg-1.int8.onnx"),
-          useInverseTextNormalization: 1,
-        }
-      })
-    ),
-  },
-};
+/**
+ * All registered models, usable or not
+ * @returns {Array<{name: string, type: string|null, modelDir: string, files: Object,
+ *   languages: string[], options: Object, punctuation: boolean, source: string, usable: boolean,
+ *   problems: string[]}>}
+ */
+export function listModels() {
+  return registry.models.map((m) => ({ ...m }));
+}
+
+export const MODEL_NAMES = registry.models.filter((m) => m.usable).map((m) => m.name);
+
+// Model name that picks the model per file from the detected language
+export const AUTO_MODEL = "auto";
+
+// Model used when none is given, and when the language of a file can't be matched
+export const DEFAULT_MODEL = registry.defaultModel || MODEL_NAMES[0] || "senseVoice";
+
+/**
+ * Whether a model can be biased with hotwords
+ * @param {{name: string, type: string}} model - Registry entry
+ * @returns {{supported: boolean, reason: string|null}} - reason says why not, and which models can
+ */
+export function hotwordSupport(model) {
+  if (MODEL_TYPES[model.type]?.hotwords) return { supported: true, reason: null };
+  const capable = registry.models.filter((m) => m.usable && MODEL_TYPES[m.type]?.hotwords).map((m) => m.name);
+  return {
+    supported: false,
+    reason:
+      `Model "${model.name}" (${model.type}) can't use hotwords: only transducer models decode with ` +
+      `modified beam search (${capable.length > 0 ? `available: ${capable.join(", ")}` : "none installed"})`,
+  };
+}
 
-export function getModel(modelName) {
-  const m = MODELS[modelName];
+/**
+ * Model best suited to a spoken language: the most specialised usable model
+ * (the one covering the fewest languages) that lists it
+ * @param {string} language - Language code such as "ja"
+ * @returns {string|null} - Model name, or null when no model covers the language
+ */
+export function findModelForLanguage(language) {
+  const candidates = registry.models.filter((m) => m.usable && m.languages.includes(language));
+  candidates.sort((a, b) => a.languages.length - b.languages.length);
+  return candidates[0]?.name || null;
+}
+
+// One line per model for error messages
+function describeModels() {
+  if (registry.models.length === 0) return `  (no models found in ${MODELS_DIR} or a models.json manifest)`;
+  return registry.models
+    .map((m) => `  - ${m.name}${m.type ? ` (${m.type})` : ""}: ${m.usable ? "ok" : `unusable, ${m.problems.join("; ")}`}`)
+    .join("\n");
+}
+
+/**
+ * Registry entry of a model, whether or not it is usable
+ * @param {string} modelName
+ * @returns {Object|null}
+ */
+export function findModel(modelName) {
+  return registry.models.find((m) => m.name === modelName) || null;
+}
+
+/**
+ * Get a usable model
+ * @param {string} modelName
+ * @param {Object} [overrides]
+ * @param {Object} [overrides.files] - Replace some of the model's files, e.g. an fp32 build
+ *   `{ model: "model.onnx" }` instead of the registered int8 one
+ * @returns {{name: string, type: string, modelDir: string, languages: string[], punctuation: boolean,
+ *   createRecognizer: function(Object): Promise<Object>}}
+ * @throws {Error} - Listing every model (and why it is unusable) when the name is unknown or unusable
+ */
+export function getModel(modelName, { files } = {}) {
+  const m = findModel(modelName);
   if (!m) {
-    const avail = Object.keys(MODELS).join(", ");
-    throw new Error(`Unknown model "${modelName}". Available: ${avail}`);
+    throw new Error(`Unknown model "${modelName}". Models:\n${describeModels()}`);
+  }
+  if (!m.usable) {
+    throw new Error(`Model "${modelName}" is unusable: ${m.problems.join("; ")}. Models:\n${describeModels()}`);
   }
-  return m;
+  const entry = files ? { ...m, files: { ...m.files, ...files } } : m;
+  return { ...entry, createRecognizer: createRecognizerFactory(entry) };
 }
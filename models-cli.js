@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+// models-cli.js - Verify, inspect and benchmark the models in the registry
+// Every model load happens in a child process: a truncated ONNX file that
+// crashes the native loader is reported instead of ending the command, and the
+// peak memory of each model is measured on its own.
+
+import { fork } from "node:child_process";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import ffmpegInstaller from "@ffmpeg-installer/ffmpeg";
+import Logger from "./logger.js";
+import { findModel, getModel, listModels } from "./modelConfig.js";
+import { decodeAudio } from "./diarization.js";
+
+const COMMANDS = ["verify", "info", "bench"];
+const SAMPLE_RATE = 16000;
+const FEAT_DIM = 80;
+// The clip is decoded in pieces of this length, like the speech segments gensrt.js decodes
+const BENCH_CHUNK_SECONDS = 20;
+
+// With --json only the results go to stdout
+let jsonOutput = false;
+function progress(message) {
+  if (!jsonOutput) Logger.log("MODELS", message);
+}
+
+const CLI_OPTIONS = {
+  help: { type: "boolean", short: "h", description: "Show this help and exit" },
+  clip: { type: "string", short: "c", value: "file", description: "Reference audio/video clip for bench" },
+  threads: { type: "string", short: "t", value: "n", default: "2", description: "Threads per recognizer (default: 2)" },
+  json: { type: "boolean", description: "Print the results as JSON" },
+  // Internal: run one load or benchmark in a child process
+  child: { type: "string" },
+};
+
+function printHelp() {
+  const rows = Object.entries(CLI_OPTIONS)
+    .filter(([, opt]) => opt.description)
+    .map(([name, opt]) => [
+      `${opt.short ? `-${opt.short}, ` : "    "}--${name}${opt.value ? ` <${opt.value}>` : ""}`,
+      opt.description,
+    ]);
+  const width = Math.max(...rows.map(([flags]) => flags.length));
+  console.log(
+    [
+      "Usage: node models-cli.js <command> [model...] [options]",
+      "",
+      "Commands:",
+      "  verify  Check that every file of a model exists and that the model loads",
+      "  info    Show type, languages, quantization and size of each model",
+      "  bench   Transcribe --clip with each model (int8 and fp32 builds when both exist)",
+      "          and report the real-time factor and peak memory",
+      "",
+      "Without model names every registered model is used.",
+      "",
+      "Options:",
+      ...rows.map(([flags, description]) => `  ${flags.padEnd(width)}  ${description}`),
+    ].join("\n")
+  );
+}
+
+function formatBytes(bytes) {
+  if (bytes === null) return "?";
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+function printTable(header, rows) {
+  const widths = header.map((h, c) => Math.max(h.length, ...rows.map((row) => String(row[c]).length)));
+  const line = (cells) => cells.map((cell, c) => String(cell).padEnd(widths[c])).join("  ");
+  console.log(`   ${line(header)}`);
+  console.log(`   ${widths.map((w) => "-".repeat(w)).join("  ")}`);
+  for (const row of rows) console.log(`   ${line(row)}`);
+}
+
+async function fileSize(file) {
+  try {
+    return (await fs.stat(file)).size;
+  } catch {
+    return null;
+  }
+}
+
+// Files referenced by a registry entry, with their sizes
+async function modelFiles(entry, files = entry.files) {
+  return Promise.all(
+    Object.entries(files).map(async ([key, file]) => {
+      const fullPath = path.join(entry.modelDir, file);
+      return { key, file, path: fullPath, size: await fileSize(fullPath) };
+    })
+  );
+}
+
+/**
+ * Quantization of a model, from the names of its ONNX files
+ * @param {string[]} files
+ * @returns {string} - "int8", "fp16", "fp32", or "mixed (...)" when the files differ
+ */
+function quantization(files) {
+  const kinds = new Set(
+    files
+      .filter((f) => f.endsWith(".onnx"))
+      .map((f) => (/[.-]int8[.-]/.test(f) ? "int8" : /[.-]fp16[.-]/.test(f) ? "fp16" : "fp32"))
+  );
+  if (kinds.size === 0) return "?";
+  return kinds.size === 1 ? [...kinds][0] : `mixed (${[...kinds].join(", ")})`;
+}
+
+// fp32 counterparts of the int8 files ("model.int8.onnx" -> "model.onnx"), if all exist
+async function fp32Files(entry) {
+  const swapped = {};
+  let changed = false;
+  for (const [key, file] of Object.entries(entry.files)) {
+    if (!file.includes(".int8.")) continue;
+    const fp32 = file.replace(".int8.", ".");
+    if ((await fileSize(path.join(entry.modelDir, fp32))) === null) return null;
+    swapped[key] = fp32;
+    changed = true;
+  }
+  return changed ? swapped : null;
+}
+
+// Run a load or benchmark of one model in a child process
+function runChild(task) {
+  return new Promise((resolve) => {
+    let message = null;
+    const child = fork(fileURLToPath(import.meta.url), ["--child", JSON.stringify(task)], {
+      stdio: ["ignore", "ignore", "pipe", "ipc"],
+    });
+    let stderr = "";
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+    child.on("message", (msg) => (message = msg));
+    child.on("error", (error) => resolve({ ok: false, error: error.message || String(error) }));
+    child.on("exit", (code, signal) => {
+      if (message) {
+        resolve(message);
+      } else {
+        const how = signal ? `crashed (${signal})` : `exited with code ${code}`;
+        // Native crashes end with a stack dump; keep the line that explains the failure
+        const detail = stderr.split("\n").reverse().find((l) => /what\(\)|error|failed/i.test(l))?.trim();
+        resolve({ ok: false, error: `model loader ${how}${detail ? `: ${detail}` : ""}` });
+      }
+    });
+  });
+}
+
+// Child side of runChild()
+async function childTask({ task, model, files, threads, clip }) {
+  const started = performance.now();
+  const fileModel = getModel(model, { files });
+  const recognizer = await fileModel.createRecognizer({
+    sampleRate: SAMPLE_RATE,
+    featDim: FEAT_DIM,
+    modelDir: fileModel.modelDir,
+    numThreads: threads,
+  });
+  const loadSeconds = (performance.now() - started) / 1000;
+  const peakRssMB = () => process.resourceUsage().maxRSS / 1024;
+  if (task === "load") return { loadSeconds, peakRssMB: peakRssMB() };
+
+  const samples = await decodeAudio(ffmpegInstaller.path, clip, { sampleRate: SAMPLE_RATE });
+  const chunk = BENCH_CHUNK_SECONDS * SAMPLE_RATE;
+  const text = [];
+  const decodeStart = performance.now();
+  for (let offset = 0; offset < samples.length; offset += chunk) {
+    const stream = recognizer.createStream();
+    stream.acceptWaveform({ samples: samples.subarray(offset, offset + chunk), sampleRate: SAMPLE_RATE });
+    recognizer.decode(stream);
+    const result = recognizer.getResult(stream);
+    if (result.text.trim()) text.push(result.text.trim());
+  }
+  const decodeSeconds = (performance.now() - decodeStart) / 1000;
+  const duration = samples.length / SAMPLE_RATE;
+  return {
+    loadSeconds,
+    duration,
+    decodeSeconds,
+    rtf: duration > 0 ? decodeSeconds / duration : null,
+    peakRssMB: peakRssMB(),
+    text: text.join(" "),
+  };
+}
+
+async function verify(models, threads) {
+  const results = [];
+  for (const entry of models) {
+    const problems = [...entry.problems];
+    if (entry.usable) {
+      for (const file of await modelFiles(entry)) {
+        if (file.size === 0) problems.push(`${file.file} is empty`);
+      }
+    }
+    let load = null;
+    if (problems.length === 0) {
+      progress(`Loading ${entry.name}...`);
+      load = await runChild({ task: "load", model: entry.name, threads });
+      if (!load.ok) problems.push(load.error);
+    }
+    results.push({
+      name: entry.name,
+      ok: problems.length === 0,
+      problems,
+      loadSeconds: load?.result?.loadSeconds ?? null,
+      peakRssMB: load?.result?.peakRssMB ?? null,
+    });
+  }
+  return results;
+}
+
+async function info(models) {
+  return Promise.all(
+    models.map(async (entry) => {
+      const files = await modelFiles(entry);
+      return {
+        name: entry.name,
+        source: entry.source,
+        type: entry.type,
+        modelDir: entry.modelDir,
+        languages: entry.languages,
+        punctuation: entry.punctuation === true,
+        quantization: quantization(files.map((f) => f.file)),
+        size: files.reduce((sum, f) => sum + (f.size || 0), 0),
+        files,
+        usable: entry.usable,
+        problems: entry.problems,
+      };
+    })
+  );
+}
+
+async function bench(models, threads, clip) {
+  const results = [];
+  for (const entry of models) {
+    const variants = [{ files: undefined, precision: quantization(Object.values(entry.files)) }];
+    const fp32 = await fp32Files(entry);
+    if (fp32) variants.push({ files: fp32, precision: "fp32" });
+    for (const variant of variants) {
+      progress(`Benchmarking ${entry.name} (${variant.precision})...`);
+      const run = await runChild({ task: "bench", model: entry.name, files: variant.files, threads, clip });
+      if (!run.ok) Logger.error("MODELS", `${entry.name} (${variant.precision}): ${run.error}`);
+      results.push({ name: entry.name, precision: variant.precision, ok: run.ok, error: run.error, ...run.result });
+    }
+  }
+  return results;
+}
+
+async function main() {
+  let options, positionals;
+  try {
+    ({ values: options, positionals } = parseArgs({ options: CLI_OPTIONS, allowPositionals: true, strict: true }));
+  } catch (error) {
+    Logger.error("MODELS", error.message);
+    process.exit(1);
+  }
+
+  if (options.child) {
+    let message;
+    try {
+      message = { ok: true, result: await childTask(JSON.parse(options.child)) };
+    } catch (error) {
+      message = { ok: false, error: error.message || String(error) };
+    }
+    process.send(message, () => process.exit(0));
+    return;
+  }
+
+  if (options.help) {
+    printHelp();
+    return;
+  }
+
+  jsonOutput = Boolean(options.json);
+  const [command, ...names] = positionals;
+  if (!COMMANDS.includes(command)) {
+    Logger.error("MODELS", command ? `Unknown command "${command}"` : "Missing command");
+    printHelp();
+    process.exit(1);
+  }
+  const threads = Number(options.threads);
+  if (!Number.isInteger(threads) || threads < 1) {
+    Logger.error("MODELS", `--threads must be a whole number of at least 1, got "${options.threads}"`);
+    process.exit(1);
+  }
+
+  const unknown = names.filter((name) => !findModel(name));
+  if (unknown.length > 0) {
+    Logger.error("MODELS", `Unknown model(s): ${unknown.join(", ")}. Known: ${listModels().map((m) => m.name).join(", ")}`);
+    process.exit(1);
+  }
+  const models = names.length > 0 ? names.map(findModel) : listModels();
+  if (models.length === 0) {
+    Logger.warn("MODELS", "No models found (see models.json and ./models)");
+    return;
+  }
+
+  if (command === "verify") {
+    const results = await verify(models, threads);
+    if (options.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      printTable(
+        ["Model", "Status", "Load", "Peak RSS", "Problems"],
+        results.map((r) => [
+          r.name,
+          r.ok ? "ok" : "FAILED",
+          r.loadSeconds !== null ? `${r.loadSeconds.toFixed(1)}s` : "-",
+          r.peakRssMB !== null ? `${r.peakRssMB.toFixed(0)} MB` : "-",
+          r.problems.join("; ") || "-",
+        ])
+      );
+    }
+    if (results.some((r) => !r.ok)) process.exitCode = 1;
+    return;
+  }
+
+  if (command === "info") {
+    const results = await info(models);
+    if (options.json) {
+      console.log(JSON.stringify(results, null, 2));
+      return;
+    }
+    for (const m of results) {
+      console.log(`${m.name} (${m.source})`);
+      console.log(`  type:         ${m.type || "unknown"}`);
+      console.log(`  folder:       ${m.modelDir}`);
+      console.log(`  languages:    ${m.languages.join(", ") || "unknown"}`);
+      console.log(`  quantization: ${m.quantization}`);
+      console.log(`  punctuation:  ${m.punctuation ? "restored (punctuation.js)" : "from the model"}`);
+      console.log(`  size:         ${formatBytes(m.size)}`);
+      for (const f of m.files) console.log(`  ${`${f.key}:`.padEnd(14)}${f.file} (${f.size === null ? "missing" : formatBytes(f.size)})`);
+      console.log(`  status:       ${m.usable ? "ok" : `unusable, ${m.problems.join("; ")}`}`);
+    }
+    return;
+  }
+
+  if (!options.clip) {
+    Logger.error("MODELS", "bench needs a reference clip: --clip <file>");
+    process.exit(1);
+  }
+  try {
+    await fs.access(options.clip);
+  } catch {
+    Logger.error("MODELS", `Clip not found: ${options.clip}`);
+    process.exit(1);
+  }
+  const usable = models.filter((m) => m.usable);
+  for (const m of models.filter((m) => !m.usable)) {
+    Logger.warn("MODELS", `Skipping ${m.name}: ${m.problems.join("; ")}`);
+  }
+  const results = await bench(usable, threads, options.clip);
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else if (results.length > 0) {
+    Logger.log("MODELS", `Results for ${path.basename(options.clip)} (${threads} thread(s); RTF below 1 is faster than real time):`);
+    printTable(
+      ["Model", "Precision", "Load", "Decode", "RTF", "Peak RSS"],
+      results.map((r) =>
+        r.ok
+          ? [r.name, r.precision, `${r.loadSeconds.toFixed(1)}s`, `${r.decodeSeconds.toFixed(1)}s`,
+            r.rtf !== null ? r.rtf.toFixed(3) : "-", `${r.peakRssMB.toFixed(0)} MB`]
+          : [r.name, r.precision, "-", "-", "FAILED", "-"]
+      )
+    );
+  }
+  if (results.some((r) => !r.ok)) process.exitCode = 1;
+}
+
+main();
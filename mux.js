@@ -0,0 +1,199 @@
+// mux.js - Put generated subtitles into the source video with ffmpeg
+// "soft" muxes the subtitle files of a job (and translations made by
+// srt-gtk.js, <name>-<lang>.srt) as selectable tracks with language tags;
+// video and audio are copied. "hard" burns one subtitle track into the picture,
+// re-encoding the video, with an optional ASS style override.
+
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { normalizeLanguage, toIso639_2 } from "./media-probe.js";
+
+export const MUX_MODES = ["soft", "hard"];
+export const MUX_CONTAINERS = ["mkv", "mp4"];
+
+// Subtitle formats that can become tracks, best first (ASS keeps speaker styles)
+const TRACK_FORMATS = { ass: ".ass", srt: ".srt", vtt: ".vtt" };
+
+export const DEFAULT_BURN = {
+  // ASS style fields applied on top of the subtitle's own, e.g. "FontSize=24,Outline=2"
+  style: "",
+  // libx264 quality and speed for the re-encoded video
+  crf: 20,
+  preset: "medium",
+};
+
+/**
+ * Container for a muxed file: MP4 for MP4/MOV sources, otherwise MKV
+ * @param {string} input - Source media file
+ * @returns {string}
+ */
+export function defaultContainer(input) {
+  return /\.(mp4|m4v|mov)$/i.test(input) ? "mp4" : "mkv";
+}
+
+/**
+ * Where the muxed or burned video goes
+ * @param {string} outputBase - Subtitle output path without extension
+ * @param {string} mode - "soft" or "hard"
+ * @param {string} container - "mkv" or "mp4"
+ * @returns {string}
+ */
+export function muxOutputPath(outputBase, mode, container) {
+  return `${outputBase}.${mode === "hard" ? "hardsub" : "subbed"}.${container}`;
+}
+
+/**
+ * Whether a file is a video written by muxOutputPath(), so folder scans don't
+ * transcribe it again
+ * @param {string} file
+ * @returns {boolean}
+ */
+export function isMuxOutput(file) {
+  return new RegExp(`\\.(?:subbed|hardsub)\\.(?:${MUX_CONTAINERS.join("|")})$`, "i").test(file);
+}
+
+/**
+ * Subtitle files of a job that can be muxed: the transcript in its best
+ * format, then every translation next to it
+ * @param {string} outputBase - Subtitle output path without extension
+ * @param {Object} [options]
+ * @param {string[]} [options.formats] - Formats the job wrote
+ * @param {string|null} [options.language] - Spoken language of the transcript
+ * @returns {Promise<Array<{file: string, language: string|null, title: string, translated: boolean}>>}
+ */
+export async function findSubtitleTracks(outputBase, { formats = ["srt"], language = null } = {}) {
+  const tracks = [];
+  const exists = (file) => fs.access(file).then(() => true, () => false);
+
+  for (const [format, extension] of Object.entries(TRACK_FORMATS)) {
+    if (!formats.includes(format) || !(await exists(outputBase + extension))) continue;
+    tracks.push({ file: outputBase + extension, language, title: "Transcript", translated: false });
+    break;
+  }
+
+  // srt-gtk.js names translations <name>-<target language>.srt
+  const dir = path.dirname(outputBase);
+  const prefix = `${path.basename(outputBase)}-`;
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir);
+  } catch {
+    // no folder, no translations
+  }
+  for (const entry of entries.sort()) {
+    if (!entry.startsWith(prefix) || !entry.toLowerCase().endsWith(".srt")) continue;
+    const code = entry.slice(prefix.length, -".srt".length);
+    if (!/^[a-z]{2,3}(?:-[a-z0-9]{2,4})?$/i.test(code)) continue;
+    tracks.push({ file: path.join(dir, entry), language: normalizeLanguage(code), title: `Translation (${code})`, translated: true });
+  }
+  return tracks;
+}
+
+// Escape a value for an ffmpeg filter option, then for the filtergraph around it
+function escapeFilterValue(value) {
+  const option = value.replace(/[\\':]/g, "\\$&");
+  return option.replace(/[\\'[\],;]/g, "\\$&");
+}
+
+// Run ffmpeg, reporting how much of the source has been written
+function runFfmpeg(ffmpegPath, args, { duration = 0, onProgress, onSpawn } = {}) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(ffmpegPath, ["-y", "-nostats", "-progress", "pipe:1", ...args]);
+    onSpawn?.(ffmpeg);
+    let stderr = "";
+    let pending = "";
+    ffmpeg.stderr.on("data", (chunk) => {
+      // Keep the tail; it holds the error when ffmpeg fails
+      stderr = (stderr + chunk.toString()).slice(-4000);
+    });
+    ffmpeg.stdout.on("data", (chunk) => {
+      pending += chunk.toString();
+      const lines = pending.split("\n");
+      pending = lines.pop();
+      for (const line of lines) {
+        const match = line.match(/^out_time_(?:us|ms)=(\d+)/);
+        if (!match || !onProgress) continue;
+        const processed = Number(match[1]) / 1e6;
+        onProgress({
+          processed,
+          duration,
+          percent: duration > 0 ? Math.min(100, Math.round((processed / duration) * 100)) : null,
+        });
+      }
+    });
+    ffmpeg.on("error", (error) => reject(new Error(`Failed to spawn FFmpeg: ${error.message}`)));
+    ffmpeg.on("close", (code, signal) => {
+      if (code === 0) return resolve();
+      const detail = stderr.trim().split("\n").slice(-3).join(" ");
+      reject(new Error(signal ? `FFmpeg stopped by ${signal}` : `FFmpeg exited with code ${code}: ${detail}`));
+    });
+  });
+}
+
+/**
+ * Mux subtitle tracks into a copy of the video (soft subtitles)
+ * @param {string} ffmpegPath - ffmpeg binary
+ * @param {string} input - Source video
+ * @param {Array<{file: string, language: string|null, title: string}>} tracks - From findSubtitleTracks()
+ * @param {Object} options
+ * @param {string} options.output - Output file (.mkv or .mp4)
+ * @param {number} [options.duration] - Source duration in seconds, for progress
+ * @param {function(Object): void} [options.onProgress] - Gets `{processed, duration, percent}`
+ * @param {function(import("node:child_process").ChildProcess): void} [options.onSpawn]
+ * @returns {Promise<string>} - The output file
+ */
+export async function muxSubtitles(ffmpegPath, input, tracks, options) {
+  if (tracks.length === 0) throw new Error(`No subtitles to mux into ${path.basename(input)}`);
+  const { output } = options;
+  const mp4 = /\.mp4$/i.test(output);
+  const args = ["-i", input];
+  for (const track of tracks) args.push("-i", track.file);
+  args.push("-map", "0:v", "-map", "0:a?");
+  tracks.forEach((track, i) => args.push("-map", `${i + 1}:0`));
+  // Existing subtitle tracks are kept after ours; MP4 can't hold most of them
+  if (!mp4) args.push("-map", "0:s?");
+  args.push("-c", "copy", "-c:s", mp4 ? "mov_text" : "copy");
+  tracks.forEach((track, i) => {
+    args.push(
+      `-metadata:s:s:${i}`, `language=${toIso639_2(track.language)}`,
+      `-metadata:s:s:${i}`, `title=${track.title}`,
+      `-disposition:s:${i}`, i === 0 ? "default" : "0"
+    );
+  });
+  args.push(output);
+  await runFfmpeg(ffmpegPath, args, options);
+  return output;
+}
+
+/**
+ * Burn one subtitle track into the video (hard subtitles)
+ * @param {string} ffmpegPath - ffmpeg binary
+ * @param {string} input - Source video
+ * @param {{file: string}} track - From findSubtitleTracks()
+ * @param {Object} options
+ * @param {string} options.output - Output file (.mkv or .mp4)
+ * @param {string} [options.style] - ASS style override, e.g. "FontName=Arial,FontSize=24"
+ * @param {number} [options.crf] - libx264 quality (lower is better)
+ * @param {string} [options.preset] - libx264 preset
+ * @param {number} [options.duration] - Source duration in seconds, for progress
+ * @param {function(Object): void} [options.onProgress] - Gets `{processed, duration, percent}`
+ * @param {function(import("node:child_process").ChildProcess): void} [options.onSpawn]
+ * @returns {Promise<string>} - The output file
+ */
+export async function burnSubtitles(ffmpegPath, input, track, options) {
+  const { output, style, crf, preset } = { ...DEFAULT_BURN, ...options };
+  let filter = `subtitles=filename=${escapeFilterValue(path.resolve(track.file))}`;
+  if (style) filter += `:force_style=${escapeFilterValue(style)}`;
+  const args = [
+    "-i", input,
+    "-map", "0:v:0", "-map", "0:a?",
+    "-vf", filter,
+    "-c:v", "libx264", "-crf", String(crf), "-preset", preset,
+    // MP4 takes AAC reliably; MKV keeps the original audio
+    "-c:a", /\.mp4$/i.test(output) ? "aac" : "copy",
+    output,
+  ];
+  await runFfmpeg(ffmpegPath, args, options);
+  return output;
+}
@@ -0,0 +1,77 @@
+// output-meta.js - Where a media file's subtitles go, and the sidecar describing how they were made
+// `<output>.meta.json` is written after a successful transcription. It lets a
+// rerun tell whether existing subtitles came from a different model, and gives
+// later steps (such as translation) information about the source.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Output path without extension for a media file; each format appends its own
+ * @param {string} inputFile - Media file
+ * @param {Object} [options]
+ * @param {string} [options.root] - Scanned directory; its layout is mirrored below outputDir
+ * @param {string} [options.outputDir] - Write outputs here instead of next to the media
+ * @param {boolean} [options.uploaded] - Web upload: outputs go to /sdcard/Download
+ * @returns {string}
+ */
+export function getOutputBase(inputFile, { root = null, outputDir = null, uploaded = false } = {}) {
+  const filename = path.basename(inputFile);
+  const baseName = filename.replace(/\.[^.]*$/, "");
+  let safeBaseName = baseName.replace(/[\x00-\x1f"*/:<>?|]/g, "_");
+
+  if (Buffer.byteLength(safeBaseName, "utf8") > 150) {
+    while (Buffer.byteLength(safeBaseName, "utf8") > 150 && safeBaseName.length > 0) {
+      safeBaseName = safeBaseName.slice(0, -1);
+    }
+  }
+  if (outputDir) {
+    const relDir = root ? path.relative(root, path.dirname(inputFile)) : "";
+    const mirrored = relDir.startsWith("..") || path.isAbsolute(relDir) ? "" : relDir;
+    return path.join(outputDir, mirrored, safeBaseName);
+  }
+  return inputFile.startsWith("/tmp/") || uploaded
+    ? path.join("/sdcard/Download", safeBaseName)
+    : path.join(path.dirname(inputFile), safeBaseName);
+}
+
+/**
+ * Path of the meta sidecar for an output base path
+ * @param {string} outBase - Output path without extension
+ * @returns {string}
+ */
+export function metaPath(outBase) {
+  return `${outBase}.meta.json`;
+}
+
+/**
+ * Read the meta sidecar
+ * @param {string} outBase - Output path without extension
+ * @returns {Promise<Object|null>} - null when missing or unreadable
+ */
+export async function readOutputMeta(outBase) {
+  try {
+    return JSON.parse(await fs.readFile(metaPath(outBase), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write the meta sidecar
+ * @param {string} outBase - Output path without extension
+ * @param {Object} meta
+ * @param {string} meta.source - Media file that was transcribed
+ * @param {string} meta.model - Model name
+ * @param {string[]} meta.formats - Formats written
+ */
+export async function writeOutputMeta(outBase, { source, model, formats, ...extra }) {
+  const data = {
+    source: path.resolve(source),
+    model,
+    formats,
+    ...extra,
+    createdAt: new Date().toISOString(),
+  };
+  await fs.writeFile(metaPath(outBase), JSON.stringify(data, null, 2) + "\n", "utf8");
+}
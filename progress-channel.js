@@ -0,0 +1,86 @@
+// progress-channel.js - Machine-readable progress events for the CLIs
+// gensrt.js, srt-gtk.js, srt-timing.js and batch.js write one JSON object per line (NDJSON) to the file
+// descriptor given with `--progress-fd`, so callers such as server.js don't
+// have to parse log text. Every event has `event` (its type), `tool` and `time`
+// (ms since the epoch); the other fields depend on the type:
+//
+//   start     {file}                                       work on a file began
+//   language  {file, language, model}                      spoken language detected
+//   progress  {file, percent, processed, duration, elapsed, remaining, speed}
+//             (srt-gtk: {file, percent, processed, total} in subtitle entries;
+//             gensrt --mux adds stage "mux" or "burn" while writing the video,
+//             srt-timing stage "resync" while detecting speech; batch.js
+//             {file, stage, row, percent, processed, total} in steps of the
+//             whole manifest, and complete/error per row with its `row`)
+//   segment   {file, start, end, text, speaker}            a decoded speech segment
+//   complete  {file, outputs, ...}                         a file is finished
+//   cancelled {file, offset}                               stopped; resumable from offset (s)
+//   error     {file, message}                              a file failed (file is null
+//                                                           for errors that end the run)
+//
+// Readers should ignore event types and fields they don't know.
+
+import fs from "node:fs";
+
+export const PROGRESS_EVENTS = ["start", "language", "progress", "segment", "complete", "cancelled", "error"];
+
+/**
+ * Open the progress channel
+ * @param {number|string|undefined} fd - File descriptor from --progress-fd; without it events are dropped
+ * @param {string} tool - Name of the emitting program, e.g. "gensrt"
+ * @returns {{enabled: boolean, emit: function(string, Object): void}}
+ * @throws {Error} - If fd isn't a whole number of at least 3: stdin, stdout and stderr
+ *   are never progress channels
+ */
+export function openProgressChannel(fd, tool) {
+  if (fd !== undefined && (!/^\d+$/.test(String(fd)) || Number(fd) < 3)) {
+    throw new Error(`--progress-fd must be a file descriptor number of at least 3 (got "${fd}")`);
+  }
+  const descriptor = Number(fd);
+  let enabled = fd !== undefined;
+
+  const emit = (event, data = {}) => {
+    if (!enabled) return;
+    if (!PROGRESS_EVENTS.includes(event)) throw new Error(`Unknown progress event "${event}"`);
+    const line = Buffer.from(`${JSON.stringify({ event, tool, time: Date.now(), ...data })}\n`);
+    // Written synchronously so nothing is lost when the process exits right after
+    try {
+      let written = 0;
+      while (written < line.length) written += fs.writeSync(descriptor, line, written);
+    } catch {
+      // The reader went away; keep running without progress events
+      enabled = false;
+    }
+  };
+
+  return {
+    get enabled() {
+      return enabled;
+    },
+    emit,
+  };
+}
+
+/**
+ * Parse NDJSON progress output incrementally
+ * @param {function(Object): void} onEvent - Called with every parsed event
+ * @returns {function(Buffer|string): void} - Feed it the data as it arrives
+ */
+export function createProgressParser(onEvent) {
+  let pending = "";
+  return (chunk) => {
+    pending += chunk.toString();
+    const lines = pending.split("\n");
+    pending = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        continue; // not a progress event
+      }
+      if (event && typeof event.event === "string") onEvent(event);
+    }
+  };
+}
@@ -0,0 +1,125 @@
+// punctuation.js - Punctuation restoration and casing for unpunctuated model output
+// CTC and transducer models such as nemoCtc return lowercase run-on text. A
+// sherpa-onnx OfflinePunctuation (CT-Transformer) model adds punctuation to each
+// decoded segment; in "context" mode it also sees the previous segment, so a
+// sentence that spans a VAD boundary is punctuated as one. Sentence starts of
+// all-lowercase text are then capitalised. Models opt in with
+// `"punctuation": true` in the model registry (models.json).
+
+import fs from "node:fs";
+import path from "node:path";
+import sherpa_onnx from "sherpa-onnx-node";
+import { alignWords } from "./segment.js";
+
+export const DEFAULT_PUNCTUATION = {
+  model: "./models/sherpa-onnx-punct-ct-transformer-zh-en-vocab272727-2024-04-12/model.onnx",
+  // "context": the previous segment is given as context, "segment": each segment alone
+  mode: "context",
+  numThreads: 1,
+};
+
+// "auto" follows the model registry, "off" disables, the others force a mode
+export const PUNCTUATION_MODES = ["auto", "context", "segment", "off"];
+
+// Characters the model reads and writes back unchanged
+const CONTENT_RE = /[\p{L}\p{N}]/u;
+const SENTENCE_END_RE = /[.!?。！？]$/;
+
+/**
+ * Create the sherpa-onnx punctuation model
+ * @param {Object} [options] - See DEFAULT_PUNCTUATION
+ * @returns {Object} - sherpa-onnx OfflinePunctuation
+ * @throws {Error} - When the model file is missing
+ */
+export function createPunctuationModel(options = {}) {
+  const opts = { ...DEFAULT_PUNCTUATION, ...options };
+  const model = path.resolve(opts.model);
+  if (!fs.existsSync(model)) {
+    throw new Error(
+      `Punctuation model not found: ${opts.model} (download sherpa-onnx-punct-ct-transformer-zh-en from ` +
+        "https://github.com/k2-fsa/sherpa-onnx/releases/tag/punctuation-models)"
+    );
+  }
+  return new sherpa_onnx.OfflinePunctuation({
+    model: { ctTransformer: model, numThreads: opts.numThreads, provider: "cpu", debug: false },
+  });
+}
+
+/**
+ * Punctuate text, optionally after the text that precedes it
+ * @param {Object} model - From createPunctuationModel()
+ * @param {string} text
+ * @param {string} [context] - Preceding text; only its effect on `text` is kept
+ * @returns {{text: string, sentenceStart: boolean}} - sentenceStart: the context ends a sentence
+ */
+export function punctuate(model, text, context = "") {
+  if (!context) return { text: model.addPunct(text).trim(), sentenceStart: true };
+
+  const output = model.addPunct(`${context} ${text}`);
+  // Skip as many letters and digits as the context has; what follows them
+  // up to the next letter is the punctuation the model put after the context
+  let remaining = [...context].filter((ch) => CONTENT_RE.test(ch)).length;
+  let i = 0;
+  const chars = [...output];
+  while (i < chars.length && remaining > 0) {
+    if (CONTENT_RE.test(chars[i])) remaining--;
+    i++;
+  }
+  let between = "";
+  while (i < chars.length && !CONTENT_RE.test(chars[i])) between += chars[i++];
+  return { text: chars.slice(i).join("").trim(), sentenceStart: SENTENCE_END_RE.test(between.trim()) };
+}
+
+/**
+ * Capitalise sentence starts of text written without capitals. Text that
+ * already has capitals (or a script without case) is returned unchanged.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.sentenceStart] - The text starts a new sentence
+ * @param {string|null} [options.language] - With "en" the pronoun "i" is capitalised too
+ * @returns {string}
+ */
+export function applyCasing(text, { sentenceStart = true, language = null } = {}) {
+  if (/\p{Lu}/u.test(text) || !/\p{Ll}/u.test(text)) return text;
+  // A space must follow Latin full stops, so "i.e." doesn't start sentences
+  let out = text.replace(/([.!?]\s+|[。！？]\s*)(\p{Ll})/gu, (m, end, letter) => end + letter.toUpperCase());
+  if (sentenceStart) out = out.replace(/^([^\p{L}]*)(\p{Ll})/u, (m, lead, letter) => lead + letter.toUpperCase());
+  if (language === "en") out = out.replace(/\bi\b(?!\.)/g, "I");
+  return out;
+}
+
+/**
+ * Punctuate segments as they are decoded
+ * @param {Object} [options] - See DEFAULT_PUNCTUATION
+ * @param {Object} [info]
+ * @param {string|null} [info.language] - Spoken language, used for casing
+ * @returns {{apply: function(import("./segment.js").Segment): void, free: function(): void}}
+ */
+export function createPunctuator(options = {}, { language = null } = {}) {
+  const opts = { ...DEFAULT_PUNCTUATION, ...options };
+  const model = createPunctuationModel(opts);
+  let previous = null; // {text, speaker} of the last segment, as the recognizer wrote it
+
+  const apply = (segment) => {
+    const raw = segment.text;
+    // A new speaker starts a new sentence
+    const context = opts.mode === "context" && previous && previous.speaker === segment.speaker ? previous.text : "";
+    previous = { text: raw, speaker: segment.speaker };
+
+    const { text: punctuated, sentenceStart } = punctuate(model, raw, context);
+    if (!punctuated) return;
+    const text = applyCasing(punctuated, { sentenceStart, language });
+    segment.text = text;
+    if (segment.words && segment.words.length > 0) {
+      // Without a match the cues are timed from the text instead of the words
+      segment.words = alignWords(segment.words, text) || [];
+    }
+  };
+
+  return {
+    apply,
+    free: () => {
+      if (typeof model.free === "function") model.free();
+    },
+  };
+}
@@ -0,0 +1,248 @@
+// segment-review.js - Spot decoded segments that are probably wrong
+// Recognizers sometimes loop on a phrase, emit a word for a stretch of music or
+// write text for near-silence. Each segment is checked as it is decoded for
+//   repetition  the same word or phrase many times in a row
+//   speed       more characters per second than anyone speaks, or a long
+//               segment with next to no text
+//   energy      speech quieter than the VAD should have let through
+//   script      text mostly in a script the spoken language doesn't use
+// and the flagged ones are listed in a `<output>.review.json` report. With the
+// "mark" action their text is prefixed with REVIEW_MARK in the subtitles, with
+// "drop" they are left out.
+
+import fs from "node:fs/promises";
+import { Segment } from "./segment.js";
+import { formatTime } from "./subtitle-formats.js";
+
+export const REVIEW_ACTIONS = ["report", "mark", "drop"];
+export const REVIEW_CHECKS = ["repetition", "speed", "energy", "script"];
+export const REVIEW_MARK = "[?] ";
+
+export const DEFAULT_REVIEW = {
+  // A word or phrase of up to maxPhraseWords words repeated this often in a row
+  minRepeats: 4,
+  maxPhraseWords: 4,
+  // Characters per second faster than speech
+  maxCps: 25,
+  // Segments at least this long need minCps characters per second
+  slowMinDuration: 4,
+  minCps: 1,
+  // RMS level of the segment audio, in dBFS
+  minLevelDb: -45,
+  // Share of the letters that has to be in a script of the spoken language
+  minScriptShare: 0.5,
+};
+
+// Scripts of languages not written in the Latin alphabet; Latin for the languages in LATIN_LANGUAGES
+const LANGUAGE_SCRIPTS = {
+  zh: ["Han"], yue: ["Han"], ja: ["Han", "Hiragana", "Katakana"], ko: ["Hangul", "Han"],
+  ru: ["Cyrillic"], uk: ["Cyrillic"], be: ["Cyrillic"], bg: ["Cyrillic"], sr: ["Cyrillic", "Latin"],
+  mk: ["Cyrillic"], kk: ["Cyrillic"], mn: ["Cyrillic"],
+  ar: ["Arabic"], fa: ["Arabic"], ur: ["Arabic"], he: ["Hebrew"], el: ["Greek"], th: ["Thai"],
+  hi: ["Devanagari"], mr: ["Devanagari"], ne: ["Devanagari"], bn: ["Bengali"], ta: ["Tamil"],
+  te: ["Telugu"], ka: ["Georgian"], hy: ["Armenian"], am: ["Ethiopic"], km: ["Khmer"],
+  lo: ["Lao"], my: ["Myanmar"],
+};
+const LATIN_LANGUAGES = new Set([
+  "en", "de", "fr", "es", "it", "pt", "nl", "sv", "da", "no", "nb", "nn", "fi", "pl", "cs", "sk", "sl",
+  "hr", "bs", "ro", "hu", "tr", "vi", "id", "ms", "tl", "et", "lv", "lt", "is", "ga", "cy", "eu", "ca",
+  "gl", "sq", "af", "sw", "yo", "mt", "lb",
+]);
+
+const SCRIPT_RES = Object.fromEntries(
+  [...new Set([...Object.values(LANGUAGE_SCRIPTS).flat(), "Latin"])].map((script) => [
+    script,
+    new RegExp(`\\p{Script=${script}}`, "u"),
+  ])
+);
+const LETTER_RE = /\p{L}/u;
+const CJK_CHAR_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const TOKEN_EDGE_RE = /^[\p{P}\p{S}]+|[\p{P}\p{S}]+$/gu;
+
+/**
+ * Scripts a language is written in
+ * @param {string|null} language - ISO 639-1 code
+ * @returns {string[]|null} - Unicode script names; null when unknown
+ */
+export function languageScripts(language) {
+  if (!language) return null;
+  if (LANGUAGE_SCRIPTS[language]) return LANGUAGE_SCRIPTS[language];
+  return LATIN_LANGUAGES.has(language) ? ["Latin"] : null;
+}
+
+// Words for repetition checks: CJK characters count one each
+function tokenize(text) {
+  const tokens = [];
+  for (const word of text.toLowerCase().split(/\s+/)) {
+    const clean = word.replace(TOKEN_EDGE_RE, "");
+    if (!clean) continue;
+    if (CJK_CHAR_RE.test(clean)) {
+      for (const ch of clean) if (!/[\p{P}\p{S}]/u.test(ch)) tokens.push(ch);
+    } else {
+      tokens.push(clean);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * The longest run of a repeated word or phrase
+ * @param {string} text
+ * @param {Object} [options] - minRepeats and maxPhraseWords, see DEFAULT_REVIEW
+ * @returns {{phrase: string, count: number}|null} - null when nothing repeats minRepeats times
+ */
+export function findRepetition(text, { minRepeats = DEFAULT_REVIEW.minRepeats, maxPhraseWords = DEFAULT_REVIEW.maxPhraseWords } = {}) {
+  const tokens = tokenize(text);
+  let best = null;
+  for (let size = 1; size <= maxPhraseWords; size++) {
+    for (let start = 0; start + size * minRepeats <= tokens.length; start++) {
+      let count = 1;
+      while (
+        start + (count + 1) * size <= tokens.length &&
+        tokens.slice(start + count * size, start + (count + 1) * size).every((t, i) => t === tokens[start + i])
+      ) {
+        count++;
+      }
+      if (count >= minRepeats && (!best || count * size > best.count * best.size)) {
+        best = { phrase: tokens.slice(start, start + size).join(size > 1 && !CJK_CHAR_RE.test(tokens[start]) ? " " : ""), count, size };
+      }
+    }
+  }
+  return best && { phrase: best.phrase, count: best.count };
+}
+
+/**
+ * RMS level of audio samples
+ * @param {Float32Array} samples
+ * @returns {number} - dBFS; -Infinity for silence
+ */
+export function levelDb(samples) {
+  if (!samples || samples.length === 0) return -Infinity;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return 10 * Math.log10(sum / samples.length);
+}
+
+/**
+ * Share of the letters of a text written in the given scripts
+ * @param {string} text
+ * @param {string[]} scripts - Unicode script names
+ * @returns {number|null} - null when the text has too few letters to tell
+ */
+export function scriptShare(text, scripts) {
+  let letters = 0;
+  let matching = 0;
+  for (const ch of text) {
+    if (!LETTER_RE.test(ch)) continue;
+    letters++;
+    if (scripts.some((script) => SCRIPT_RES[script].test(ch))) matching++;
+  }
+  // A lone "OK" in Chinese speech is no mismatch
+  return letters >= 4 ? matching / letters : null;
+}
+
+/**
+ * Check one segment
+ * @param {import("./segment.js").Segment} segment
+ * @param {Object} [context]
+ * @param {Float32Array} [context.samples] - Segment audio; the energy check is skipped without it
+ * @param {string|null} [context.language] - Spoken language; the script check is skipped without it
+ * @param {Object} [context.options] - Thresholds, see DEFAULT_REVIEW
+ * @returns {Array<{check: string, detail: string}>} - Empty when nothing looks wrong
+ */
+export function reviewSegment(segment, { samples = null, language = null, options = {} } = {}) {
+  const opts = { ...DEFAULT_REVIEW, ...options };
+  const issues = [];
+  const text = segment.text || "";
+
+  const repetition = findRepetition(text, opts);
+  if (repetition) issues.push({ check: "repetition", detail: `"${repetition.phrase}" x${repetition.count}` });
+
+  const characters = [...text].filter((ch) => /[\p{L}\p{N}]/u.test(ch)).length;
+  const cps = segment.duration > 0 ? characters / segment.duration : 0;
+  if (cps > opts.maxCps) {
+    issues.push({ check: "speed", detail: `${cps.toFixed(1)} characters/s in ${segment.duration.toFixed(1)}s` });
+  } else if (segment.duration >= opts.slowMinDuration && cps < opts.minCps) {
+    issues.push({ check: "speed", detail: `${characters} character(s) in ${segment.duration.toFixed(1)}s` });
+  }
+
+  if (samples) {
+    const level = levelDb(samples);
+    if (level < opts.minLevelDb) {
+      issues.push({ check: "energy", detail: `${Number.isFinite(level) ? level.toFixed(1) : "-inf"} dBFS` });
+    }
+  }
+
+  const scripts = languageScripts(language);
+  if (scripts) {
+    const share = scriptShare(text, scripts);
+    if (share !== null && share < opts.minScriptShare) {
+      issues.push({ check: "script", detail: `${Math.round(share * 100)}% ${scripts.join("/")} for ${language}` });
+    }
+  }
+  return issues;
+}
+
+/**
+ * A copy of a flagged segment with REVIEW_MARK in front of its text
+ * @param {import("./segment.js").Segment} segment
+ * @returns {import("./segment.js").Segment}
+ */
+export function markSegment(segment) {
+  const words = segment.words && segment.words.length > 0
+    ? [{ ...segment.words[0], text: `${REVIEW_MARK}${segment.words[0].text}` }, ...segment.words.slice(1)]
+    : [];
+  const marked = new Segment(segment.start, segment.duration, `${REVIEW_MARK}${segment.text}`, words);
+  marked.speaker = segment.speaker;
+  return marked;
+}
+
+/**
+ * Path of the review report for an output base
+ * @param {string} outBase - Output path without extension
+ * @returns {string}
+ */
+export function reviewPath(outBase) {
+  return `${outBase}.review.json`;
+}
+
+/**
+ * Summarize the flagged segments and write the report
+ * @param {string} outBase - Output path without extension
+ * @param {Object} info
+ * @param {string} info.source - Media file
+ * @param {string} info.model - Model name
+ * @param {string|null} info.language - Spoken language
+ * @param {string} info.action - One of REVIEW_ACTIONS
+ * @param {Object} info.options - Thresholds used
+ * @param {import("./segment.js").Segment[]} info.segments - All decoded segments, flagged ones with `review`
+ * @returns {Promise<{report: string, segments: number, flagged: number, checks: Object<string, number>}>}
+ */
+export async function writeReviewReport(outBase, { source, model, language, action, options, segments }) {
+  const flagged = segments.filter((s) => s.review && s.review.length > 0);
+  const checks = Object.fromEntries(REVIEW_CHECKS.map((check) => [check, 0]));
+  for (const s of flagged) for (const issue of s.review) checks[issue.check]++;
+  const report = reviewPath(outBase);
+  const data = {
+    source,
+    model,
+    language,
+    action,
+    thresholds: { ...DEFAULT_REVIEW, ...options },
+    createdAt: new Date().toISOString(),
+    segments: segments.length,
+    flagged: flagged.length,
+    checks,
+    cues: flagged.map((s) => ({
+      start: formatTime(s.start),
+      end: formatTime(s.end),
+      text: s.text,
+      speaker: s.speaker ?? undefined,
+      issues: s.review,
+    })),
+  };
+  const tmp = `${report}.tmp`;
+  await fs.writeFile(tmp, `${JSON.stringify(data, null, 2)}\n`, "utf8");
+  await fs.rename(tmp, report);
+  return { report, segments: segments.length, flagged: flagged.length, checks };
+}
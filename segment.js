@@ -0,0 +1,141 @@
+// segment.js - Transcribed segment model plus word-timing helpers
+// Segments come from VAD chunks; when the recognizer reports token timestamps
+// they are grouped into words so cues can be timed (and split) at real word times
+// by segmentation.js.
+
+import { formatTime } from "./subtitle-formats.js";
+
+// CJK ideographs, kana and hangul are written without spaces between words
+const CJK_RE = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿]/;
+// Sentence/clause punctuation that never starts a new word
+const PUNCT_RE = /^[\p{P}\p{S}]+$/u;
+// Special tokens such as <|en|>, <|HAPPY|>, <unk>
+const SPECIAL_TOKEN_RE = /^<[^>]*>$/;
+// Letters and digits, which edits of the text keep in order
+const CONTENT_RE = /[\p{L}\p{N}]/u;
+
+/**
+ * Whether a character belongs to a script written without spaces (CJK)
+ * @param {string} ch - Single character
+ * @returns {boolean}
+ */
+export function isCjk(ch) {
+  return CJK_RE.test(ch);
+}
+
+export class Segment {
+  constructor(start, duration, text, words = []) {
+    this.start = start;
+    this.duration = duration;
+    this.text = text;
+    this.words = words;
+    // 0-based speaker id when diarization is enabled
+    this.speaker = null;
+  }
+  get end() {
+    return this.start + this.duration;
+  }
+  toString() {
+    return `${formatTime(this.start)} --> ${formatTime(this.end)}\n${this.text}`;
+  }
+}
+
+/**
+ * Join words into display text, omitting spaces between CJK characters
+ * @param {string[]} parts - Word texts
+ * @returns {string}
+ */
+export function joinWords(parts) {
+  let out = "";
+  for (const part of parts) {
+    if (!part) continue;
+    if (!out) {
+      out = part;
+      continue;
+    }
+    const noSpace =
+      CJK_RE.test(out.at(-1)) || CJK_RE.test(part[0]) || PUNCT_RE.test(part[0]);
+    out += noSpace ? part : ` ${part}`;
+  }
+  return out;
+}
+
+/**
+ * Group recognizer tokens into timed words.
+ * Token timestamps are relative to the start of the decoded stream.
+ * @param {string[]} tokens - Tokens from recognizer.getResult()
+ * @param {number[]} timestamps - Start time of each token in seconds
+ * @param {number} offset - Absolute start of the segment in seconds
+ * @param {number} segmentEnd - Absolute end of the segment in seconds
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+export function tokensToWords(tokens, timestamps, offset, segmentEnd) {
+  if (!Array.isArray(tokens) || !Array.isArray(timestamps)) return [];
+  if (tokens.length === 0 || tokens.length !== timestamps.length) return [];
+
+  const words = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const raw = tokens[i];
+    if (!raw || SPECIAL_TOKEN_RE.test(raw)) continue;
+
+    // A token lasts until the next real token starts
+    let next = i + 1;
+    while (next < tokens.length && (!tokens[next] || SPECIAL_TOKEN_RE.test(tokens[next]))) next++;
+    const start = offset + timestamps[i];
+    const end = next < tokens.length ? offset + timestamps[next] : segmentEnd;
+    const startsWord = /^[\s▁]/.test(raw);
+    const text = raw.replace(/^[\s▁]+/, "");
+    if (!text) continue;
+
+    const current = words.at(-1);
+    const isCjk = CJK_RE.test(text);
+    const isPunct = PUNCT_RE.test(text);
+
+    if (current && isPunct) {
+      // Attach punctuation to the preceding word
+      current.text += text;
+      current.end = Math.max(current.end, end);
+    } else if (current && !startsWord && !isCjk && !CJK_RE.test(current.text.at(-1))) {
+      // Continuation piece of a BPE word
+      current.text += text;
+      current.end = Math.max(current.end, end);
+    } else {
+      words.push({ text, start, end: Math.max(start, end) });
+    }
+  }
+  return words;
+}
+
+/**
+ * Carry edited segment text (punctuation, casing) over to its timed words:
+ * letters are matched in order, and added punctuation is appended to the word before it
+ * @param {Array<{text: string}>} words
+ * @param {string} text - The same words, edited
+ * @returns {Array<Object>|null} - New words, or null when they don't match the text
+ */
+export function alignWords(words, text) {
+  const chars = [...text];
+  const out = [];
+  let pos = 0;
+  for (const word of words) {
+    let wordText = "";
+    for (const ch of word.text) {
+      while (pos < chars.length && chars[pos].toLowerCase() !== ch.toLowerCase()) {
+        if (CONTENT_RE.test(chars[pos])) return null;
+        // Added punctuation belongs to the end of the previous word
+        if (!/\s/.test(chars[pos])) {
+          if (out.length > 0 && !wordText) out.at(-1).text += chars[pos];
+          else wordText += chars[pos];
+        }
+        pos++;
+      }
+      if (pos >= chars.length) return null;
+      wordText += chars[pos++];
+    }
+    out.push({ ...word, text: wordText });
+  }
+  const rest = chars.slice(pos).join("");
+  if (CONTENT_RE.test(rest)) return null;
+  if (out.length > 0) out.at(-1).text += rest.replace(/\s/g, "");
+  return out;
+}
@@ -0,0 +1,273 @@
+// segmentation.js - Readability-aware cue building
+// Turns recognizer segments into subtitle cues that respect line length, line
+// count, reading speed and cue duration limits. Breaks prefer punctuation and
+// word boundaries; CJK text is measured by display width.
+
+import { Segment, isCjk, joinWords } from "./segment.js";
+
+export const DEFAULT_CUE_OPTIONS = {
+  maxCharsPerLine: 42, // display columns; CJK characters count as 2
+  maxLines: 2,
+  maxCps: 17, // characters per second; a soft limit, see buildCues()
+  minDuration: 1,
+  maxDuration: 7,
+  maxPause: 0.5, // a longer silence always starts a new cue
+};
+
+// Small gap kept between consecutive cues when extending display time
+const CUE_GAP = 0.04;
+const STRONG_PUNCT_RE = /[.!?。！？…]["'”’）)」』]?$/;
+const WEAK_PUNCT_RE = /[,;:，、；：—-]["'”’）)」』]?$/;
+const PUNCT_START_RE = /^[\p{P}\p{S}]/u;
+
+/**
+ * Validate and fill in cue options
+ * @param {Object} [options] - Partial options (see DEFAULT_CUE_OPTIONS)
+ * @returns {Object} - Complete options
+ * @throws {Error} - If a value is not a positive number or limits contradict each other
+ */
+export function normalizeCueOptions(options = {}) {
+  const out = { ...DEFAULT_CUE_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined || value === null || value === "") continue;
+    if (!(key in DEFAULT_CUE_OPTIONS)) {
+      throw new Error(`Unknown segmentation option "${key}"`);
+    }
+    const num = Number(value);
+    if (!Number.isFinite(num) || num <= 0) {
+      throw new Error(`Segmentation option "${key}" must be a positive number (got "${value}")`);
+    }
+    out[key] = key === "maxCharsPerLine" || key === "maxLines" ? Math.floor(num) : num;
+  }
+  if (out.minDuration > out.maxDuration) {
+    throw new Error(`minDuration (${out.minDuration}s) is longer than maxDuration (${out.maxDuration}s)`);
+  }
+  return out;
+}
+
+/**
+ * Display width of a string: wide (CJK/fullwidth) characters take two columns
+ * @param {string} text
+ * @returns {number}
+ */
+export function displayWidth(text) {
+  let width = 0;
+  for (const ch of text) {
+    const code = ch.codePointAt(0);
+    if (ch === "\n") continue;
+    width += isCjk(ch) || (code >= 0xff01 && code <= 0xff60) || (code >= 0x3000 && code <= 0x303f) ? 2 : 1;
+  }
+  return width;
+}
+
+// Characters counted for reading speed (line breaks excluded)
+function charCount(text) {
+  return [...text.replace(/\n/g, "")].length;
+}
+
+// Unbreakable units: a Latin word with its trailing space, or one CJK character
+// with any punctuation that follows it (punctuation never starts a line)
+function breakUnits(text) {
+  return text.match(/\s+|[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}][\p{P}\p{S}]*\s*|[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+\s*/gu) || [];
+}
+
+function greedyLines(units, maxChars) {
+  const lines = [];
+  let line = "";
+  for (const unit of units) {
+    const candidate = line + unit;
+    if (line && displayWidth(candidate.trimEnd()) > maxChars) {
+      lines.push(line.trimEnd());
+      line = unit.trimStart();
+    } else {
+      line = candidate;
+    }
+  }
+  if (line.trim()) lines.push(line.trimEnd());
+  return lines;
+}
+
+/**
+ * Break text into display lines of at most maxChars columns.
+ * Two-line results are balanced, preferring a break after punctuation.
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string[]} - Lines (may exceed maxLines; callers decide what fits)
+ */
+export function wrapLines(text, maxChars) {
+  const clean = text.replace(/\s+/g, " ").trim();
+  if (displayWidth(clean) <= maxChars) return clean ? [clean] : [];
+
+  const units = breakUnits(clean);
+  const lines = greedyLines(units, maxChars);
+  if (lines.length !== 2) return lines;
+
+  let best = lines;
+  let bestCost = Infinity;
+  for (let i = 1; i < units.length; i++) {
+    const first = units.slice(0, i).join("").trim();
+    const second = units.slice(i).join("").trim();
+    if (!first || !second) continue;
+    const w1 = displayWidth(first);
+    const w2 = displayWidth(second);
+    if (w1 > maxChars || w2 > maxChars) continue;
+    let cost = Math.abs(w1 - w2);
+    if (STRONG_PUNCT_RE.test(first)) cost -= maxChars / 2;
+    else if (WEAK_PUNCT_RE.test(first)) cost -= maxChars / 3;
+    if (cost < bestCost) {
+      bestCost = cost;
+      best = [first, second];
+    }
+  }
+  return best;
+}
+
+// Split text without timings into words and spread the segment time over them
+// proportionally to their display width
+function synthesizeWords(segment) {
+  const parts = breakUnits(segment.text.trim())
+    .map((u) => u.trim())
+    .filter(Boolean);
+  const total = parts.reduce((sum, p) => sum + displayWidth(p), 0) || 1;
+  let cursor = segment.start;
+  return parts.map((text) => {
+    const length = (segment.duration * displayWidth(text)) / total;
+    const word = { text, start: cursor, end: cursor + length, speaker: segment.speaker };
+    cursor += length;
+    return word;
+  });
+}
+
+function makeCue(words, opts) {
+  const start = words[0].start;
+  const end = Math.max(words.at(-1).end, start);
+  const text = wrapLines(joinWords(words.map((w) => w.text)), opts.maxCharsPerLine).join("\n");
+  const cue = new Segment(start, end - start, text, words);
+  cue.speaker = words[0].speaker ?? null;
+  return cue;
+}
+
+// Characters per second of words shown from the first one until `until` (at most maxDuration)
+function readingSpeed(words, until, opts) {
+  const available = Math.min(until - CUE_GAP, words[0].start + opts.maxDuration) - words[0].start;
+  const characters = charCount(joinWords(words.map((w) => w.text)));
+  return available > 0 ? characters / available : Infinity;
+}
+
+// `nextStart` is the start of the word after the cue: the timing pass can't show it any longer.
+// A single line is accepted however fast it is spoken: splitting it would leave
+// pieces that are just as fast, with less time on screen each
+function fitsCue(words, opts, nextStart = Infinity) {
+  const text = joinWords(words.map((w) => w.text));
+  if (displayWidth(text) > opts.maxCharsPerLine * opts.maxLines) return false;
+  if (wrapLines(text, opts.maxCharsPerLine).length > opts.maxLines) return false;
+  if (words.at(-1).end - words[0].start > opts.maxDuration) return false;
+  // Too fast to read even if shown until the next word: fast speech gets cues of
+  // one line, so there is less to read at a time
+  return displayWidth(text) <= opts.maxCharsPerLine || readingSpeed(words, nextStart, opts) <= opts.maxCps;
+}
+
+// Best place to end a cue that overflowed: prefer sentence ends, then clause
+// punctuation, then the longest pause, looking only at the second half
+function bestBreak(words, next) {
+  let best = words.length - 1;
+  let bestScore = -Infinity;
+  for (let k = Math.floor(words.length / 2); k < words.length; k++) {
+    const following = k + 1 < words.length ? words[k + 1] : next;
+    const gap = Math.max(0, following.start - words[k].end);
+    let score = gap * 2;
+    if (STRONG_PUNCT_RE.test(words[k].text)) score += 3;
+    else if (WEAK_PUNCT_RE.test(words[k].text)) score += 2;
+    // Mild preference for fuller cues
+    score += k / words.length;
+    if (score > bestScore) {
+      bestScore = score;
+      best = k;
+    }
+  }
+  return best;
+}
+
+/**
+ * Build readable cues from recognizer segments.
+ * Segments with word timings are split at real word times; others get
+ * interpolated timings. maxCps is a soft limit: cues are shown longer (up to
+ * the next speech and maxDuration) to meet it, and speech too fast to read on
+ * two lines gets one-line cues, but speech faster than maxCps on one line
+ * still gives cues above it.
+ * @param {Segment[]} segments - Segments sorted by start time
+ * @param {Object} [options] - Cue options (see DEFAULT_CUE_OPTIONS)
+ * @param {number} [limitEnd] - Start of the next speech after these segments;
+ *   the last cue is never extended past it
+ * @returns {Segment[]} - Cues with line-broken text
+ */
+export function buildCues(segments, options = {}, limitEnd = Infinity) {
+  if (!Array.isArray(segments) || segments.length === 0) return [];
+  const opts = normalizeCueOptions(options);
+
+  const words = [];
+  const segmentEnds = new Set(); // indices of words that end a VAD segment
+  for (const s of segments) {
+    const segmentWords = s.words && s.words.length > 0 ? s.words : synthesizeWords(s);
+    // Words without their own speaker belong to the segment's speaker
+    words.push(...segmentWords.map((w) => (w.speaker == null && s.speaker != null ? { ...w, speaker: s.speaker } : w)));
+    segmentEnds.add(words.length - 1);
+  }
+
+  const cues = [];
+  let current = [];
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (current.length === 0) {
+      current.push(word);
+      continue;
+    }
+
+    // A long pause or a change of speaker always starts a new cue
+    const pause = word.start - current.at(-1).end;
+    if (pause >= opts.maxPause || (word.speaker ?? null) !== (current.at(-1).speaker ?? null)) {
+      cues.push(makeCue(current, opts));
+      current = [word];
+      continue;
+    }
+
+    const nextStart = words[i + 1]?.start ?? limitEnd;
+    const candidate = [...current, word];
+    if (fitsCue(candidate, opts, nextStart)) {
+      current = candidate;
+      // Close at a sentence end once the cue is reasonably full, or when the
+      // sentence also ends the speech segment
+      const full = displayWidth(joinWords(current.map((w) => w.text))) >=
+        opts.maxCharsPerLine * opts.maxLines * 0.6;
+      const sentenceEnd = STRONG_PUNCT_RE.test(word.text) && !PUNCT_START_RE.test(words[i + 1]?.text || "");
+      if (sentenceEnd && (full || segmentEnds.has(i))) {
+        cues.push(makeCue(current, opts));
+        current = [];
+      }
+      continue;
+    }
+
+    const k = bestBreak(current, word);
+    cues.push(makeCue(current.slice(0, k + 1), opts));
+    current = [...current.slice(k + 1), word];
+    // A single unit can still be too long; it then gets a cue of its own
+    while (current.length > 1 && !fitsCue(current, opts, nextStart)) {
+      cues.push(makeCue(current.slice(0, -1), opts));
+      current = [word];
+    }
+  }
+  if (current.length > 0) cues.push(makeCue(current, opts));
+
+  // Timing pass: honour minimum duration and reading speed without
+  // overlapping the next cue or exceeding maxDuration
+  for (let i = 0; i < cues.length; i++) {
+    const cue = cues[i];
+    const limit = (i + 1 < cues.length ? cues[i + 1].start : limitEnd) - CUE_GAP;
+    const needed = Math.max(opts.minDuration, charCount(cue.text) / opts.maxCps);
+    if (cue.duration < needed) {
+      const target = Math.min(cue.start + needed, cue.start + opts.maxDuration, limit);
+      cue.duration = Math.max(cue.duration, target - cue.start);
+    }
+  }
+  return cues;
+}
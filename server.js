@@ -1,15 +1,34 @@
 // server-ultra-simple.js - Pure connection layer, delegates everything to CLI tools
 import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import express from 'express';
 import { WebSocketServer } from 'ws';
 import { uploadSingleFile } from './fileupload.js';
+import { BILINGUAL_FORMATS, BILINGUAL_ORDERS, parseFormats } from './subtitle-formats.js';
+import { normalizeCueOptions } from './segmentation.js';
+import { describeAudioStream, probeAudioStreams } from './media-probe.js';
+import { createProgressParser } from './progress-channel.js';
+import { listVocabularies, parseHotwords } from './hotwords.js';
+import { listTextRuleProfiles } from './text-rules.js';
+import { MUX_CONTAINERS, MUX_MODES } from './mux.js';
+import { resolveAudioChain } from './audio-filters.js';
+import { normalizeRanges } from './time-ranges.js';
+import { anchorMapping, parseAnchor, parseFrameRate, parseOffset } from './subtitle-timing.js';
+import { REVIEW_ACTIONS } from './segment-review.js';
+import { loadManifest, manifestFormat, readResults, resultsPath, validateManifest } from './batch-manifest.js';
+import ffprobeInstaller from '@ffprobe-installer/ffprobe';
 
 // __dirname helper for ESM
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Manifests submitted inline to /api/batch, with their results reports
+const BATCHES_DIR = path.join(__dirname, 'batches');
+// Manifests elsewhere started through /api/batch; only their reports are served
+const startedManifests = new Set();
+
 const app = express();
 const PORT = 3000;
 
@@ -50,7 +69,8 @@ function forceKillProcess(process, processId) {
     // First try SIGTERM
     process.kill('SIGTERM');
     
-    // If process doesn't exit in 2 seconds, use SIGKILL
+    // If process doesn't exit in 5 seconds, use SIGKILL. gensrt.js needs a moment
+    // after SIGTERM to save its resume checkpoint.
     const forceKillTimeout = setTimeout(() => {
       if (!process.killed) {
         console.log(`Force killing process ${process.pid} with SIGKILL...`);
@@ -60,7 +80,7 @@ function forceKillProcess(process, processId) {
           console.error(`Failed to SIGKILL process ${process.pid}:`, _error.message);
         }
       }
-    }, 2000);
+    }, 5000);
     
     // Clean up when process actually exits
     process.on('exit', () => {
@@ -75,17 +95,152 @@ function forceKillProcess(process, processId) {
   }
 }
 
+// Turn the optional `formats` field of a request (array or "srt,vtt") into gensrt.js args.
+// Throws on unknown formats so the route can answer 400.
+function buildFormatArgs(formats) {
+  if (formats === undefined || formats === null || formats === '' ||
+      (Array.isArray(formats) && formats.length === 0)) {
+    return [];
+  }
+  return ['--format', parseFormats(formats).join(',')];
+}
+
+// gensrt.js flag for each cue readability option
+const SEGMENTATION_FLAGS = {
+  maxCharsPerLine: '--max-chars',
+  maxLines: '--max-lines',
+  maxCps: '--max-cps',
+  minDuration: '--min-duration',
+  maxDuration: '--max-duration',
+  maxPause: '--max-pause',
+};
+
+// Turn the optional `segmentation` object of a request (or its JSON string form,
+// as sent by multipart uploads) into gensrt.js args. Throws on invalid values.
+function buildSegmentationArgs(segmentation) {
+  if (!segmentation) return [];
+  const options = typeof segmentation === 'string' ? JSON.parse(segmentation) : segmentation;
+  for (const key of Object.keys(options)) {
+    if (!SEGMENTATION_FLAGS[key]) throw new Error(`Unknown segmentation option "${key}"`);
+  }
+  normalizeCueOptions(options);
+
+  const args = [];
+  for (const [key, flag] of Object.entries(SEGMENTATION_FLAGS)) {
+    if (options[key] !== undefined && options[key] !== null && options[key] !== '') {
+      args.push(flag, String(options[key]));
+    }
+  }
+  return args;
+}
+
+// Turn the optional `audioTrack` field (track number, language code or "auto")
+// into gensrt.js args. Throws on values gensrt.js would reject.
+function buildAudioTrackArgs(audioTrack) {
+  if (audioTrack === undefined || audioTrack === null || audioTrack === '') return [];
+  const value = String(audioTrack).trim();
+  if (!/^(?:auto|\d+|[a-z]{2,3}(?:-[a-z0-9]+)?)$/i.test(value)) {
+    throw new Error(`Invalid audio track "${value}" (use a track number, a language code or "auto")`);
+  }
+  return ['--audio-track', value];
+}
+
+// Turn the optional `speakers` field into gensrt.js diarization args:
+// true or "auto" detects the speakers, a number sets the expected count
+function buildSpeakerArgs(speakers) {
+  if (speakers === undefined || speakers === null || speakers === '' || speakers === false || speakers === 'false') {
+    return [];
+  }
+  if (speakers === true || speakers === 'true' || speakers === 'auto') return ['--diarize'];
+  const count = Number(speakers);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid speakers value "${speakers}" (use "auto" or a number of speakers)`);
+  }
+  return ['--speakers', String(count)];
+}
+
+// Events from the CLI progress channel (--progress-fd 3) mapped to WebSocket messages
+const PROGRESS_MESSAGES = {
+  transcription: { start: 'file_start', progress: 'transcription_progress', segment: 'transcription_segment', complete: 'file_complete', error: 'file_error' },
+  translation: { start: 'translation_start', progress: 'translation_progress', complete: 'translation_complete', error: 'translation_error' },
+  timing: { start: 'timing_start', progress: 'timing_progress', complete: 'timing_complete', error: 'timing_error' },
+  batch: { start: 'batch_start', progress: 'batch_progress', complete: 'batch_complete', error: 'batch_error' }
+};
+
+// Handle one progress event from a CLI process
+function handleProgressEvent(event, type, filename, inputPath) {
+  // The UI knows the job by its own name (e.g. the original upload name); other files of a folder job by their base name
+  const eventFile = event.file && path.resolve(event.file) !== path.resolve(inputPath) ? path.basename(event.file) : filename;
+  const messageType = PROGRESS_MESSAGES[type][event.event];
+
+  switch (event.event) {
+    case 'start':
+      console.log(`[START] ${type} started for: ${eventFile}`);
+      broadcast({ type: messageType, filename: eventFile });
+      break;
+    case 'language':
+      console.log(`[LANGUAGE] ${eventFile}: ${event.language} (model: ${event.model})`);
+      broadcast({ type: 'file_language', filename: eventFile, language: event.language, model: event.model });
+      break;
+    case 'progress':
+      broadcast({
+        type: messageType,
+        filename: eventFile,
+        // Set while muxing or burning subtitles into the video ("mux" or "burn")
+        stage: event.stage,
+        // Row of a batch manifest
+        row: event.row,
+        progress: event.percent,
+        processed: event.processed,
+        duration: event.duration,
+        total: event.total,
+        elapsed: event.elapsed,
+        remaining: event.remaining,
+        speed: event.speed ?? 'N/A'
+      });
+      break;
+    case 'segment':
+      if (messageType) broadcast({ type: messageType, filename: eventFile, start: event.start, end: event.end, text: event.text, speaker: event.speaker });
+      break;
+    case 'complete': {
+      const srtPath = event.outputs?.[0];
+      console.log(`[COMPLETE] ${type} completed for ${eventFile}: ${(event.outputs || []).join(', ')}`);
+      broadcast({ type: messageType, filename: eventFile, srtPath, outputs: event.outputs, skipped: event.skipped, comparison: event.comparison, review: event.review, row: event.row, summary: event.summary });
+      break;
+    }
+    case 'cancelled':
+      console.log(`[CANCELLED] ${type} cancelled for ${eventFile}`);
+      broadcast({ type: 'info', message: `${eventFile}: ${type} cancelled` });
+      break;
+    case 'error':
+      console.log(`[ERROR:${eventFile}] ${event.message}`);
+      broadcast({ type: PROGRESS_MESSAGES[type].error, filename: eventFile, error: event.message, row: event.row });
+      break;
+    default:
+      // Newer CLI versions may add event types
+      break;
+  }
+}
+
+// Environment for the CLIs: sherpa-onnx needs its native libraries on the library path
+function cliEnv() {
+  return {
+    ...process.env,
+    LD_LIBRARY_PATH: path.join(__dirname, 'node_modules', 'sherpa-onnx-linux-arm64') + ':' + (process.env.LD_LIBRARY_PATH || '')
+  };
+}
+
 // Spawn CLI process and handle its output
 function spawnCliProcess(command, args, type, filename) {
+  const cliArgs = [...args, '--progress-fd', '3'];
   console.log(`[SPAWN] Starting ${type} process for ${filename}`);
-  console.log(`[SPAWN] Command: node ${command} ${args.join(' ')}`);
+  console.log(`[SPAWN] Command: node ${command} ${cliArgs.join(' ')}`);
   
-  const childProcess = spawn('node', [command, ...args], {
+  const childProcess = spawn('node', [command, ...cliArgs], {
     cwd: __dirname,
-    env: {
-      ...process.env,
-      LD_LIBRARY_PATH: path.join(__dirname, 'node_modules', 'sherpa-onnx-linux-arm64') + ':' + (process.env.LD_LIBRARY_PATH || '')
-    }
+    // fd 3 carries NDJSON progress events (see progress-channel.js)
+    stdio: ['pipe', 'pipe', 'pipe', 'pipe'],
+    env: cliEnv()
   });
 
   const processId = `${type}_${Date.now()}`;
@@ -93,6 +248,15 @@ function spawnCliProcess(command, args, type, filename) {
   
   console.log(`[SPAWN] Process started with PID: ${childProcess.pid}, ID: ${processId}`);
 
+  // Status updates come from the progress channel, not from the log text
+  let reportedError = false;
+  if (childProcess.stdio[3]) {
+    childProcess.stdio[3].on('data', createProgressParser((event) => {
+      if (event.event === 'error') reportedError = true;
+      handleProgressEvent(event, type, filename, args[0]);
+    }));
+  }
+
   // Forward CLI output to WebSocket clients AND terminal
   if (childProcess.stdout) {
     childProcess.stdout.on('data', (data) => {
@@ -103,66 +267,6 @@ function spawnCliProcess(command, args, type, filename) {
       
       // Send to WebSocket clients
       broadcast({ type: 'debug_output', output, filename, processType: type });
-      
-      // Parse detailed progress from gensrt.js output
-      // Look for progress bar format: "   ████████████████████████████████████████ | 45% | Time: 12.3/27.8s | Speed: 1.2x"
-      const progressMatch = output.match(/\|\s*(\d+)%\s*\|\s*Time:\s*([\d.]+)\/([\d.]+)s\s*\|\s*Speed:\s*([\d.]+|N\/A)x/);
-      if (progressMatch) {
-        const progress = parseInt(progressMatch[1]);
-        const timeUsed = parseFloat(progressMatch[2]);
-        const timeRemaining = parseFloat(progressMatch[3]);
-        const speed = progressMatch[4] === 'N/A' ? 'N/A' : parseFloat(progressMatch[4]);
-        
-        console.log(`[PROGRESS:${filename}] ${progress}% | Elapsed: ${timeUsed}s | Remaining: ${timeRemaining}s | Speed: ${speed}x`);
-        
-        broadcast({ 
-          type: 'transcription_progress', 
-          filename, 
-          progress,
-          processed: timeUsed,
-          duration: timeUsed + timeRemaining,
-          elapsed: timeUsed,
-          remaining: timeRemaining,
-          speed
-        });
-      }
-      
-      // Also parse Logger output for additional info
-      // Look for "Starting: filename" messages
-      if (output.includes('[TRANSCRIBE] Starting:')) {
-        const startMatch = output.match(/\[TRANSCRIBE\]\s*Starting:\s*(.+)/);
-        if (startMatch) {
-          const startedFile = startMatch[1].trim();
-          console.log(`[START] Transcription started for: ${startedFile}`);
-          broadcast({ type: 'file_start', filename: startedFile });
-        }
-      }
-      
-      // Look for "Done! Output:" messages
-      if (output.includes('[TRANSCRIBE] Done! Output:')) {
-        const doneMatch = output.match(/\[TRANSCRIBE\]\s*Done!\s*Output:\s*(.+)/);
-        if (doneMatch) {
-          const srtPath = doneMatch[1].trim();
-          console.log(`[COMPLETE] Transcription completed for ${filename}: ${srtPath}`);
-          broadcast({ type: 'file_complete', filename, srtPath });
-        }
-      }
-      
-      // Look for "SRT file saved to:" messages
-      if (output.includes('SRT file saved to:')) {
-        const srtMatch = output.match(/SRT file saved to:\s*(.+)/);
-        if (srtMatch) {
-          const srtPath = srtMatch[1].trim();
-          console.log(`[SAVED] SRT file saved for ${filename}: ${srtPath}`);
-          broadcast({ type: 'file_complete', filename, srtPath });
-        }
-      }
-      
-      // Look for error messages
-      if (output.includes('[TRANSCRIBE] Error') || output.includes('Error:')) {
-        console.log(`[ERROR:${filename}] ${output.trim()}`);
-        broadcast({ type: 'file_error', filename, error: output.trim() });
-      }
     });
   }
 
@@ -175,11 +279,6 @@ function spawnCliProcess(command, args, type, filename) {
       
       // Send to WebSocket clients
       broadcast({ type: 'debug_output', output: errorOutput, filename, processType: type, isError: true });
-      
-      // If it's a critical error, mark the file as failed
-      if (errorOutput.includes('Error:') || errorOutput.includes('Failed')) {
-        broadcast({ type: 'file_error', filename, error: errorOutput.trim() });
-      }
     });
   }
 
@@ -188,15 +287,17 @@ function spawnCliProcess(command, args, type, filename) {
     
     if (code === 0) {
       console.log(`[CLOSE] ${type} process completed successfully for ${filename} (PID: ${childProcess.pid})`);
-      // Don't send generic completion here, let the output parsing handle it
-      // This prevents duplicate messages
+      // Completion was already reported by the progress channel ('complete' events)
     } else {
       console.log(`[CLOSE] ${type} process failed for ${filename} with exit code ${code} (PID: ${childProcess.pid})`);
-      broadcast({ 
-        type: type === 'transcription' ? 'file_error' : 'translation_error', 
-        filename, 
-        error: `Process failed with code ${code}` 
-      });
+      // The CLI usually said why on the progress channel already
+      if (!reportedError) {
+        broadcast({ 
+          type: PROGRESS_MESSAGES[type].error, 
+          filename, 
+          error: `Process failed with code ${code}` 
+        });
+      }
     }
   });
 
@@ -204,7 +305,7 @@ function spawnCliProcess(command, args, type, filename) {
     activeProcesses.delete(processId);
     console.error(`[ERROR] ${type} process error for ${filename}: ${error.message}`);
     broadcast({ 
-      type: type === 'transcription' ? 'file_error' : 'translation_error', 
+      type: PROGRESS_MESSAGES[type].error, 
       filename, 
       error: error.message 
     });
@@ -213,6 +314,202 @@ function spawnCliProcess(command, args, type, filename) {
   return processId;
 }
 
+// Turn the optional `hotwords` (array or comma/newline separated text), `vocabulary`
+// (saved profile name or names) and `hotwordsScore` fields into gensrt.js args.
+// Throws on unknown profiles and invalid values; gensrt.js reports models that
+// can't use hotwords.
+function buildHotwordArgs({ hotwords, vocabulary, hotwordsScore }) {
+  const args = [];
+  if (hotwords !== undefined && hotwords !== null && hotwords !== '') {
+    // The = form, so phrases starting with "-" aren't taken for options
+    for (const phrase of parseHotwords(hotwords, { commas: true })) args.push(`--hotwords=${phrase}`);
+  }
+  if (vocabulary !== undefined && vocabulary !== null && vocabulary !== '') {
+    const known = listVocabularies();
+    for (const name of Array.isArray(vocabulary) ? vocabulary : [vocabulary]) {
+      if (!known.includes(name)) {
+        throw new Error(`Unknown vocabulary "${name}" (available: ${known.join(', ') || 'none'})`);
+      }
+      args.push('--vocabulary', name);
+    }
+  }
+  if (hotwordsScore !== undefined && hotwordsScore !== null && hotwordsScore !== '') {
+    const score = Number(hotwordsScore);
+    if (!(score > 0)) throw new Error(`Invalid hotwordsScore "${hotwordsScore}" (use a positive number)`);
+    args.push('--hotwords-score', String(score));
+  }
+  return args;
+}
+
+// Turn the optional `punctuation` field ("auto", "context", "segment" or "off") into gensrt.js args.
+// Checked here because punctuation.js loads sherpa-onnx, which the server doesn't.
+function buildPunctuationArgs(punctuation) {
+  if (punctuation === undefined || punctuation === null || punctuation === '') return [];
+  if (!['auto', 'context', 'segment', 'off'].includes(punctuation)) {
+    throw new Error(`Invalid punctuation mode "${punctuation}" (use auto, context, segment or off)`);
+  }
+  return ['--punctuation', punctuation];
+}
+
+// Turn the optional `textRules` field (profile name or names) into gensrt.js args
+function buildTextRuleArgs(textRules) {
+  if (textRules === undefined || textRules === null || textRules === '') return [];
+  const known = listTextRuleProfiles();
+  const args = [];
+  const names = (Array.isArray(textRules) ? textRules : String(textRules).split(',')).map((n) => String(n).trim());
+  for (const name of names) {
+    if (!known.includes(name)) {
+      throw new Error(`Unknown text rule profile "${name}" (available: ${known.join(', ') || 'none'})`);
+    }
+    args.push('--text-rules', name);
+  }
+  return args;
+}
+
+// Turn the optional `mux` ("soft" or "hard"), `muxFormat` ("mkv" or "mp4"),
+// `burnStyle` (ASS style override) and `burnLanguage` (translation to burn in) fields into gensrt.js args
+function buildMuxArgs({ mux, muxFormat, burnStyle, burnLanguage }) {
+  if (mux === undefined || mux === null || mux === '' || mux === false) return [];
+  if (!MUX_MODES.includes(mux)) {
+    throw new Error(`Invalid mux mode "${mux}" (use ${MUX_MODES.join(' or ')})`);
+  }
+  const args = ['--mux', mux];
+  if (muxFormat) {
+    if (!MUX_CONTAINERS.includes(muxFormat)) {
+      throw new Error(`Invalid muxFormat "${muxFormat}" (use ${MUX_CONTAINERS.join(' or ')})`);
+    }
+    args.push('--mux-format', muxFormat);
+  }
+  if ((burnStyle || burnLanguage) && mux !== 'hard') throw new Error('burnStyle and burnLanguage need mux "hard"');
+  // The = form, so a style starting with "-" isn't taken for an option
+  if (burnStyle) args.push(`--burn-style=${burnStyle}`);
+  if (burnLanguage) {
+    if (!/^[a-z]{2,3}(?:-[a-z0-9]{2,4})?$/i.test(burnLanguage)) {
+      throw new Error(`Invalid burnLanguage "${burnLanguage}" (use a language code such as "en")`);
+    }
+    args.push('--burn-language', burnLanguage);
+  }
+  return args;
+}
+
+// Turn the optional `audio` field (preset name, or {preset, highpass, lowpass, afftdn, loudnorm, denoise}
+// or its JSON string form, as sent by multipart uploads) into gensrt.js args; with `compareAudio`
+// (true or 'true', as multipart fields are strings) the job only compares speech found with and without it
+function buildAudioArgs({ audio, compareAudio: compareField }) {
+  const compareAudio = compareField === true || compareField === 'true';
+  if (audio === undefined || audio === null || audio === '') {
+    if (compareAudio) throw new Error('compareAudio needs an audio preset or filters');
+    return [];
+  }
+  let settings = audio;
+  if (typeof audio === 'string') settings = audio.trim().startsWith('{') ? JSON.parse(audio) : { preset: audio };
+  // Validated here so a bad value is a 400, not a failed job
+  resolveAudioChain(settings);
+  const args = [];
+  if (settings.preset) args.push('--audio-preset', String(settings.preset));
+  for (const name of ['highpass', 'lowpass', 'afftdn', 'loudnorm']) {
+    // The = form, as afftdn values are negative
+    if (settings[name] !== undefined && settings[name] !== null) args.push(`--${name}=${settings[name]}`);
+  }
+  if (settings.denoise === true) args.push('--denoise');
+  if (compareAudio) args.push('--compare-audio');
+  return args;
+}
+
+// Turn the optional `ranges` field (["1:00-2:30", ...] or [{start, end}, ...]) and `splice`
+// (true or 'true': replace only those cues in the existing SRT) into gensrt.js args
+function buildRangeArgs({ ranges, splice: spliceField }) {
+  const splice = spliceField === true || spliceField === 'true';
+  if (ranges === undefined || ranges === null || ranges === '' || (Array.isArray(ranges) && ranges.length === 0)) {
+    if (splice) throw new Error('splice needs ranges');
+    return [];
+  }
+  const args = [];
+  for (const range of normalizeRanges(Array.isArray(ranges) ? ranges : [ranges])) {
+    args.push('--range', `${range.start}-${range.end ?? ''}`);
+  }
+  if (splice) args.push('--splice');
+  return args;
+}
+
+// Turn the optional `review` field (true, or the action for suspicious segments:
+// report, mark or drop) into gensrt.js args
+function buildReviewArgs({ review }) {
+  if (review === undefined || review === null || review === '' || review === false || review === 'false') return [];
+  const action = review === true || review === 'true' ? 'report' : review;
+  if (!REVIEW_ACTIONS.includes(action)) {
+    throw new Error(`Unknown review action "${action}" (use ${REVIEW_ACTIONS.join(', ')})`);
+  }
+  return ['--review-action', action];
+}
+
+// Turn the optional `bilingual` field (true for SRT, or the format: srt or ass) and
+// `lineOrder` (original or translation on top) of /api/translate into srt-gtk.js args
+function buildBilingualArgs({ bilingual, lineOrder }) {
+  if (bilingual === undefined || bilingual === null || bilingual === '' || bilingual === false || bilingual === 'false') {
+    if (lineOrder) throw new Error('lineOrder needs bilingual');
+    return [];
+  }
+  const format = bilingual === true || bilingual === 'true' ? 'srt' : bilingual;
+  if (!BILINGUAL_FORMATS.includes(format)) {
+    throw new Error(`Unknown bilingual format "${format}" (use ${BILINGUAL_FORMATS.join(', ')})`);
+  }
+  const args = ['--bilingual-format', format];
+  if (lineOrder) {
+    if (!BILINGUAL_ORDERS.includes(lineOrder)) {
+      throw new Error(`Unknown line order "${lineOrder}" (use ${BILINGUAL_ORDERS.join(', ')})`);
+    }
+    args.push('--line-order', lineOrder);
+  }
+  return args;
+}
+
+// Turn the timing fields of /api/timing into srt-timing.js args: `shift` (offset),
+// `anchors` (two "old=new" strings), `fps` ({from, to} or "from:to"), `resyncMedia`
+// with optional `audioTrack`, `maxOffset` and `noDrift`, and `output` (a file in the
+// folder of `srtPath`) or `inPlace`. Flags are true or 'true'. Throws on invalid values.
+function buildTimingArgs({ srtPath, shift, anchors, fps, resyncMedia, audioTrack, maxOffset, noDrift, output, inPlace }) {
+  const args = [];
+  if (fps !== undefined && fps !== null && fps !== '') {
+    const [from, to] = typeof fps === 'string' ? fps.split(':') : [fps.from, fps.to];
+    parseFrameRate(from);
+    parseFrameRate(to);
+    args.push('--fps', `${from}:${to}`);
+  }
+  if (anchors !== undefined && anchors !== null && anchors !== '') {
+    const list = Array.isArray(anchors) ? anchors : [anchors];
+    anchorMapping(list.map(parseAnchor));
+    for (const anchor of list) args.push('--anchor', anchor);
+  }
+  if (shift !== undefined && shift !== null && shift !== '') {
+    args.push(`--shift=${parseOffset(shift)}`);
+  }
+  if (resyncMedia) {
+    // The = form, so a path starting with "-" isn't taken for an option
+    args.push(`--resync=${resyncMedia}`);
+    args.push(...buildAudioTrackArgs(audioTrack));
+    if (maxOffset !== undefined && maxOffset !== null && maxOffset !== '') {
+      if (!(Number(maxOffset) > 0)) throw new Error(`maxOffset must be a positive number (got "${maxOffset}")`);
+      args.push('--max-offset', String(Number(maxOffset)));
+    }
+    if (noDrift === true || noDrift === 'true') args.push('--no-drift');
+  }
+  if (args.length === 0) throw new Error('Nothing to do: give shift, anchors, fps or resyncMedia');
+  const overwrite = inPlace === true || inPlace === 'true';
+  if (output && overwrite) throw new Error('output and inPlace can\'t be combined');
+  if (output) {
+    // Not a way to write files anywhere on the host
+    const srtDir = path.dirname(path.resolve(srtPath));
+    const outputFile = path.resolve(srtDir, String(output));
+    if (path.dirname(outputFile) !== srtDir) {
+      throw new Error('output must be a file name in the folder of the SRT file');
+    }
+    args.push(`--output=${outputFile}`);
+  }
+  if (overwrite) args.push('--in-place');
+  return args;
+}
+
 // File upload endpoint
 app.post('/api/upload', uploadSingleFile('file'), (req, res) => {
   if (!req.file) {
@@ -220,9 +517,29 @@ app.post('/api/upload', uploadSingleFile('file'), (req, res) => {
   }
   
   const filename = req.file.originalname || path.basename(req.file.path);
+
+  let jobArgs;
+  try {
+    jobArgs = [
+      ...buildFormatArgs(req.body.formats),
+      ...buildSegmentationArgs(req.body.segmentation),
+      ...buildAudioTrackArgs(req.body.audioTrack),
+      ...buildSpeakerArgs(req.body.speakers),
+      ...buildHotwordArgs(req.body),
+      ...buildPunctuationArgs(req.body.punctuation),
+      ...buildTextRuleArgs(req.body.textRules),
+      ...buildMuxArgs(req.body),
+      ...buildAudioArgs(req.body),
+      ...buildRangeArgs(req.body),
+      ...buildReviewArgs(req.body),
+    ];
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
   
   // Start transcription using gensrt.js CLI
-  spawnCliProcess('gensrt.js', [req.file.path, '--model', 'senseVoice', '--uploaded'], 'transcription', filename);
+  const model = req.body.model || 'auto';
+  spawnCliProcess('gensrt.js', [req.file.path, '--model', model, '--uploaded', ...jobArgs], 'transcription', filename);
   
   broadcast({ type: 'file_start', filename });
   
@@ -259,16 +576,37 @@ app.post('/api/upload-srt', uploadSingleFile('file'), (req, res) => {
 
 // Transcription endpoint
 app.post('/api/start', (req, res) => {
-  const { inputPath, model = 'senseVoice' } = req.body;
+  const { inputPath, model = 'auto', formats, segmentation, savePartial, audioTrack, speakers } = req.body;
 
   if (!inputPath) {
     return res.status(400).json({ error: 'File path required' });
   }
 
+  let jobArgs;
+  try {
+    jobArgs = [
+      ...buildFormatArgs(formats),
+      ...buildSegmentationArgs(segmentation),
+      ...buildAudioTrackArgs(audioTrack),
+      ...buildSpeakerArgs(speakers),
+      ...buildHotwordArgs(req.body),
+      ...buildPunctuationArgs(req.body.punctuation),
+      ...buildTextRuleArgs(req.body.textRules),
+      ...buildMuxArgs(req.body),
+      ...buildAudioArgs(req.body),
+      ...buildRangeArgs(req.body),
+      ...buildReviewArgs(req.body),
+    ];
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  // Keep the subtitles decoded so far when the job is stopped (true or 'true', not any non-empty string)
+  if (savePartial === true || savePartial === 'true') jobArgs.push('--save-partial');
+
   const filename = path.basename(inputPath);
   
   // Start transcription using gensrt.js CLI
-  spawnCliProcess('gensrt.js', [inputPath, '--model', model], 'transcription', filename);
+  spawnCliProcess('gensrt.js', [inputPath, '--model', model, ...jobArgs], 'transcription', filename);
   
   broadcast({ type: 'file_start', filename });
 
@@ -283,16 +621,172 @@ app.post('/api/translate', (req, res) => {
     return res.status(400).json({ error: 'SRT path, source and target languages required' });
   }
 
+  let bilingualArgs;
+  try {
+    bilingualArgs = buildBilingualArgs(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
   const filename = path.basename(srtPath);
   
   // Start translation using srt-gtk.js CLI
-  spawnCliProcess('srt-gtk.js', [srtPath, sourceLang, targetLang], 'translation', filename);
+  spawnCliProcess('srt-gtk.js', [srtPath, sourceLang, targetLang, ...bilingualArgs], 'translation', filename);
   
   broadcast({ type: 'translation_start', filename });
 
   res.json({ success: true, message: 'Translation started' });
 });
 
+// Subtitle timing endpoint: shift, stretch, frame-rate convert or resync an SRT file
+app.post('/api/timing', (req, res) => {
+  const { srtPath } = req.body;
+
+  if (!srtPath) {
+    return res.status(400).json({ error: 'SRT path required' });
+  }
+
+  let timingArgs;
+  try {
+    timingArgs = buildTimingArgs(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const filename = path.basename(srtPath);
+
+  spawnCliProcess('srt-timing.js', [srtPath, ...timingArgs], 'timing', filename);
+
+  broadcast({ type: 'timing_start', filename });
+
+  res.json({ success: true, message: 'Timing adjustment started' });
+});
+
+// Batch endpoint: run a manifest of transcription and translation jobs (see batch-manifest.js).
+// Takes `manifestPath` (a .json or .csv file on the server) or the rows inline as `jobs`,
+// saved as batches/<name>.json so that submitting them again skips the rows that finished.
+// `rerun` (true or 'true') runs finished rows again. Every row is checked before the batch starts.
+app.post('/api/batch', async (req, res) => {
+  const { manifestPath, jobs, name = 'batch', rerun } = req.body;
+
+  if (!manifestPath && !Array.isArray(jobs)) {
+    return res.status(400).json({ error: 'Manifest path or jobs required' });
+  }
+  if (!manifestPath && !/^[\w.-]+$/.test(name)) {
+    return res.status(400).json({ error: `Invalid batch name "${name}" (letters, digits, ".", "-" and "_")` });
+  }
+
+  const manifest = manifestPath || path.join(BATCHES_DIR, `${name}.json`);
+  if (!manifestFormat(manifest)) {
+    return res.status(400).json({ error: 'Manifest must be a .json or .csv file' });
+  }
+  try {
+    // Model names are checked by batch.js, which can load the model registry
+    const { problems } = manifestPath
+      ? await loadManifest(manifest)
+      : await validateManifest(jobs, { baseDir: BATCHES_DIR });
+    if (problems.length > 0) {
+      return res.status(400).json({ error: `${problems.length} problem(s) in the manifest`, problems });
+    }
+    if (!manifestPath) {
+      await fs.mkdir(BATCHES_DIR, { recursive: true });
+      await fs.writeFile(manifest, `${JSON.stringify({ jobs }, null, 2)}\n`, 'utf8');
+    }
+  } catch (error) {
+    const status = error.code === 'ENOENT' ? 404 : 400;
+    return res.status(status).json({ error: status === 404 ? 'Manifest not found' : error.message });
+  }
+
+  const filename = path.basename(manifest);
+  startedManifests.add(path.resolve(manifest));
+
+  const rerunAll = rerun === true || rerun === 'true';
+  spawnCliProcess('batch.js', [manifest, ...(rerunAll ? ['--rerun'] : [])], 'batch', filename);
+
+  broadcast({ type: 'batch_start', filename });
+
+  res.json({ success: true, message: 'Batch started', manifest, report: resultsPath(manifest) });
+});
+
+// Results report of a batch manifest: status and outputs of every row
+app.get('/api/batch/results', async (req, res) => {
+  const manifest = req.query.manifest
+    ? path.resolve(req.query.manifest)
+    : req.query.name && path.join(BATCHES_DIR, `${path.basename(req.query.name)}.json`);
+  if (!manifest) {
+    return res.status(400).json({ error: 'Manifest path or batch name required' });
+  }
+  // Not a way to read any *.results.json on the host
+  if (path.dirname(manifest) !== BATCHES_DIR && !startedManifests.has(manifest)) {
+    return res.status(403).json({ error: 'Only manifests started through /api/batch' });
+  }
+
+  const results = await readResults(resultsPath(manifest));
+  if (!results) {
+    return res.status(404).json({ error: 'No results for this manifest yet' });
+  }
+  res.json(results);
+});
+
+// Models of the registry for the model picker, as models-cli.js reports them
+app.get('/api/models', (req, res) => {
+  const child = spawn('node', ['models-cli.js', 'info', '--json'], { cwd: __dirname, env: cliEnv() });
+  let output = '';
+  let errorOutput = '';
+  const timer = setTimeout(() => child.kill('SIGTERM'), 30000);
+  child.stdout.on('data', (data) => { output += data; });
+  child.stderr.on('data', (data) => { errorOutput += data; });
+  child.on('error', (error) => {
+    clearTimeout(timer);
+    if (!res.headersSent) res.status(500).json({ error: error.message });
+  });
+  child.on('close', () => {
+    clearTimeout(timer);
+    if (res.headersSent) return;
+    try {
+      // No models at all prints nothing
+      const models = output.trim() ? JSON.parse(output) : [];
+      res.json({
+        models: models.map(({ name, type, languages, usable, problems }) => ({ name, type, languages, usable, problems }))
+      });
+    } catch {
+      console.error(`[MODELS] models-cli.js failed: ${errorOutput.trim()}`);
+      res.status(500).json({ error: 'Failed to list models' });
+    }
+  });
+});
+
+// Saved vocabulary profiles (vocabularies/<name>.txt) usable as `vocabulary`
+app.get('/api/vocabularies', (req, res) => {
+  res.json({ vocabularies: listVocabularies() });
+});
+
+// Saved text rule profiles (text-rules/<name>.json) usable as `textRules`
+app.get('/api/text-rules', (req, res) => {
+  res.json({ profiles: listTextRuleProfiles() });
+});
+
+// Audio tracks of a media file on the server, for the track picker
+app.get('/api/tracks', async (req, res) => {
+  const inputPath = req.query.path;
+  if (!inputPath) {
+    return res.status(400).json({ error: 'File path required' });
+  }
+
+  try {
+    const stat = await fs.stat(inputPath);
+    if (!stat.isFile()) {
+      return res.json({ tracks: [] }); // folders: every file gets its own automatic choice
+    }
+    const streams = await probeAudioStreams(ffprobeInstaller.path, inputPath);
+    res.json({ tracks: streams.map(stream => ({ ...stream, label: describeAudioStream(stream) })) });
+  } catch (error) {
+    const status = error.code === 'ENOENT' ? 404 : 500;
+    console.error(`[TRACKS] Failed to probe ${inputPath}: ${error.message}`);
+    res.status(status).json({ error: status === 404 ? 'File not found' : error.message });
+  }
+});
+
 // Language data endpoint
 app.get('/language.json', (req, res) => {
   res.sendFile(path.join(__dirname, 'language.json'));
@@ -350,6 +844,17 @@ wss.on('connection', (ws) => {
         broadcast({ type: 'info', message: `Translation stopped (${stoppedCount} processes terminated)` });
       }
       
+      if (message.type === 'stop_batch') {
+        let stoppedCount = 0;
+        for (const [id, { process, type }] of activeProcesses.entries()) {
+          if (type === 'batch') {
+            forceKillProcess(process, id);
+            stoppedCount++;
+          }
+        }
+        broadcast({ type: 'info', message: `Batch stopped (${stoppedCount} processes terminated)` });
+      }
+      
       if (message.type === 'clear_files') {
         // Clear all active transcription processes
         for (const [id, { process, type }] of activeProcesses.entries()) {
@@ -0,0 +1,97 @@
+// speech-enhancement.js - GTCRN speech denoising with sherpa-onnx
+// Removes background noise and music from speech before it reaches the VAD.
+// sherpa-onnx denoises whole arrays, so the streamed audio is enhanced in
+// blocks of a few seconds; the output is delayed by up to one block.
+
+import fs from "node:fs";
+import path from "node:path";
+import sherpa_onnx from "sherpa-onnx-node";
+
+export const DEFAULT_DENOISE = {
+  model: "./models/gtcrn_simple.onnx",
+  numThreads: 1,
+  // Audio enhanced at once; longer blocks give the model more context
+  blockSeconds: 10,
+};
+
+/**
+ * Create the sherpa-onnx speech denoiser
+ * @param {Object} [options] - See DEFAULT_DENOISE
+ * @returns {Object} - sherpa-onnx OfflineSpeechDenoiser
+ * @throws {Error} - When the model file is missing
+ */
+export function createDenoiser(options = {}) {
+  const opts = { ...DEFAULT_DENOISE, ...options };
+  const model = path.resolve(opts.model);
+  if (!fs.existsSync(model)) {
+    throw new Error(
+      `Speech enhancement model not found: ${opts.model} (download gtcrn_simple.onnx from ` +
+        "https://github.com/k2-fsa/sherpa-onnx/releases/tag/speech-enhancement-models)"
+    );
+  }
+  return new sherpa_onnx.OfflineSpeechDenoiser({
+    model: { gtcrn: { model }, numThreads: opts.numThreads, provider: "cpu", debug: false },
+  });
+}
+
+/**
+ * Denoise streamed audio block by block
+ * @param {Object} [options] - See DEFAULT_DENOISE
+ * @param {number} sampleRate - Rate of the samples pushed (and returned)
+ * @returns {{push: function(Float32Array): Float32Array, flush: function(): Float32Array, free: function(): void}} -
+ *   push() returns the enhanced samples that are ready (often none), flush() the rest
+ */
+export function createStreamingDenoiser(options = {}, sampleRate) {
+  const opts = { ...DEFAULT_DENOISE, ...options };
+  const denoiser = createDenoiser(opts);
+  const blockLength = Math.max(1, Math.floor(opts.blockSeconds * sampleRate));
+  let pending = new Float32Array(blockLength);
+  let filled = 0;
+
+  const run = (samples) => {
+    const out = denoiser.run({ samples, sampleRate, enableExternalBuffer: false });
+    if (out.sampleRate !== sampleRate) {
+      throw new Error(`The speech enhancement model returned ${out.sampleRate} Hz audio, expected ${sampleRate} Hz`);
+    }
+    return out.samples;
+  };
+
+  const push = (samples) => {
+    const ready = [];
+    let offset = 0;
+    while (offset < samples.length) {
+      const take = Math.min(blockLength - filled, samples.length - offset);
+      pending.set(samples.subarray(offset, offset + take), filled);
+      filled += take;
+      offset += take;
+      if (filled === blockLength) {
+        ready.push(run(pending));
+        pending = new Float32Array(blockLength);
+        filled = 0;
+      }
+    }
+    if (ready.length === 1) return ready[0];
+    const out = new Float32Array(ready.reduce((n, block) => n + block.length, 0));
+    let at = 0;
+    for (const block of ready) {
+      out.set(block, at);
+      at += block.length;
+    }
+    return out;
+  };
+
+  const flush = () => {
+    if (filled === 0) return new Float32Array(0);
+    const out = run(pending.slice(0, filled));
+    filled = 0;
+    return out;
+  };
+
+  return {
+    push,
+    flush,
+    free: () => {
+      if (typeof denoiser.free === "function") denoiser.free();
+    },
+  };
+}
@@ -3,11 +3,19 @@ import fs from "node:fs/promises";
 import path from "node:path";
 import https from "node:https";
 import { URLSearchParams } from "node:url";
+import { parseArgs } from "node:util";
 import Logger from "./logger.js";
+import { readOutputMeta } from "./output-meta.js";
+import { openProgressChannel } from "./progress-channel.js";
+import { DEFAULT_CUE_OPTIONS, wrapLines } from "./segmentation.js";
+import { buildSrt, parseSrt } from "./srt.js";
+import { BILINGUAL_FORMATS, BILINGUAL_ORDERS, renderBilingual } from "./subtitle-formats.js";
 
 const CHUNK_SZ = 1000;
 const REQ_GAP = 1200;
 const CACHE_F = path.join(process.cwd(), "cache.json");
+// Bilingual outputs are named <name>-<lang>.bilingual.srt/.ass and never translated again
+const BILINGUAL_SUFFIX = ".bilingual";
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
@@ -26,20 +34,8 @@ async function saveCache(c) {
 
 let cache = await loadCache();
 
-async function parseSrt(file) {
-  const content = await fs.readFile(file, "utf8");
-  const blocks = content.split(/\r?\n\r?\n/);
-  return blocks.map((b) => {
-    const [index, time, ...textLines] = b.split(/\r?\n/);
-    return { idx: index, time, text: textLines.join("\n") };
-  });
-}
-
-function buildSrt(entries) {
-  return (
-    entries.map((e) => `${e.idx}\n${e.time}\n${e.text}`).join("\n\n") + "\n"
-  );
-}
+// Machine-readable events (--progress-fd), see progress-channel.js
+let progress = openProgressChannel(undefined, "srt-gtk");
 
 function generateTk(text) {
   const b = 406_644;
@@ -112,7 +108,87 @@ async function gtxTranslate(text, targetLang, sourceLang = "auto") {
   });
 }
 
-async function translateFile(filePath, sourceLang, tgtLang, index, total) {
+// Google codes for languages reported by gensrt.js language detection
+const GOOGLE_LANG = { zh: "zh-CN" };
+
+// With "auto", use the spoken language gensrt.js detected (stored in <name>.meta.json)
+async function resolveSourceLang(filePath, sourceLang) {
+  if (sourceLang !== "auto") return sourceLang;
+  const meta = await readOutputMeta(filePath.replace(/\.srt$/i, ""));
+  if (!meta || !meta.language) return sourceLang;
+  const detected = GOOGLE_LANG[meta.language] || meta.language;
+  Logger.log('TRANSLATE', `Source language of ${path.basename(filePath)}: ${detected} (detected during transcription)`);
+  return detected;
+}
+
+/**
+ * Translate the text of SRT entries, several cues per request. Each cue goes on
+ * one line of the request (its own line breaks become spaces), so the lines that
+ * come back map to cues one to one; a chunk that comes back with a different
+ * number of lines is translated again cue by cue. Translations are wrapped
+ * again to the line length of transcribed subtitles.
+ * @param {Array<{text: string}>} entries - Each gets its `translation`; entries that fail keep none
+ * @param {function(string): Promise<string>} translate - Translates newline separated text
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] - Characters per request
+ * @param {number} [options.gap] - Pause after each request (ms)
+ * @param {number} [options.maxCharsPerLine] - Line length of the translations (display columns)
+ * @param {function(number): void} [options.onProgress] - Called with the number of entries done
+ */
+export async function translateEntries(entries, translate, {
+  chunkSize = CHUNK_SZ, gap = 0, maxCharsPerLine = DEFAULT_CUE_OPTIONS.maxCharsPerLine, onProgress = () => {},
+} = {}) {
+  const lines = entries.map((e) => e.text.replace(/\s*\n\s*/g, " ").trim());
+  const wrap = (text) => wrapLines(text, maxCharsPerLine).join("\n");
+  const request = async (text) => {
+    try {
+      return await translate(text);
+    } catch (error) {
+      Logger.error('TRANSLATE', `⚠️  ${error}`);
+      return null;
+    } finally {
+      await sleep(gap);
+    }
+  };
+
+  let next = 0;
+  while (next < entries.length) {
+    const indices = [next++];
+    let length = lines[indices[0]].length;
+    while (next < entries.length && length + 1 + lines[next].length <= chunkSize) {
+      length += 1 + lines[next].length;
+      indices.push(next++);
+    }
+
+    const result = await request(indices.map((i) => lines[i]).join("\n"));
+    const translated = result === null ? null : result.replace(/\n+$/, "").split("\n");
+    if (translated && translated.length === indices.length) {
+      indices.forEach((i, k) => (entries[i].translation = wrap(translated[k])));
+    } else if (translated && indices.length > 1) {
+      Logger.warn('TRANSLATE', `Got ${translated.length} lines for ${indices.length} cues, translating them one by one`);
+      for (const i of indices) {
+        if (!lines[i]) continue;
+        const single = await request(lines[i]);
+        if (single !== null) entries[i].translation = wrap(single);
+      }
+    } else if (translated) {
+      entries[indices[0]].translation = wrap(translated.join(" "));
+    }
+    onProgress(next);
+  }
+}
+
+/**
+ * Translate one SRT file
+ * @param {string} filePath
+ * @param {string} sourceLang - Google language code or "auto"
+ * @param {string} tgtLang - Google language code
+ * @param {number} index - Position of the file in the run (for logs)
+ * @param {number} total - Files in the run
+ * @param {{format: string, order: string}|null} [bilingual] - Keep the original text and add the
+ *   translation as a second line, in SRT or ASS (see renderBilingual())
+ */
+async function translateFile(filePath, sourceLang, tgtLang, index, total, bilingual = null) {
   const extension = path.extname(filePath);
   const baseName = path.basename(filePath, extension);
 
@@ -131,7 +207,9 @@ async function translateFile(filePath, sourceLang, tgtLang, index, total) {
       safeBaseName = safeBaseName.slice(0, -1);
     }
   }
-  const srtFilename = `${safeBaseName}-${tgtLang}.srt`;
+  const srtFilename = bilingual
+    ? `${safeBaseName}-${tgtLang}${BILINGUAL_SUFFIX}.${bilingual.format}`
+    : `${safeBaseName}-${tgtLang}.srt`;
 
   // Determine output path based on input path
   // If input path is in /tmp (uploaded file), save to /sdcard/Download
@@ -143,43 +221,36 @@ async function translateFile(filePath, sourceLang, tgtLang, index, total) {
   try {
     await fs.access(outFile);
     Logger.processComplete("TRANSLATE", `${path.basename(outFile)} (already exists)`, `(${index}/${total}) Skipped`);
+    progress.emit("complete", { file: filePath, outputs: [outFile], skipped: true });
     return { skipped: true };
   } catch (error) {
     if (error.code !== "ENOENT") throw error;
   }
 
   Logger.processStart("TRANSLATE", `${path.basename(filePath)}`, `(${index}/${total}) Translating`);
-  const entries = await parseSrt(filePath);
-  let index_ = 0;
-  while (index_ < entries.length) {
-    let chunk = "";
-    const indices = [];
-    while (
-      index_ < entries.length &&
-      (chunk + entries[index_].text).length <= CHUNK_SZ
-    ) {
-      chunk += entries[index_].text + "\n";
-      indices.push(index_++);
-    }
-    if (indices.length === 0) indices.push(index_++);
-
-    try {
-      const res = await gtxTranslate(chunk.trim(), tgtLang, sourceLang);
-      const lines = res.split("\n");
-      for (let k = 0; k < indices.length && k < lines.length; k++) {
-        if (indices[k] !== undefined) entries[indices[k]].text = lines[k];
-      }
-    } catch (error) {
-      Logger.error('TRANSLATE', `⚠️  ${error}`);
-    }
-
-    await sleep(REQ_GAP);
-  }
+  progress.emit("start", { file: filePath });
+  sourceLang = await resolveSourceLang(filePath, sourceLang);
+  const entries = parseSrt(await fs.readFile(filePath, "utf8"));
+  await translateEntries(entries, (text) => gtxTranslate(text, tgtLang, sourceLang), {
+    gap: REQ_GAP,
+    onProgress: (done) =>
+      progress.emit("progress", {
+        file: filePath,
+        percent: Math.round((done / entries.length) * 100),
+        processed: done,
+        total: entries.length,
+      }),
+  });
 
   try {
-    await fs.writeFile(outFile, buildSrt(entries), "utf8");
+    // Entries that failed to translate keep their original text
+    const content = bilingual
+      ? renderBilingual(bilingual.format, entries, { order: bilingual.order, meta: { title: baseName } })
+      : `${buildSrt(entries.map((e) => ({ ...e, text: e.translation ?? e.text })))}\n`;
+    await fs.writeFile(outFile, content, "utf8");
     await saveCache(cache);
     Logger.success('TRANSLATE', `✅ Saved: ${path.basename(outFile)}`);
+    progress.emit("complete", { file: filePath, outputs: [outFile], sourceLanguage: sourceLang });
   } catch (error) {
     Logger.error('TRANSLATE', `❌ Failed to write ${outFile}:`, error.message);
     throw error;
@@ -188,12 +259,60 @@ async function translateFile(filePath, sourceLang, tgtLang, index, total) {
   return { skipped: false, outPath: outFile };
 }
 async function main() {
-  const [, , pathArgument, sourceLang, tgtLang] = process.argv;
+  let args;
+  try {
+    args = parseArgs({
+      options: {
+        "progress-fd": { type: "string" },
+        bilingual: { type: "boolean" },
+        "bilingual-format": { type: "string" },
+        "line-order": { type: "string" },
+      },
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    Logger.error('TRANSLATE', `❌ ${error.message}`);
+    process.exit(1);
+  }
+  try {
+    progress = openProgressChannel(args.values["progress-fd"], "srt-gtk");
+  } catch (error) {
+    Logger.error('TRANSLATE', `❌ ${error.message}`);
+    process.exit(1);
+  }
+  const [pathArgument, sourceLang, tgtLang] = args.positionals;
+
+  // --bilingual-format and --line-order imply --bilingual
+  const bilingualFormat = args.values["bilingual-format"] ?? "srt";
+  const lineOrder = args.values["line-order"] ?? "original";
+  const bilingual = args.values.bilingual || args.values["bilingual-format"] !== undefined || args.values["line-order"] !== undefined
+    ? { format: bilingualFormat, order: lineOrder }
+    : null;
+  if (bilingual && !BILINGUAL_FORMATS.includes(bilingualFormat)) {
+    Logger.error('TRANSLATE', `❌ --bilingual-format must be one of ${BILINGUAL_FORMATS.join(", ")} (got "${bilingualFormat}")`);
+    progress.emit("error", { file: null, message: `Unknown bilingual format "${bilingualFormat}"` });
+    process.exit(1);
+  }
+  if (bilingual && !BILINGUAL_ORDERS.includes(lineOrder)) {
+    Logger.error('TRANSLATE', `❌ --line-order must be one of ${BILINGUAL_ORDERS.join(", ")} (got "${lineOrder}")`);
+    progress.emit("error", { file: null, message: `Unknown line order "${lineOrder}"` });
+    process.exit(1);
+  }
 
-  Logger.log('TRANSLATE', `Starting translation with path: ${pathArgument}, source: ${sourceLang}, target: ${tgtLang}`);
+  Logger.log(
+    'TRANSLATE',
+    `Starting translation with path: ${pathArgument}, source: ${sourceLang}, target: ${tgtLang}` +
+      (bilingual ? `, bilingual ${bilingual.format.toUpperCase()} (${bilingual.order} on top)` : "")
+  );
 
   if (!pathArgument || !sourceLang || !tgtLang) {
-    Logger.error('TRANSLATE', "❌ Usage: node srt-gtk.js /path/to/file/or/folder sourceLang targetLang");
+    Logger.error(
+      'TRANSLATE',
+      "❌ Usage: node srt-gtk.js /path/to/file/or/folder sourceLang targetLang [--bilingual] " +
+        "[--bilingual-format srt|ass] [--line-order original|translation] [--progress-fd <fd>]"
+    );
+    progress.emit("error", { file: null, message: "Missing path, source or target language" });
     process.exit(1);
   }
 
@@ -202,32 +321,37 @@ async function main() {
     const stats = await fs.stat(pathArgument);
     if (stats.isDirectory()) {
       files = (await fs.readdir(pathArgument))
-        .filter((f) => f.toLowerCase().endsWith(".srt"))
+        .filter((f) => f.toLowerCase().endsWith(".srt") && !f.toLowerCase().endsWith(`${BILINGUAL_SUFFIX}.srt`))
         .map((f) => path.join(pathArgument, f));
     } else if (stats.isFile() && pathArgument.toLowerCase().endsWith(".srt")) {
       files = [pathArgument];
     } else {
       Logger.error('TRANSLATE', "❌ Invalid path. Must be a .srt file or directory containing .srt files.");
+      progress.emit("error", { file: null, message: "Invalid path. Must be a .srt file or directory containing .srt files." });
       process.exit(1);
     }
   } catch (error) {
     Logger.error('TRANSLATE', "❌ Error accessing path:", error.message);
+    progress.emit("error", { file: null, message: `Error accessing path: ${error.message}` });
     process.exit(1);
   }
 
   if (files.length === 0) {
     Logger.error('TRANSLATE', "❌ No .srt files found.");
+    progress.emit("error", { file: null, message: "No .srt files found." });
     process.exit(1);
   }
 
   const total = files.length;
   let index = 0;
   let cancelled = false;
+  let current = null;
 
   // Handle cancellation signals
   const signalHandler = (signal) => {
     cancelled = true;
     Logger.log('TRANSLATE', `[INFO] Translation process cancelled by ${signal}`);
+    progress.emit("cancelled", { file: current });
     // Exit immediately
     process.exit(0);
   };
@@ -243,10 +367,12 @@ async function main() {
     }
 
     index++;
+    current = file;
     try {
-      await translateFile(file, sourceLang, tgtLang, index, total);
+      await translateFile(file, sourceLang, tgtLang, index, total, bilingual);
     } catch (error) {
       Logger.error('TRANSLATE', `❌ Failed to translate ${path.basename(file)}:`, error.message);
+      progress.emit("error", { file, message: error.message || String(error) });
     }
 
     // If cancelled during processing, exit
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+// srt-timing.js - Fix the timing of an existing SRT file
+// Converts between frame rates, stretches between two anchor points, shifts by
+// an offset and resyncs against the speech the Silero VAD finds in the media,
+// in that order. See subtitle-timing.js for the mappings.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { printHelp, usageExit } from "./cli-usage.js";
+import Logger from "./logger.js";
+import { openProgressChannel } from "./progress-channel.js";
+import { buildSrt, parseSrt } from "./srt.js";
+import {
+  anchorMapping, composeMappings, findTimingFit, frameRateMapping, parseAnchor, parseFrameRate, parseOffset,
+  retimeCues,
+} from "./subtitle-timing.js";
+
+const CLI_OPTIONS = {
+  help: { type: "boolean", short: "h", description: "Show this help and exit" },
+  shift: {
+    type: "string", short: "s", value: "offset",
+    description: "Move every cue by this offset: seconds or [hh:]mm:ss[.mmm], negative for earlier (e.g. --shift=-2.5)",
+  },
+  anchor: {
+    type: "string", value: "old=new", multiple: true,
+    description: "Stretch: a subtitle time and the time it should be at; give two (e.g. 0:10=0:12 1:30:00=1:30:09)",
+  },
+  fps: {
+    type: "string", value: "from:to",
+    description: "Subtitles timed for one frame rate, video at another (e.g. 25:23.976 or 25:24000/1001)",
+  },
+  resync: {
+    type: "string", short: "r", value: "media",
+    description: "Line the cues up with the speech detected in this audio/video file",
+  },
+  "max-offset": {
+    type: "string", value: "sec", default: "60",
+    description: "Largest offset --resync tries (default: 60)",
+  },
+  "no-drift": { type: "boolean", description: "Only find an offset with --resync, not a frame rate drift" },
+  "audio-track": {
+    type: "string", short: "a", value: "track", default: "auto",
+    description: "Audio track --resync listens to: a track number, a language code or auto (default: auto)",
+  },
+  output: {
+    type: "string", short: "o", value: "file",
+    description: "Write the result here (default: <name>.synced.srt next to the input)",
+  },
+  "in-place": { type: "boolean", description: "Overwrite the input file" },
+  "dry-run": { type: "boolean", description: "Report the timing change without writing anything" },
+  "progress-fd": { type: "string", value: "fd", description: "Write NDJSON progress events to this file descriptor" },
+};
+
+// Machine-readable events; enabled once --progress-fd has been parsed
+let progress = openProgressChannel(undefined, "srt-timing");
+
+const HELP = {
+  usage: "node srt-timing.js <file.srt> [options]",
+  intro: [
+    "Shift, stretch, frame-rate convert or resync the cues of an SRT file.",
+    "Steps are applied in the order --fps, --anchor, --shift, --resync.",
+  ],
+};
+
+const exitWithUsage = usageExit({ script: "srt-timing.js", tag: "TIMING", progress: () => progress });
+
+function describeMapping({ scale, offset }) {
+  const parts = [];
+  if (Math.abs(scale - 1) > 1e-9) parts.push(`speed x${scale.toFixed(6)}`);
+  if (offset !== 0 || parts.length === 0) parts.push(`offset ${offset >= 0 ? "+" : ""}${offset.toFixed(3)}s`);
+  return parts.join(", ");
+}
+
+/**
+ * Parse the timing options into the fixed mappings (everything but --resync)
+ * @param {Object} values - parseArgs values
+ * @returns {Array<{label: string, scale: number, offset: number}>}
+ * @throws {Error} - On invalid values
+ */
+function parseSteps(values) {
+  const steps = [];
+  if (values.fps !== undefined) {
+    const parts = values.fps.split(":");
+    if (parts.length !== 2) throw new Error(`--fps must be <from>:<to> (got "${values.fps}")`);
+    const [from, to] = parts.map(parseFrameRate);
+    steps.push({ label: `fps ${parts[0]} -> ${parts[1]}`, ...frameRateMapping(from, to) });
+  }
+  if (values.anchor !== undefined) {
+    steps.push({ label: "stretch", ...anchorMapping(values.anchor.map(parseAnchor)) });
+  }
+  if (values.shift !== undefined) {
+    steps.push({ label: "shift", scale: 1, offset: parseOffset(values.shift) });
+  }
+  return steps;
+}
+
+async function resync(cues, inputFile, mediaFile, values, shutdown) {
+  // Loaded only here: it needs sherpa-onnx for the VAD
+  const { detectSpeech } = await import("./transcribe.js");
+  Logger.log("TIMING", `Detecting speech in ${path.basename(mediaFile)}...`);
+  let lastPercent = -1;
+  const { speech, duration } = await detectSpeech(mediaFile, {
+    audioTrack: values["audio-track"],
+    signal: shutdown.signal,
+    onProgress: ({ processed, duration: total }) => {
+      const percent = total > 0 ? Math.min(100, Math.round((processed / total) * 100)) : 0;
+      if (percent === lastPercent) return;
+      lastPercent = percent;
+      progress.emit("progress", { file: inputFile, stage: "resync", percent, processed, duration: total });
+    },
+  });
+  Logger.log("TIMING", `Found ${speech.length} speech segment(s) in ${duration.toFixed(1)}s of audio`);
+  const fit = findTimingFit(cues, speech, {
+    maxOffset: Number(values["max-offset"]),
+    scales: values["no-drift"] ? [1] : undefined,
+  });
+  Logger.log(
+    "TIMING",
+    `Resync: ${describeMapping(fit)} (cue time on speech ${(fit.before * 100).toFixed(0)}% -> ${(fit.coverage * 100).toFixed(0)}%)`
+  );
+  if (fit.coverage <= fit.before) Logger.warn("TIMING", "Resync found no better timing; the offset is left as is");
+  return fit.coverage > fit.before ? fit : { ...fit, scale: 1, offset: 0 };
+}
+
+async function main() {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({ options: CLI_OPTIONS, allowPositionals: true, strict: true }));
+  } catch (error) {
+    exitWithUsage("Invalid arguments provided", error.message || error);
+  }
+  if (values.help) {
+    printHelp(CLI_OPTIONS, HELP);
+    process.exit(0);
+  }
+  try {
+    progress = openProgressChannel(values["progress-fd"], "srt-timing");
+  } catch (error) {
+    exitWithUsage(error.message);
+  }
+
+  const [inputFile] = positionals;
+  if (!inputFile || positionals.length > 1) exitWithUsage("Give exactly one SRT file");
+  if (values.output && values["in-place"]) exitWithUsage("--output and --in-place can't be combined");
+  if (!(Number(values["max-offset"]) > 0)) {
+    exitWithUsage(`--max-offset must be a positive number (got "${values["max-offset"]}")`);
+  }
+  let steps;
+  try {
+    steps = parseSteps(values);
+  } catch (error) {
+    exitWithUsage("Invalid timing options", error.message || error);
+  }
+  if (steps.length === 0 && !values.resync) exitWithUsage("Nothing to do: give --shift, --anchor, --fps or --resync");
+
+  const outputFile = values["in-place"]
+    ? inputFile
+    : values.output || path.join(path.dirname(inputFile), `${path.basename(inputFile, path.extname(inputFile))}.synced.srt`);
+
+  const shutdown = new AbortController();
+  const onSignal = (signal) => {
+    Logger.log("TIMING", `Received ${signal}, stopping...`);
+    shutdown.abort();
+  };
+  process.on("SIGINT", () => onSignal("SIGINT"));
+  process.on("SIGTERM", () => onSignal("SIGTERM"));
+
+  progress.emit("start", { file: inputFile });
+  try {
+    const cues = parseSrt(await fs.readFile(inputFile, "utf8"));
+    if (cues.length === 0) throw new Error(`${inputFile} has no cues`);
+    for (const step of steps) Logger.log("TIMING", `${step.label}: ${describeMapping(step)}`);
+    let mapping = composeMappings(steps);
+    if (values.resync) {
+      const fit = await resync(retimeCues(cues, mapping), inputFile, values.resync, values, shutdown);
+      mapping = composeMappings([mapping, fit]);
+    }
+
+    const retimed = retimeCues(cues, mapping);
+    const dropped = cues.length - retimed.length;
+    if (dropped > 0) Logger.warn("TIMING", `${dropped} cue(s) moved before the start and were dropped`);
+    Logger.log("TIMING", `Overall: ${describeMapping(mapping)}`);
+    const summary = { file: inputFile, scale: mapping.scale, offset: mapping.offset, cues: retimed.length, dropped };
+
+    if (values["dry-run"]) {
+      progress.emit("complete", { ...summary, outputs: [] });
+      return;
+    }
+    // Written next to the target and renamed, so --in-place never leaves half a file
+    const tmp = `${outputFile}.tmp`;
+    await fs.writeFile(tmp, `${buildSrt(retimed)}\n`, "utf8");
+    await fs.rename(tmp, outputFile);
+    Logger.success("TIMING", `✅ Saved: ${outputFile}`);
+    progress.emit("complete", { ...summary, outputs: [outputFile] });
+  } catch (error) {
+    if (shutdown.signal.aborted) {
+      Logger.log("TIMING", "Cancelled");
+      progress.emit("cancelled", { file: inputFile });
+      process.exit(0);
+    }
+    Logger.error("TIMING", `❌ ${error.message || error}`);
+    progress.emit("error", { file: inputFile, message: error.message || String(error) });
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,69 @@
+// srt.js - Read SRT files back into timed cues
+// gensrt.js writes subtitles through subtitle-formats.js; this is the way back,
+// for tools that edit existing files (splicing a re-transcribed range into a
+// transcript, retiming with srt-timing.js, translating with srt-gtk.js). Cue
+// text is kept as written, speaker labels included.
+
+import { formatTime } from "./subtitle-formats.js";
+import { overlapsRanges } from "./time-ranges.js";
+
+const SRT_TIME_RE = /^(\d+):(\d{2}):(\d{2})[,.](\d{1,3})$/;
+
+/**
+ * Parse an SRT timestamp (HH:MM:SS,mmm)
+ * @param {string} text
+ * @returns {number} - Seconds
+ * @throws {Error} - When the timestamp is malformed
+ */
+export function parseSrtTime(text) {
+  const match = String(text).trim().match(SRT_TIME_RE);
+  if (!match) throw new Error(`Invalid SRT timestamp "${text}"`);
+  const [, h, m, s, ms] = match;
+  return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(ms.padEnd(3, "0")) / 1000;
+}
+
+/**
+ * Parse SRT text into cues
+ * @param {string} content
+ * @returns {Array<{start: number, end: number, text: string}>}
+ * @throws {Error} - Naming the cue with a malformed timing line
+ */
+export function parseSrt(content) {
+  const cues = [];
+  const blocks = content.replace(/^\uFEFF/, "").split(/\r?\n\s*\n/);
+  for (const block of blocks) {
+    const lines = block.split(/\r?\n/);
+    while (lines.length > 0 && !lines[0].trim()) lines.shift();
+    while (lines.length > 0 && !lines.at(-1).trim()) lines.pop();
+    if (lines.length === 0) continue;
+    // The number line is optional in the wild
+    const timing = lines.findIndex((line) => line.includes("-->"));
+    if (timing === -1 || timing > 1) throw new Error(`SRT cue without timing: "${lines[0]}"`);
+    const [start, end] = lines[timing].split("-->").map((t) => t.trim().split(/\s+/)[0]);
+    cues.push({ start: parseSrtTime(start), end: parseSrtTime(end), text: lines.slice(timing + 1).join("\n") });
+  }
+  return cues;
+}
+
+/**
+ * Render cues as SRT, numbered from 1
+ * @param {Array<{start: number, end: number, text: string}>} cues
+ * @returns {string}
+ */
+export function buildSrt(cues) {
+  if (cues.length === 0) return "";
+  return cues.map((c, i) => `${i + 1}\n${formatTime(c.start)} --> ${formatTime(c.end)}\n${c.text}`).join("\n\n");
+}
+
+/**
+ * Replace the cues of some time ranges with newly transcribed ones
+ * @param {Array<{start: number, end: number, text: string}>} existing - Cues of the current file
+ * @param {Array<{start: number, end: number, text: string}>} replacement - Cues transcribed for the ranges
+ * @param {Array<{start: number, end: number|null}>} ranges - Re-transcribed ranges
+ * @returns {{cues: Array<{start: number, end: number, text: string}>, removed: number, added: number}}
+ */
+export function spliceCues(existing, replacement, ranges) {
+  const kept = existing.filter((cue) => !overlapsRanges(cue, ranges));
+  const cues = [...kept, ...replacement].sort((a, b) => a.start - b.start || a.end - b.end);
+  return { cues, removed: existing.length - kept.length, added: replacement.length };
+}
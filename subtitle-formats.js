@@ -0,0 +1,366 @@
+// subtitle-formats.js - Serializers for every subtitle format gensrt.js can write
+// Each format renders the same list of merged cues ({ start, end, text, words? })
+// so all outputs of a job stay in sync with each other. renderBilingual() writes
+// the two-language output of srt-gtk.js.
+
+/**
+ * Split a time in seconds into hour/minute/second/millisecond parts
+ * @param {number} t - Time in seconds
+ * @returns {{h: number, m: number, s: number, ms: number}}
+ */
+function timeParts(t) {
+  const totalMs = Math.max(0, Math.round((Number(t) || 0) * 1000));
+  return {
+    h: Math.floor(totalMs / 3_600_000),
+    m: Math.floor((totalMs % 3_600_000) / 60_000),
+    s: Math.floor((totalMs % 60_000) / 1000),
+    ms: totalMs % 1000,
+  };
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, "0");
+
+/**
+ * Format seconds as an SRT timestamp (HH:MM:SS,mmm)
+ * @param {number} t - Time in seconds
+ * @returns {string}
+ */
+export function formatTime(t) {
+  const { h, m, s, ms } = timeParts(t);
+  return `${pad(h)}:${pad(m)}:${pad(s)},${pad(ms, 3)}`;
+}
+
+// WebVTT and TTML share the same clock format (HH:MM:SS.mmm)
+function formatClockTime(t) {
+  const { h, m, s, ms } = timeParts(t);
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms, 3)}`;
+}
+
+// ASS uses H:MM:SS.cc (centiseconds)
+function formatAssTime(t) {
+  const { h, m, s, ms } = timeParts(t);
+  return `${h}:${pad(m)}:${pad(s)}.${pad(Math.floor(ms / 10))}`;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function escapeVtt(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function escapeAss(text) {
+  // Braces start override blocks in ASS, newlines become hard line breaks
+  return String(text).replace(/[{}]/g, "").replace(/\r?\n/g, "\\N");
+}
+
+/**
+ * Display name of a speaker
+ * @param {number} speaker - 0-based speaker id
+ * @returns {string} - e.g. "Speaker 1"
+ */
+export function speakerLabel(speaker) {
+  return `Speaker ${speaker + 1}`;
+}
+
+const hasSpeaker = (c) => c.speaker !== null && c.speaker !== undefined;
+
+// Cue text with a "Speaker 1: " prefix when the cue has a speaker
+function labeledText(c) {
+  return hasSpeaker(c) ? `${speakerLabel(c.speaker)}: ${c.text}` : c.text;
+}
+
+// WebVTT marks speakers with a voice span
+function vttText(c) {
+  const text = escapeVtt(c.text);
+  return hasSpeaker(c) ? `<v ${speakerLabel(c.speaker)}>${text}` : text;
+}
+
+function renderSrt(cues) {
+  if (cues.length === 0) return ""; // empty file if no segments
+  return cues
+    .map((c, i) => `${i + 1}\n${formatTime(c.start)} --> ${formatTime(c.end)}\n${labeledText(c)}`)
+    .join("\n\n");
+}
+
+function renderVtt(cues) {
+  const body = cues
+    .map((c) => `${formatClockTime(c.start)} --> ${formatClockTime(c.end)}\n${vttText(c)}`)
+    .join("\n\n");
+  return body ? `WEBVTT\n\n${body}\n` : "WEBVTT\n";
+}
+
+// Primary colours (&HAABBGGRR) of the per-speaker ASS styles
+const SPEAKER_COLOURS = [
+  "&H00FFFFFF", "&H0000FFFF", "&H00FFFF00", "&H0000FF00",
+  "&H00FF80FF", "&H0000A5FF", "&H00FFC080", "&H00C0C0FF",
+];
+
+const assStyleName = (c) => (hasSpeaker(c) ? `Speaker${c.speaker + 1}` : "Default");
+
+// alignment is the numpad position: 2 bottom centre, 8 top centre
+function assStyle(name, colour, size = 64, alignment = 2) {
+  return `Style: ${name},Arial,${size},${colour},&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,3,1,${alignment},60,60,50,1`;
+}
+
+// `styles` replaces the Default and per-speaker styles
+function assHeader(meta, cues = [], styles = null) {
+  const speakers = [...new Set(cues.filter(hasSpeaker).map((c) => c.speaker))].sort((a, b) => a - b);
+  return [
+    "[Script Info]",
+    `Title: ${meta.title || "Subtitles"}`,
+    "ScriptType: v4.00+",
+    "WrapStyle: 0",
+    "ScaledBorderAndShadow: yes",
+    "PlayResX: 1920",
+    "PlayResY: 1080",
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+    ...(styles || [
+      assStyle("Default", SPEAKER_COLOURS[0]),
+      ...speakers.map((s) => assStyle(`Speaker${s + 1}`, SPEAKER_COLOURS[s % SPEAKER_COLOURS.length])),
+    ]),
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+  ];
+}
+
+// Name field of a Dialogue line (the speaker, if known)
+const assName = (c) => (hasSpeaker(c) ? speakerLabel(c.speaker) : "");
+
+function renderAss(cues, meta) {
+  const events = cues.map(
+    (c) =>
+      `Dialogue: 0,${formatAssTime(c.start)},${formatAssTime(c.end)},${assStyleName(c)},${assName(c)},0,0,0,,` +
+      escapeAss(c.text)
+  );
+  return [...assHeader(meta, cues), ...events].join("\n") + "\n";
+}
+
+const CJK_SCRIPT_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+// Karaoke text: one {\k<centiseconds>} tag per word, silent gaps get an empty tag
+function karaokeText(cue) {
+  const words = cue.words || [];
+  if (words.length === 0) return escapeAss(cue.text);
+
+  let cursor = cue.start;
+  let out = "";
+  for (const word of words) {
+    // CJK words are written without separating spaces
+    if (out && !CJK_SCRIPT_RE.test(word.text[0])) out += " ";
+    const gap = Math.round((word.start - cursor) * 100);
+    if (gap > 0) out += `{\\k${gap}}`;
+    const length = Math.max(1, Math.round((word.end - Math.max(word.start, cursor)) * 100));
+    out += `{\\k${length}}${escapeAss(word.text)}`;
+    cursor = Math.max(cursor, word.end);
+  }
+  return out;
+}
+
+function renderKaraoke(cues, meta) {
+  const events = cues.map(
+    (c) =>
+      `Dialogue: 0,${formatAssTime(c.start)},${formatAssTime(c.end)},${assStyleName(c)},${assName(c)},0,0,0,karaoke,` +
+      karaokeText(c)
+  );
+  return [...assHeader(meta, cues), ...events].join("\n") + "\n";
+}
+
+function renderJson(cues, meta) {
+  const doc = {
+    source: meta.source || null,
+    model: meta.model || null,
+    segments: cues.map((c, i) => ({
+      index: i + 1,
+      start: Number(c.start.toFixed(3)),
+      end: Number(c.end.toFixed(3)),
+      speaker: hasSpeaker(c) ? speakerLabel(c.speaker) : undefined,
+      text: c.text,
+    })),
+  };
+  return JSON.stringify(doc, null, 2) + "\n";
+}
+
+function renderWords(cues, meta) {
+  const round = (t) => Number(t.toFixed(3));
+  const doc = {
+    source: meta.source || null,
+    model: meta.model || null,
+    segments: cues.map((c, i) => ({
+      index: i + 1,
+      start: round(c.start),
+      end: round(c.end),
+      speaker: hasSpeaker(c) ? speakerLabel(c.speaker) : undefined,
+      text: c.text,
+      words: (c.words || []).map((w) => ({ text: w.text, start: round(w.start), end: round(w.end) })),
+    })),
+  };
+  return JSON.stringify(doc, null, 2) + "\n";
+}
+
+function renderTtml(cues, meta) {
+  const lang = escapeXml(meta.language || "und");
+  const paragraphs = cues.map(
+    (c) =>
+      `      <p begin="${formatClockTime(c.start)}" end="${formatClockTime(c.end)}">` +
+      `${escapeXml(labeledText(c)).replace(/\r?\n/g, "<br/>")}</p>`
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<tt xmlns="http://www.w3.org/ns/ttml" xml:lang="${lang}">`,
+    "  <body>",
+    "    <div>",
+    ...paragraphs,
+    "    </div>",
+    "  </body>",
+    "</tt>",
+    "",
+  ].join("\n");
+}
+
+function renderTxt(cues) {
+  return cues.length > 0 ? cues.map(labeledText).join("\n") + "\n" : "";
+}
+
+// Formats that can be appended cue by cue while a job runs. Concatenating the
+// header and every chunk gives exactly the output of the full renderer.
+const srtStream = {
+  header: () => "",
+  cue: (c, i) => `${i > 0 ? "\n\n" : ""}${i + 1}\n${formatTime(c.start)} --> ${formatTime(c.end)}\n${labeledText(c)}`,
+};
+const vttStream = {
+  header: () => "WEBVTT\n",
+  cue: (c) => `\n${formatClockTime(c.start)} --> ${formatClockTime(c.end)}\n${vttText(c)}\n`,
+};
+const txtStream = {
+  header: () => "",
+  cue: (c) => `${labeledText(c)}\n`,
+};
+
+const FORMATS = {
+  srt: { extension: ".srt", render: renderSrt, stream: srtStream },
+  vtt: { extension: ".vtt", render: renderVtt, stream: vttStream },
+  ass: { extension: ".ass", render: renderAss },
+  json: { extension: ".json", render: renderJson },
+  ttml: { extension: ".ttml", render: renderTtml },
+  txt: { extension: ".txt", render: renderTxt, stream: txtStream },
+  words: { extension: ".words.json", render: renderWords },
+  karaoke: { extension: ".karaoke.ass", render: renderKaraoke },
+};
+
+export const SUBTITLE_FORMATS = Object.keys(FORMATS);
+
+// Bilingual subtitles (srt-gtk.js --bilingual): each cue has `text` and its
+// `translation`. SRT shows them as the lines of one cue. ASS writes an event per
+// language with its own style: the upper language at the top of the picture and
+// the lower one at the bottom, so they never overlap; the original in white, the
+// translation smaller and yellow.
+export const BILINGUAL_FORMATS = ["srt", "ass"];
+// Which language is on the upper line
+export const BILINGUAL_ORDERS = ["original", "translation"];
+
+// Called with the alignment: the upper language goes to the top of the picture, the lower one to the bottom
+const BILINGUAL_STYLES = {
+  original: (alignment) => assStyle("Original", "&H00FFFFFF", 64, alignment),
+  translation: (alignment) => assStyle("Translation", "&H0000FFFF", 52, alignment),
+};
+
+/**
+ * Render cues with their translation
+ * @param {string} format - One of BILINGUAL_FORMATS
+ * @param {Array<{start: number, end: number, text: string, translation?: string}>} cues
+ * @param {Object} [options]
+ * @param {string} [options.order] - One of BILINGUAL_ORDERS (default: original on top)
+ * @param {Object} [options.meta] - Document info (title)
+ * @returns {string}
+ */
+export function renderBilingual(format, cues, { order = "original", meta = {} } = {}) {
+  if (!BILINGUAL_FORMATS.includes(format)) {
+    throw new Error(`Unknown bilingual format "${format}" (use ${BILINGUAL_FORMATS.join(", ")})`);
+  }
+  if (!BILINGUAL_ORDERS.includes(order)) {
+    throw new Error(`Unknown line order "${order}" (use ${BILINGUAL_ORDERS.join(", ")})`);
+  }
+  const layers = order === "original" ? ["original", "translation"] : ["translation", "original"];
+  // Lines of a cue in display order; a missing translation leaves a single line
+  const lines = (c) =>
+    layers.map((layer) => ({ layer, text: layer === "original" ? c.text : c.translation })).filter((l) => l.text);
+
+  if (format === "srt") {
+    if (cues.length === 0) return "";
+    return cues
+      .map((c, i) => `${i + 1}\n${formatTime(c.start)} --> ${formatTime(c.end)}\n${lines(c).map((l) => l.text).join("\n")}`)
+      .join("\n\n") + "\n";
+  }
+
+  // One event per language, each in its own style and position
+  const styleName = (layer) => (layer === "original" ? "Original" : "Translation");
+  const events = cues.flatMap((c) =>
+    lines(c).map((l) => `Dialogue: 0,${formatAssTime(c.start)},${formatAssTime(c.end)},${styleName(l.layer)},,0,0,0,,${escapeAss(l.text)}`)
+  );
+  const styles = layers.map((layer, i) => BILINGUAL_STYLES[layer](i === 0 ? 8 : 2));
+  return [...assHeader(meta, [], styles), ...events].join("\n") + "\n";
+}
+
+/**
+ * Parse a comma separated (or array) list of format names
+ * @param {string|string[]} value - e.g. "srt,vtt" or ["srt", "ass"]
+ * @returns {string[]} - Unique, validated format names in the order given
+ * @throws {Error} - If the list is empty or contains an unknown format
+ */
+export function parseFormats(value) {
+  const list = (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v ?? "").split(","))
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (list.length === 0) {
+    throw new Error(`No subtitle format given. Available: ${SUBTITLE_FORMATS.join(", ")}`);
+  }
+  for (const name of list) {
+    if (!FORMATS[name]) {
+      throw new Error(`Unknown subtitle format "${name}". Available: ${SUBTITLE_FORMATS.join(", ")}`);
+    }
+  }
+  return [...new Set(list)];
+}
+
+/**
+ * File extension (including the dot) used for a format
+ * @param {string} format - Format name
+ * @returns {string}
+ */
+export function getFormatExtension(format) {
+  return FORMATS[format].extension;
+}
+
+/**
+ * Render cues in the requested format
+ * @param {string} format - Format name
+ * @param {Array<{start: number, end: number, text: string, words?: Array}>} cues - Merged cues
+ * @param {Object} [meta] - Optional document info (title, source, model, language)
+ * @returns {string}
+ */
+export function renderSubtitles(format, cues, meta = {}) {
+  const entry = FORMATS[format];
+  if (!entry) throw new Error(`Unknown subtitle format "${format}"`);
+  return entry.render(cues, meta);
+}
+
+/**
+ * Incremental renderer for formats that can be written progressively
+ * @param {string} format - Format name
+ * @returns {{header: function(Object): string, cue: function(Object, number): string}|null}
+ *   - null when the format can only be rendered once all cues are known
+ */
+export function getStreamRenderer(format) {
+  return FORMATS[format]?.stream || null;
+}
@@ -0,0 +1,175 @@
+// subtitle-timing.js - Retiming subtitle cues
+// Every operation maps cue times through a linear function t -> t * scale + offset:
+//   shift        a constant offset ("+2.5", "-00:00:01,200")
+//   stretch      two anchor points, subtitle time = actual time ("1:00=1:02.5")
+//   frame rate   subtitles timed for one frame rate played at another (25 -> 23.976)
+//   resync       the offset (and frame rate drift) that lines cues up best with
+//                the speech found in the media, see findTimingFit()
+// Cues are {start, end, text} as read by srt.js.
+
+import { parseTimestamp } from "./time-ranges.js";
+
+// Common frame rate mix-ups tried by resync, as playback speed ratios
+export const DRIFT_SCALES = [1, 25 / 23.976, 23.976 / 25, 25 / 24, 24 / 25, 24 / 23.976, 23.976 / 24];
+
+/**
+ * Parse a signed offset: seconds or a clock time with an optional sign
+ * @param {string|number} value - e.g. "2.5", "-1.2", "+00:00:03,000"
+ * @returns {number} - Seconds
+ */
+export function parseOffset(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return value;
+  const text = String(value ?? "").trim();
+  const sign = text.startsWith("-") ? -1 : 1;
+  try {
+    return sign * parseTimestamp(text.replace(/^[+-]/, ""));
+  } catch {
+    throw new Error(`Invalid offset "${value}" (use seconds or [hh:]mm:ss[.mmm], e.g. -2.5 or +00:01:02,000)`);
+  }
+}
+
+/**
+ * Parse a stretch anchor "<subtitle time>=<actual time>"
+ * @param {string} value
+ * @returns {{from: number, to: number}}
+ */
+export function parseAnchor(value) {
+  const parts = String(value ?? "").split("=");
+  if (parts.length !== 2) throw new Error(`Invalid anchor "${value}" (use <subtitle time>=<actual time>)`);
+  return { from: parseTimestamp(parts[0].trim()), to: parseTimestamp(parts[1].trim()) };
+}
+
+/**
+ * Parse a frame rate, as a number or a fraction such as 24000/1001
+ * @param {string|number} value
+ * @returns {number}
+ */
+export function parseFrameRate(value) {
+  const text = String(value ?? "").trim();
+  const match = text.match(/^(\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?$/);
+  const fps = match ? Number(match[1]) / (match[2] ? Number(match[2]) : 1) : NaN;
+  if (!(fps > 0 && fps < 1000)) throw new Error(`Invalid frame rate "${value}" (e.g. 25, 23.976 or 24000/1001)`);
+  return fps;
+}
+
+/**
+ * Map the times of cues through t * scale + offset. Cues that end up before
+ * zero are dropped, ones that straddle it start at zero.
+ * @param {Array<{start: number, end: number}>} cues
+ * @param {{scale?: number, offset?: number}} mapping
+ * @returns {Array<Object>} - New cue objects
+ */
+export function retimeCues(cues, { scale = 1, offset = 0 }) {
+  return cues
+    .map((cue) => ({ ...cue, start: cue.start * scale + offset, end: cue.end * scale + offset }))
+    .filter((cue) => cue.end > 0)
+    .map((cue) => ({ ...cue, start: Math.max(0, cue.start) }));
+}
+
+/**
+ * The mapping that moves two subtitle times onto the actual ones
+ * @param {Array<{from: number, to: number}>} anchors - Exactly two, at different subtitle times
+ * @returns {{scale: number, offset: number}}
+ */
+export function anchorMapping(anchors) {
+  if (anchors.length !== 2) throw new Error(`A stretch needs two anchors (got ${anchors.length})`);
+  const [a, b] = anchors;
+  if (a.from === b.from) throw new Error("The two anchors must be at different subtitle times");
+  const scale = (b.to - a.to) / (b.from - a.from);
+  if (!(scale > 0)) throw new Error("The anchors would reverse the subtitles");
+  return { scale, offset: a.to - a.from * scale };
+}
+
+/**
+ * The mapping for subtitles timed against one frame rate, played at another
+ * @param {number} from - Frame rate the subtitles were made for
+ * @param {number} to - Frame rate of the video they should play with
+ * @returns {{scale: number, offset: number}}
+ */
+export function frameRateMapping(from, to) {
+  // The same frame shows up later at a lower frame rate
+  return { scale: from / to, offset: 0 };
+}
+
+/**
+ * Combine mappings, applied in the order given
+ * @param {Array<{scale?: number, offset?: number}>} mappings
+ * @returns {{scale: number, offset: number}}
+ */
+export function composeMappings(mappings) {
+  return mappings.reduce(
+    (acc, m) => ({ scale: acc.scale * (m.scale ?? 1), offset: acc.offset * (m.scale ?? 1) + (m.offset ?? 0) }),
+    { scale: 1, offset: 0 }
+  );
+}
+
+// Fraction of the (mapped) cue time that falls on speech, from a prefix sum of
+// speech per time step
+function coverage(cues, prefix, step, scale, offset) {
+  const last = prefix.length - 1;
+  const at = (t) => prefix[Math.min(last, Math.max(0, Math.floor(t / step)))];
+  let covered = 0;
+  let total = 0;
+  for (const cue of cues) {
+    const start = cue.start * scale + offset;
+    const end = cue.end * scale + offset;
+    covered += (at(end) - at(start)) * step;
+    total += end - start;
+  }
+  return total > 0 ? Math.min(1, covered / total) : 0;
+}
+
+function speechPrefix(speech, length, step) {
+  const frames = Math.ceil(length / step) + 1;
+  const active = new Uint8Array(frames);
+  for (const s of speech) {
+    for (let i = Math.max(0, Math.floor(s.start / step)); i < Math.min(frames, Math.ceil(s.end / step)); i++) active[i] = 1;
+  }
+  const prefix = new Int32Array(frames + 1);
+  for (let i = 0; i < frames; i++) prefix[i + 1] = prefix[i] + active[i];
+  return prefix;
+}
+
+/**
+ * Find the timing that lines cues up best with detected speech: the offset
+ * (searched in coarse steps, then refined) and the playback speed ratio among
+ * `scales` that puts the largest share of cue time on speech
+ * @param {Array<{start: number, end: number}>} cues
+ * @param {Array<{start: number, end: number}>} speech - From detectSpeech() in transcribe.js
+ * @param {Object} [options]
+ * @param {number} [options.maxOffset] - Largest offset tried, in seconds (default 60)
+ * @param {number[]} [options.scales] - Speed ratios tried (default: DRIFT_SCALES; [1] for offset only)
+ * @returns {{scale: number, offset: number, coverage: number, before: number}} - coverage and before:
+ *   share of cue time on speech with and without the fit
+ */
+export function findTimingFit(cues, speech, { maxOffset = 60, scales = DRIFT_SCALES } = {}) {
+  if (cues.length === 0) throw new Error("No cues to line up");
+  if (speech.length === 0) throw new Error("No speech found in the media");
+  const length = Math.max(speech.at(-1).end, ...cues.map((c) => c.end * Math.max(...scales))) + maxOffset;
+  const coarseStep = 0.1;
+  const fineStep = 0.01;
+  const coarse = speechPrefix(speech, length, coarseStep);
+  const fine = speechPrefix(speech, length, fineStep);
+
+  // Offsets are tried outwards from zero and scale 1 first, so ties keep the smallest change
+  const outwards = (center, step, count) =>
+    Array.from({ length: 2 * count + 1 }, (_, i) => center + (i % 2 ? 1 : -1) * Math.ceil(i / 2) * step);
+  let best = { scale: 1, offset: 0, coverage: -1 };
+  for (const scale of scales) {
+    for (const offset of outwards(0, coarseStep, Math.round(maxOffset / coarseStep))) {
+      const score = coverage(cues, coarse, coarseStep, scale, offset);
+      if (score > best.coverage) best = { scale, offset, coverage: score };
+    }
+  }
+  // Refine around the coarse result
+  for (const offset of outwards(best.offset, fineStep, Math.round(coarseStep / fineStep))) {
+    const score = coverage(cues, fine, fineStep, best.scale, offset);
+    if (score > best.coverage) best = { ...best, offset, coverage: score };
+  }
+  return {
+    scale: best.scale,
+    offset: Math.round(best.offset * 1000) / 1000,
+    coverage: coverage(cues, fine, fineStep, best.scale, best.offset),
+    before: coverage(cues, fine, fineStep, 1, 0),
+  };
+}
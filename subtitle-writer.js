@@ -0,0 +1,126 @@
+// subtitle-writer.js - Progressive subtitle output for long recordings
+// Segments are added as soon as they are decoded. Cues that can no longer change
+// (a long enough pause follows them) are appended to `<output>.part` files for
+// streamable formats, so partial subtitles can be previewed while a job runs.
+// finish() writes the remaining formats and renames the .part files into place.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import Logger from "./logger.js";
+import { getFormatExtension, getStreamRenderer, renderSubtitles } from "./subtitle-formats.js";
+import { buildCues, normalizeCueOptions } from "./segmentation.js";
+
+// Continuous speech without pauses is flushed at a segment boundary after this long
+const MAX_PENDING_SECONDS = 30;
+
+export class SubtitleWriter {
+  /**
+   * @param {string} outBase - Output path without extension
+   * @param {string[]} formats - Output format names
+   * @param {Object} cueOptions - Cue options for buildCues()
+   * @param {Object} [meta] - Document info passed to the renderers
+   */
+  constructor(outBase, formats, cueOptions, meta = {}) {
+    this.outBase = outBase;
+    this.formats = formats;
+    this.cueOptions = normalizeCueOptions(cueOptions);
+    this.meta = meta;
+    this.pending = [];
+    this.cues = [];
+    this.streams = formats
+      .map((format) => ({ format, renderer: getStreamRenderer(format) }))
+      .filter((s) => s.renderer)
+      .map((s) => ({ ...s, partPath: `${this.outputPath(s.format)}.part` }));
+    // Appends are chained so they land in order even though add() is synchronous
+    this.queue = Promise.resolve();
+    this.writeError = null;
+  }
+
+  outputPath(format) {
+    return `${this.outBase}${getFormatExtension(format)}`;
+  }
+
+  /**
+   * Create the output directory and write the headers of streamed formats
+   */
+  async open() {
+    try {
+      await fs.mkdir(path.dirname(this.outBase), { recursive: true });
+    } catch (error) {
+      Logger.warn("TRANSCRIBE", `Failed to ensure output directory: ${error.message || error}`);
+    }
+    for (const s of this.streams) {
+      await fs.writeFile(s.partPath, s.renderer.header(this.meta), "utf-8");
+      Logger.log("TRANSCRIBE", `Writing partial ${s.format.toUpperCase()} to: ${s.partPath}`);
+    }
+  }
+
+  /**
+   * Add a decoded segment. Earlier segments are turned into cues and appended
+   * once they are separated from it by a pause that always ends a cue.
+   * @param {import("./segment.js").Segment} segment
+   */
+  add(segment) {
+    const last = this.pending.at(-1);
+    if (last) {
+      const pause = segment.start - last.end;
+      const pendingSeconds = last.end - this.pending[0].start;
+      if (pause >= this.cueOptions.maxPause || pendingSeconds >= MAX_PENDING_SECONDS) {
+        this.flushPending(segment.start);
+      }
+    }
+    this.pending.push(segment);
+  }
+
+  flushPending(limitEnd = Infinity) {
+    if (this.pending.length === 0) return;
+    const cues = buildCues(this.pending, this.cueOptions, limitEnd);
+    this.pending = [];
+
+    const firstIndex = this.cues.length;
+    this.cues.push(...cues);
+    for (const s of this.streams) {
+      const chunk = cues.map((c, i) => s.renderer.cue(c, firstIndex + i)).join("");
+      if (!chunk) continue;
+      this.queue = this.queue
+        .then(() => fs.appendFile(s.partPath, chunk, "utf-8"))
+        .catch((error) => {
+          this.writeError = this.writeError || error;
+        });
+    }
+  }
+
+  /**
+   * Flush remaining cues, write all formats and move them into place
+   * @returns {Promise<string[]>} - Written paths in the order of `formats`
+   */
+  async finish() {
+    this.flushPending();
+    await this.queue;
+    if (this.writeError) throw this.writeError;
+
+    const written = [];
+    for (const format of this.formats) {
+      const outPath = this.outputPath(format);
+      const stream = this.streams.find((s) => s.format === format);
+      if (stream) {
+        await fs.rename(stream.partPath, outPath);
+      } else {
+        await fs.writeFile(outPath, renderSubtitles(format, this.cues, this.meta), "utf-8");
+      }
+      Logger.log("TRANSCRIBE", `${format.toUpperCase()} file saved to: ${outPath}`);
+      written.push(outPath);
+    }
+    return written;
+  }
+
+  /**
+   * Drop partial output after a failed or cancelled job
+   */
+  async abort() {
+    await this.queue;
+    for (const s of this.streams) {
+      await fs.unlink(s.partPath).catch(() => {});
+    }
+  }
+}
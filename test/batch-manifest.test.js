@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import {
+  finishedRows,
+  jobKey,
+  loadManifest,
+  parseCsv,
+  parseManifest,
+  resultsPath,
+  validateManifest,
+  writeResults,
+} from "../batch-manifest.js";
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "batch-manifest-"));
+  await fs.writeFile(path.join(dir, "talk.mkv"), "");
+  await fs.writeFile(path.join(dir, "other.wav"), "");
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test("parseCsv handles quotes, newlines in fields and blank lines", () => {
+  const text = 'file,targets\r\n"a, b.mkv","fr ""x""\nde"\n\n,\nc.mkv,es';
+  assert.deepEqual(parseCsv(text), [["file", "targets"], ["a, b.mkv", 'fr "x"\nde'], ["c.mkv", "es"]]);
+  assert.deepEqual(parseCsv(""), []);
+});
+
+test("parseManifest reads JSON and CSV rows", () => {
+  assert.deepEqual(parseManifest('[{"file": "a.mkv"}]', "json"), [{ file: "a.mkv" }]);
+  assert.deepEqual(parseManifest('{"jobs": [{"file": "a.mkv"}]}', "json"), [{ file: "a.mkv" }]);
+  assert.deepEqual(parseManifest("\uFEFFfile, targets\na.mkv\n", "csv"), [{ file: "a.mkv", targets: "" }]);
+  assert.throws(() => parseManifest("{", "json"), /Invalid JSON/);
+  assert.throws(() => parseManifest('{"file": "a.mkv"}', "json"), /array of jobs/);
+  assert.throws(() => parseManifest("", "yaml"), /Unknown manifest format/);
+});
+
+test("validateManifest turns rows into jobs", async () => {
+  const rows = [
+    { file: "talk.mkv", targets: "fr;de fr", formats: "vtt", "audio_track": "eng", bilingual: "yes", force: "1", id: "ep1" },
+    { File: "other.wav", outputDir: "subs" },
+  ];
+  const { jobs, problems } = await validateManifest(rows, { baseDir: dir, models: ["whisper"] });
+  assert.deepEqual(problems, []);
+  assert.equal(jobs.length, 2);
+  const [first, second] = jobs;
+  assert.equal(first.file, path.join(dir, "talk.mkv"));
+  assert.deepEqual(first.targets, ["fr", "de"]);
+  assert.deepEqual(first.formats, ["srt", "vtt"]);
+  assert.equal(first.audioTrack, "eng");
+  assert.equal(first.bilingual, "srt");
+  assert.equal(first.force, true);
+  assert.equal(first.key, jobKey(first));
+  assert.equal(second.source, "auto");
+  assert.equal(second.outputDir, path.join(dir, "subs"));
+  assert.equal(second.force, false);
+});
+
+test("validateManifest reports every problem by row", async () => {
+  const rows = [
+    { file: "missing.mkv", source: "english!", targets: "fr x_y", audioTrack: "track 2", model: "big", color: "red" },
+    { file: "talk.mkv", bilingual: "vtt", force: "maybe" },
+    { file: "talk.mkv", id: "again" },
+    { file: "talk.mkv" },
+    "talk.mkv",
+  ];
+  const { problems } = await validateManifest(rows, { baseDir: dir, models: ["whisper"] });
+  assert.deepEqual(problems, [
+    'Row 1: unknown column "color" (columns: id, file, model, source, targets, formats, audioTrack, outputDir, bilingual, force)',
+    "Row 1: missing.mkv does not exist",
+    'Row 1: invalid source language "english!"',
+    'Row 1: invalid target language "x_y"',
+    'Row 1: invalid audioTrack "track 2" (use a track number, a language code or auto)',
+    'Row 1: unknown model "big" (models: whisper)',
+    'Row 2: bilingual must be true or one of srt, ass (got "vtt")',
+    "Row 2: bilingual needs targets",
+    'Row 2: force must be true or false (got "maybe")',
+    "Row 4: same job as row 3",
+    "Row 5: not an object of column values",
+  ]);
+  assert.deepEqual((await validateManifest([])).problems, ["The manifest has no jobs"]);
+});
+
+test("loadManifest resolves files next to the manifest", async () => {
+  const manifest = path.join(dir, "jobs.csv");
+  await fs.writeFile(manifest, "file,audioTrack\ntalk.mkv,2\n");
+  const { jobs, problems } = await loadManifest(manifest);
+  assert.deepEqual(problems, []);
+  assert.equal(jobs[0].file, path.join(dir, "talk.mkv"));
+  assert.equal(jobs[0].audioTrack, "2");
+  await assert.rejects(loadManifest(path.join(dir, "jobs.txt")), /a manifest is a .json or .csv file/);
+});
+
+test("finished rows are skipped only while their outputs exist", async () => {
+  const output = path.join(dir, "talk.srt");
+  await fs.writeFile(output, "");
+  const results = resultsPath(path.join(dir, "jobs.csv"));
+  assert.equal(results, path.join(dir, "jobs.results.json"));
+  const rows = [
+    { key: "a", status: "done", outputs: [output] },
+    { key: "b", status: "done", outputs: [path.join(dir, "gone.srt")] },
+    { key: "c", status: "failed", outputs: [] },
+    { key: "d", status: "done", skipped: true, outputs: [] },
+  ];
+  const summary = await writeResults(results, { manifest: "jobs.csv", rows });
+  assert.deepEqual(summary, { pending: 0, done: 3, failed: 1, cancelled: 0, skipped: 1 });
+  const finished = await finishedRows(JSON.parse(await fs.readFile(results, "utf8")));
+  assert.deepEqual([...finished.keys()], ["a", "d"]);
+});
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { checkpointPath, hasCheckpoint, loadCheckpoint, removeCheckpoint, saveCheckpoint } from "../checkpoint.js";
+import { Segment } from "../segment.js";
+
+let dir;
+let input;
+let outBase;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "checkpoint-"));
+  input = path.join(dir, "talk.wav");
+  outBase = path.join(dir, "talk");
+  await fs.writeFile(input, "audio");
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const settings = { audio: { highpass: 100 }, hotwords: ["sherpa"], punctuation: "auto" };
+
+const save = (extra = {}) =>
+  saveCheckpoint(outBase, {
+    inputFile: input,
+    model: "whisper",
+    audioTrack: 1,
+    ranges: null,
+    settings,
+    offset: 12.5,
+    segments: [new Segment(1, 2, "hello there", [])],
+    ...extra,
+  });
+
+test("a checkpoint of the same input and options is resumed", async () => {
+  await save();
+  assert.equal(await hasCheckpoint(outBase), true);
+  const checkpoint = await loadCheckpoint(outBase, input, "whisper", 1, null, settings);
+  assert.equal(checkpoint.offset, 12.5);
+  assert.equal(checkpoint.segments.length, 1);
+  assert.ok(checkpoint.segments[0] instanceof Segment);
+  assert.equal(checkpoint.segments[0].text, "hello there");
+  assert.equal(checkpoint.segments[0].start, 1);
+});
+
+test("a checkpoint made with other options is ignored", async () => {
+  await save();
+  assert.equal(await loadCheckpoint(outBase, input, "parakeet", 1, null, settings), null);
+  assert.equal(await loadCheckpoint(outBase, input, "whisper", 2, null, settings), null);
+  assert.equal(await loadCheckpoint(outBase, input, "whisper", 1, [{ start: 0, end: 60 }], settings), null);
+  assert.equal(await loadCheckpoint(outBase, input, "whisper", 1, null, { ...settings, hotwords: [] }), null);
+  assert.equal(await loadCheckpoint(outBase, input, "whisper", 1, null, { ...settings, diarization: "auto" }), null);
+});
+
+test("a checkpoint of a changed input is ignored", async () => {
+  await save();
+  await fs.writeFile(input, "other audio");
+  assert.equal(await loadCheckpoint(outBase, input, "whisper", 1, null, settings), null);
+});
+
+test("unreadable and removed checkpoints load as none", async () => {
+  await fs.writeFile(checkpointPath(outBase), "{not json");
+  assert.equal(await loadCheckpoint(outBase, input, "whisper", 1, null, settings), null);
+  await removeCheckpoint(outBase);
+  assert.equal(await hasCheckpoint(outBase), false);
+  assert.equal(await loadCheckpoint(outBase, input, "whisper", 1, null, settings), null);
+});
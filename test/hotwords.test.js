@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import { test } from "node:test";
+import { parseHotwords, resolveHotwords, writeHotwordsFile } from "../hotwords.js";
+
+test("parseHotwords drops comments, blanks and duplicates", () => {
+  const text = "# names\nSherpa   Onnx\n\n  Kaldi # toolkit\nSherpa Onnx\n";
+  assert.deepEqual(parseHotwords(text), ["Sherpa Onnx", "Kaldi"]);
+});
+
+test("parseHotwords splits at commas only when asked", () => {
+  assert.deepEqual(parseHotwords("Alice, Bob"), ["Alice, Bob"]);
+  assert.deepEqual(parseHotwords(["Alice, Bob", "Carol\nAlice"], { commas: true }), ["Alice", "Bob", "Carol"]);
+});
+
+test("parseHotwords keeps boosts and rejects invalid ones", () => {
+  assert.deepEqual(parseHotwords("Sherpa Onnx :3.0\nKaldi :  0.5"), ["Sherpa Onnx :3.0", "Kaldi : 0.5"]);
+  assert.throws(() => parseHotwords("Kaldi :0"), /Invalid hotword boost/);
+  assert.throws(() => parseHotwords("Kaldi :1.2.3"), /Invalid hotword boost/);
+  assert.throws(() => parseHotwords(" :2"), /has a boost but no phrase/);
+  assert.throws(() => parseHotwords([42]), /must be text/);
+});
+
+test("resolveHotwords merges lists and files in order", async () => {
+  const { file, remove } = await writeHotwordsFile(["Kaldi", "Whisper :2"]);
+  try {
+    assert.equal(await fs.readFile(file, "utf8"), "Kaldi\nWhisper :2\n");
+    assert.deepEqual(await resolveHotwords({ hotwords: "Sherpa, Kaldi", files: [file] }), ["Sherpa", "Kaldi", "Whisper :2"]);
+  } finally {
+    await remove();
+  }
+  await assert.rejects(fs.access(file));
+});
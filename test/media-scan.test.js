@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { createGlobMatcher, findMediaFiles, globToRegExp } from "../media-scan.js";
+
+test("globToRegExp keeps * and ? inside one path segment", () => {
+  assert.ok(globToRegExp("*.mkv").test("Episode 1.MKV"));
+  assert.ok(!globToRegExp("*.mkv").test("extras/Episode 1.mkv"));
+  assert.ok(globToRegExp("Season ?/*").test("Season 2/e01.mkv"));
+  assert.ok(!globToRegExp("Season ?/*").test("Season 10/e01.mkv"));
+});
+
+test("globToRegExp matches any depth with **", () => {
+  const re = globToRegExp("extras/**/*.mp4");
+  assert.ok(re.test("extras/a.mp4"));
+  assert.ok(re.test("extras/b/c/a.mp4"));
+  assert.ok(!re.test("other/a.mp4"));
+  assert.ok(globToRegExp("extras/**").test("extras/b/c.mp4"));
+});
+
+test("globToRegExp supports classes, negated classes and braces", () => {
+  assert.ok(globToRegExp("e[0-9].mkv").test("e7.mkv"));
+  assert.ok(!globToRegExp("e[!0-9].mkv").test("e7.mkv"));
+  assert.ok(globToRegExp("e[!0-9].mkv").test("ex.mkv"));
+  const re = globToRegExp("*.{mkv,mp4}");
+  assert.ok(re.test("a.mkv") && re.test("a.mp4"));
+  assert.ok(!re.test("a.avi"));
+});
+
+test("globToRegExp treats regex characters and an unclosed [ literally", () => {
+  assert.ok(globToRegExp("a+b (1).mkv").test("a+b (1).mkv"));
+  assert.ok(!globToRegExp("a.mkv").test("abmkv"));
+  assert.ok(globToRegExp("[draft.mkv").test("[draft.mkv"));
+});
+
+test("createGlobMatcher matches file names anywhere and paths from the root", () => {
+  const matches = createGlobMatcher(["*.sample.mkv", "./extras/*", "Season 1\\*.mkv"]);
+  assert.ok(matches("Season 2/show.sample.mkv"));
+  assert.ok(matches("extras/trailer.mkv"));
+  assert.ok(!matches("Season 2/extras/trailer.mkv"));
+  assert.ok(matches("Season 1/e01.mkv"));
+  assert.ok(!matches("Season 2/e01.mkv"));
+});
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "media-scan-"));
+  await fs.mkdir(path.join(dir, "extras", "deep"), { recursive: true });
+  for (const file of ["b.mkv", "a.MP3", "notes.txt", "extras/trailer.mp4", "extras/deep/clip.wav"]) {
+    await fs.writeFile(path.join(dir, file), "");
+  }
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test("findMediaFiles filters by extension, depth and globs", async () => {
+  const rel = (files) => files.map((f) => path.relative(dir, f).split(path.sep).join("/"));
+  assert.deepEqual(rel(await findMediaFiles(dir)), ["a.MP3", "b.mkv"]);
+  assert.deepEqual(rel(await findMediaFiles(dir, { maxDepth: 1 })), ["a.MP3", "b.mkv", "extras/trailer.mp4"]);
+  assert.deepEqual(rel(await findMediaFiles(dir, { recursive: true, exclude: ["extras"] })), ["a.MP3", "b.mkv"]);
+  assert.deepEqual(rel(await findMediaFiles(dir, { recursive: true, include: ["*.wav"] })), ["extras/deep/clip.wav"]);
+});
@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { applyCasing, punctuate } from "../punctuation.js";
+
+// Stands in for the CT-Transformer model: returns canned output per input
+const fakeModel = (outputs) => ({
+  addPunct: (text) => {
+    assert.ok(text in outputs, `unexpected model input "${text}"`);
+    return outputs[text];
+  },
+});
+
+test("punctuate without context returns the model output", () => {
+  const model = fakeModel({ "hello there how are you": "hello there, how are you? " });
+  assert.deepEqual(punctuate(model, "hello there how are you"), { text: "hello there, how are you?", sentenceStart: true });
+});
+
+test("punctuate keeps only the part after the context", () => {
+  const model = fakeModel({
+    "so we went home and then we slept": "so we went home. and then we slept.",
+    "so we went and then we slept": "so we went and then we slept.",
+  });
+  assert.deepEqual(punctuate(model, "and then we slept", "so we went home"), {
+    text: "and then we slept.",
+    sentenceStart: true,
+  });
+  assert.deepEqual(punctuate(model, "and then we slept", "so we went"), {
+    text: "and then we slept.",
+    sentenceStart: false,
+  });
+});
+
+test("punctuate counts context letters in CJK text", () => {
+  const model = fakeModel({ "我们回家 然后睡觉": "我们回家，然后睡觉。" });
+  assert.deepEqual(punctuate(model, "然后睡觉", "我们回家"), { text: "然后睡觉。", sentenceStart: false });
+});
+
+test("applyCasing capitalises sentence starts of lowercase text", () => {
+  assert.equal(applyCasing("hello. this is it! ok"), "Hello. This is it! Ok");
+  assert.equal(applyCasing("and so on. i think", { sentenceStart: false, language: "en" }), "and so on. I think");
+});
+
+test("applyCasing leaves cased and caseless text alone", () => {
+  assert.equal(applyCasing("iPhone sales. they rose"), "iPhone sales. they rose");
+  assert.equal(applyCasing("然后睡觉。"), "然后睡觉。");
+});
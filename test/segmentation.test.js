@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { Segment } from "../segment.js";
+import { DEFAULT_CUE_OPTIONS, buildCues, displayWidth, normalizeCueOptions, wrapLines } from "../segmentation.js";
+
+// 16 four-letter words, two full lines at the default 42 columns
+function speech(seconds) {
+  const step = seconds / 16;
+  const words = Array.from({ length: 16 }, (_, i) => ({ text: `w${String(i).padStart(2, "0")}x`, start: i * step, end: (i + 1) * step }));
+  return new Segment(0, seconds, words.map((w) => w.text).join(" "), words);
+}
+
+test("two lines spoken too fast to read are split into one-line cues", () => {
+  // Next speech right after: the cue can't be shown any longer
+  const cues = buildCues([speech(2)], {}, 2.05);
+  assert.equal(cues.length, 2);
+  for (const cue of cues) assert.ok(!cue.text.includes("\n"), cue.text);
+});
+
+test("two lines with time to read them stay one cue", () => {
+  const cues = buildCues([speech(6)], {}, 6.05);
+  assert.equal(cues.length, 1);
+  assert.equal(cues[0].text.split("\n").length, 2);
+});
+
+test("one line spoken faster than maxCps is kept and shown until the next speech", () => {
+  const words = ["w00x", "w01x", "w02x", "w03x"].map((text, i) => ({ text, start: i * 0.2, end: (i + 1) * 0.2 }));
+  const cues = buildCues([new Segment(0, 0.8, words.map((w) => w.text).join(" "), words)], { maxCps: 10 }, 1.5);
+  assert.equal(cues.length, 1);
+  assert.equal(cues[0].text, "w00x w01x w02x w03x");
+  // 19 characters need 1.9 s at 10 cps; the next speech allows 1.46 s
+  assert.ok(Math.abs(cues[0].end - 1.46) < 1e-9, String(cues[0].end));
+});
+
+test("a one-line cue with time to read it is not stretched past maxCps", () => {
+  const words = ["w00x", "w01x"].map((text, i) => ({ text, start: i * 0.2, end: (i + 1) * 0.2 }));
+  const cues = buildCues([new Segment(0, 0.4, "w00x w01x", words)], { maxCps: 10, minDuration: 0.5 }, 10);
+  assert.equal(cues.length, 1);
+  // 9 characters at 10 cps
+  assert.ok(Math.abs(cues[0].duration - 0.9) < 1e-9, String(cues[0].duration));
+});
+
+test("cue options fall back to the defaults and reject bad values", () => {
+  assert.deepEqual(normalizeCueOptions(), DEFAULT_CUE_OPTIONS);
+  // Form and command line values are strings; blanks keep the default
+  assert.deepEqual(normalizeCueOptions({ maxCharsPerLine: "37.9", maxCps: "15", maxLines: "" }), {
+    ...DEFAULT_CUE_OPTIONS, maxCharsPerLine: 37, maxCps: 15,
+  });
+  assert.throws(() => normalizeCueOptions({ maxLines: 0 }), /positive number/);
+  assert.throws(() => normalizeCueOptions({ maxCps: "fast" }), /positive number/);
+  assert.throws(() => normalizeCueOptions({ maxWidth: 40 }), /Unknown segmentation option "maxWidth"/);
+  assert.throws(() => normalizeCueOptions({ minDuration: 8 }), /longer than maxDuration/);
+});
+
+test("CJK characters take two columns", () => {
+  assert.equal(displayWidth("abc"), 3);
+  assert.equal(displayWidth("你好"), 4);
+  assert.equal(displayWidth("你好，a\nb"), 8);
+});
+
+test("text that fits stays on one line, longer text is balanced over two", () => {
+  assert.deepEqual(wrapLines("  short   text ", 42), ["short text"]);
+  assert.deepEqual(wrapLines("", 42), []);
+  assert.deepEqual(wrapLines("one two three four five six", 20), ["one two three", "four five six"]);
+});
+
+test("two lines break after a sentence end rather than evenly", () => {
+  assert.deepEqual(wrapLines("It works, but only on the test", 22), ["It works, but", "only on the test"]);
+  assert.deepEqual(wrapLines("It works. But only on the test", 22), ["It works.", "But only on the test"]);
+});
+
+test("CJK text breaks between characters, never before punctuation", () => {
+  const lines = wrapLines("今天天气很好，我们去公园散步吧。", 16);
+  assert.equal(lines.length, 2);
+  for (const line of lines) assert.ok(displayWidth(line) <= 16, line);
+  assert.ok(!/^[，。]/.test(lines[1]), lines[1]);
+});
+
+test("text too long for two lines gives more lines; a word longer than a line keeps its own", () => {
+  assert.equal(wrapLines("aaaa bbbb cccc dddd eeee ffff", 9).length, 3);
+  assert.deepEqual(wrapLines("a supercalifragilistic b", 10), ["a", "supercalifragilistic", "b"]);
+});
@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { translateEntries } from "../srt-gtk.js";
+
+// Upper-cases every line, like a translator that keeps the line structure
+const upper = async (text) => text.toUpperCase();
+
+test("two-line cues keep their own translations", async () => {
+  const entries = [{ text: "first line\nsecond line" }, { text: "next cue" }, { text: "last\ncue" }];
+  await translateEntries(entries, upper);
+  assert.deepEqual(
+    entries.map((e) => e.translation),
+    ["FIRST LINE SECOND LINE", "NEXT CUE", "LAST CUE"]
+  );
+});
+
+test("a chunk with a different number of lines is translated cue by cue", async () => {
+  const requests = [];
+  // Merges the lines of a multi-line request into one, as translators sometimes do
+  const merging = async (text) => {
+    requests.push(text);
+    return text.includes("\n") ? text.replace(/\n/g, " ").toUpperCase() : text.toUpperCase();
+  };
+  const entries = [{ text: "one" }, { text: "two" }];
+  await translateEntries(entries, merging);
+  assert.deepEqual(entries.map((e) => e.translation), ["ONE", "TWO"]);
+  assert.deepEqual(requests, ["one\ntwo", "one", "two"]);
+});
+
+test("cues are split into chunks by size", async () => {
+  const requests = [];
+  const entries = [{ text: "aaaa" }, { text: "bbbb" }, { text: "cccc" }];
+  const done = [];
+  await translateEntries(entries, async (text) => (requests.push(text), text), {
+    chunkSize: 9,
+    onProgress: (n) => done.push(n),
+  });
+  assert.deepEqual(requests, ["aaaa\nbbbb", "cccc"]);
+  assert.deepEqual(done, [2, 3]);
+});
+
+test("long translations are wrapped again like transcribed cues", async () => {
+  const entries = [{ text: "a fairly long line\nthat was split in two" }, { text: "short" }];
+  await translateEntries(entries, upper, { maxCharsPerLine: 24 });
+  assert.deepEqual(
+    entries.map((e) => e.translation),
+    ["A FAIRLY LONG LINE\nTHAT WAS SPLIT IN TWO", "SHORT"]
+  );
+});
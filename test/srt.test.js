@@ -0,0 +1,35 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildSrt, parseSrt, parseSrtTime, spliceCues } from "../srt.js";
+
+test("parseSrt reads cues with or without numbers", () => {
+  const text = "\uFEFF1\r\n00:00:01,000 --> 00:00:02,500\r\nHello\r\nthere\r\n\r\n00:00:03.5 --> 00:00:04,000 X1:0\nBye\n";
+  assert.deepEqual(parseSrt(text), [
+    { start: 1, end: 2.5, text: "Hello\nthere" },
+    { start: 3.5, end: 4, text: "Bye" },
+  ]);
+  assert.throws(() => parseSrt("1\nHello\n"), /SRT cue without timing/);
+  assert.throws(() => parseSrtTime("1:02:03"), /Invalid SRT timestamp/);
+});
+
+test("buildSrt numbers cues and parses back", () => {
+  const cues = [{ start: 0, end: 1.25, text: "A" }, { start: 61, end: 62, text: "B\nC" }];
+  const srt = buildSrt(cues);
+  assert.match(srt, /^1\n00:00:00,000 --> 00:00:01,250\nA\n\n2\n/);
+  assert.deepEqual(parseSrt(srt), cues);
+  assert.equal(buildSrt([]), "");
+});
+
+test("spliceCues replaces the cues of the ranges only", () => {
+  const existing = [
+    { start: 0, end: 2, text: "keep" },
+    { start: 58, end: 61, text: "overlaps the start" },
+    { start: 90, end: 95, text: "inside" },
+    { start: 130, end: 140, text: "after" },
+  ];
+  const replacement = [{ start: 60, end: 70, text: "new one" }, { start: 100, end: 110, text: "new two" }];
+  const { cues, removed, added } = spliceCues(existing, replacement, [{ start: 60, end: 120 }]);
+  assert.deepEqual(cues.map((c) => c.text), ["keep", "new one", "new two", "after"]);
+  assert.equal(removed, 2);
+  assert.equal(added, 2);
+});
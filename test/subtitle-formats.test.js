@@ -0,0 +1,15 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { renderBilingual } from "../subtitle-formats.js";
+
+test("bilingual ASS has one event per language, at the top and the bottom", () => {
+  const ass = renderBilingual("ass", [{ start: 1, end: 2, text: "first\nsecond", translation: "erste" }]);
+  const events = ass.split("\n").filter((l) => l.startsWith("Dialogue:"));
+  assert.deepEqual(events, [
+    "Dialogue: 0,0:00:01.00,0:00:02.00,Original,,0,0,0,,first\\Nsecond",
+    "Dialogue: 0,0:00:01.00,0:00:02.00,Translation,,0,0,0,,erste",
+  ]);
+  const alignment = (name) => ass.split("\n").find((l) => l.startsWith(`Style: ${name},`)).split(",")[18];
+  assert.equal(alignment("Original"), "8");
+  assert.equal(alignment("Translation"), "2");
+});
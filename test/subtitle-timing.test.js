@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  anchorMapping,
+  composeMappings,
+  findTimingFit,
+  frameRateMapping,
+  parseAnchor,
+  parseFrameRate,
+  parseOffset,
+  retimeCues,
+} from "../subtitle-timing.js";
+
+const close = (actual, expected, epsilon = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < epsilon, `${actual} is not close to ${expected}`);
+
+test("parseOffset reads signed seconds and clock times", () => {
+  assert.equal(parseOffset("2.5"), 2.5);
+  assert.equal(parseOffset("-1.2"), -1.2);
+  assert.equal(parseOffset("+00:00:03,000"), 3);
+  assert.equal(parseOffset("-00:01:00"), -60);
+  assert.equal(parseOffset(-4), -4);
+  assert.throws(() => parseOffset("--1"), /Invalid offset/);
+  assert.throws(() => parseOffset("soon"), /Invalid offset/);
+});
+
+test("parseAnchor and parseFrameRate", () => {
+  assert.deepEqual(parseAnchor("1:00=1:02.5"), { from: 60, to: 62.5 });
+  assert.throws(() => parseAnchor("1:00"), /Invalid anchor/);
+  assert.equal(parseFrameRate("25"), 25);
+  close(parseFrameRate("24000/1001"), 23.976023976);
+  assert.throws(() => parseFrameRate("0"), /Invalid frame rate/);
+  assert.throws(() => parseFrameRate("24/0"), /Invalid frame rate/);
+  assert.throws(() => parseFrameRate("fast"), /Invalid frame rate/);
+});
+
+test("anchorMapping moves both anchors onto the actual times", () => {
+  const { scale, offset } = anchorMapping([{ from: 60, to: 62 }, { from: 600, to: 620 }]);
+  close(60 * scale + offset, 62);
+  close(600 * scale + offset, 620);
+  assert.throws(() => anchorMapping([{ from: 1, to: 2 }]), /two anchors/);
+  assert.throws(() => anchorMapping([{ from: 1, to: 2 }, { from: 1, to: 3 }]), /different subtitle times/);
+  assert.throws(() => anchorMapping([{ from: 1, to: 5 }, { from: 2, to: 3 }]), /reverse/);
+});
+
+test("composeMappings applies mappings in order", () => {
+  const shift = { offset: 2 };
+  const rate = frameRateMapping(25, 23.976);
+  const both = composeMappings([shift, rate]);
+  close(both.scale, rate.scale);
+  close(both.offset, 2 * rate.scale);
+  close(10 * both.scale + both.offset, (10 + 2) * rate.scale);
+  assert.deepEqual(composeMappings([]), { scale: 1, offset: 0 });
+});
+
+test("retimeCues drops cues moved before zero", () => {
+  const cues = [{ start: 0.5, end: 1, text: "a" }, { start: 1.5, end: 3, text: "b" }, { start: 4, end: 5, text: "c" }];
+  assert.deepEqual(retimeCues(cues, { offset: -2 }), [{ start: 0, end: 1, text: "b" }, { start: 2, end: 3, text: "c" }]);
+  assert.deepEqual(retimeCues(cues, { scale: 2 }).map((c) => c.end), [2, 6, 10]);
+});
+
+test("findTimingFit finds the offset of speech", () => {
+  const cues = [
+    { start: 1, end: 2.5 }, { start: 4, end: 4.8 }, { start: 7.2, end: 10 },
+    { start: 13, end: 13.6 }, { start: 15, end: 18.5 }, { start: 22, end: 23 },
+  ];
+  const speech = cues.map((c) => ({ start: c.start + 3.25, end: c.end + 3.25 }));
+  const fit = findTimingFit(cues, speech, { maxOffset: 10, scales: [1] });
+  assert.equal(fit.scale, 1);
+  close(fit.offset, 3.25, 0.011);
+  assert.ok(fit.coverage > 0.95);
+  assert.ok(fit.before < fit.coverage);
+  assert.throws(() => findTimingFit([], speech), /No cues/);
+  assert.throws(() => findTimingFit(cues, []), /No speech/);
+});
+
+test("findTimingFit detects frame rate drift", () => {
+  const cues = Array.from({ length: 30 }, (_, i) => ({ start: i * 20 + (i % 3), end: i * 20 + (i % 3) + 4 + (i % 4) }));
+  const scale = 25 / 23.976;
+  const speech = cues.map((c) => ({ start: c.start * scale, end: c.end * scale }));
+  const fit = findTimingFit(cues, speech, { maxOffset: 5 });
+  close(fit.scale, scale);
+  close(fit.offset, 0, 0.011);
+  assert.ok(fit.coverage > 0.95);
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { compileTextRules, listTextRuleProfiles, loadTextRules } from "../text-rules.js";
+import { Segment } from "../segment.js";
+
+const apply = async (rules, text, options) => (await compileTextRules(rules, options))(text);
+
+test("replace and dictionary rules", async () => {
+  assert.equal(await apply([{ type: "replace", pattern: "sherpa ?onyx", replacement: "Sherpa-ONNX", flags: "gi" }], "Sherpa onyx rocks"), "Sherpa-ONNX rocks");
+  const dictionary = [{ type: "dictionary", entries: { colour: "color", "ice cream": "gelato" } }];
+  assert.equal(await apply(dictionary, "Colour of ice cream, not colours"), "color of gelato, not colours");
+});
+
+test("fillers are removed with their commas and the capital is kept", async () => {
+  assert.equal(await apply([{ type: "fillers" }], "Um, so we uh left. Hmm"), "So we left.");
+  assert.equal(await apply([{ type: "fillers" }], "嗯，我们走了"), "我们走了");
+  assert.equal(await apply([{ type: "fillers", words: ["like"] }], "it was like, huge"), "it was huge");
+});
+
+test("profanity is masked from a word list file", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "text-rules-"));
+  try {
+    await fs.writeFile(path.join(dir, "words.txt"), "# masked\ndarn\n");
+    const rules = [{ type: "profanity", file: "words.txt" }];
+    assert.equal(await apply(rules, "Darn it, darnit", { baseDir: dir }), "D*** it, darnit");
+    assert.equal(await apply([{ ...rules[0], keepFirst: false, mask: "#" }], "darn", { baseDir: dir }), "####");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("punctuation width follows the surrounding script", async () => {
+  assert.equal(await apply([{ type: "punctuation", width: "half" }], "你好，world！ok"), "你好, world! ok");
+  assert.equal(await apply([{ type: "punctuation", width: "full" }], "你好, 世界. Hi, there."), "你好，世界。Hi, there.");
+});
+
+test("numbers get half-width digits and group separators", async () => {
+  const rules = [{ type: "numbers", digits: "half", groupSeparator: "," }];
+  assert.equal(await apply(rules, "１２３４５ people in 2024, 3.14159"), "12,345 people in 2024, 3.14159");
+});
+
+test("invalid rules name the rule", async () => {
+  await assert.rejects(compileTextRules([{ type: "fillers" }, { type: "shout" }]), /rules rule 2: unknown type "shout"/);
+  await assert.rejects(compileTextRules([{ type: "replace", pattern: "(" }]), /rules rule 1: /);
+  await assert.rejects(compileTextRules([{ type: "punctuation" }]), /"width" must be/);
+  await assert.rejects(compileTextRules([{ type: "profanity" }]), /needs "words" or "file"/);
+  await assert.rejects(compileTextRules({}), /must be a list/);
+});
+
+test("script rules need opencc-js when it isn't installed", async (t) => {
+  try {
+    await import("opencc-js");
+    t.skip("opencc-js is installed");
+    return;
+  } catch {
+    // expected without the optional dependency
+  }
+  await assert.rejects(compileTextRules([{ type: "script", from: "cn", to: "tw" }]), /needs the "opencc-js" package/);
+});
+
+test("profiles are loaded by name and applied to segments", async () => {
+  assert.ok(listTextRuleProfiles().includes("fillers"));
+  await assert.rejects(loadTextRules(["../fillers"]), /Invalid text rule profile name/);
+  await assert.rejects(loadTextRules(["no-such-profile"]), /Unknown text rule profile "no-such-profile"/);
+
+  const rules = await loadTextRules(["fillers"]);
+  assert.deepEqual(rules.profiles, ["fillers"]);
+  const segment = new Segment(0, 2, "Um, hello", [
+    { text: "Um,", start: 0, end: 0.5 },
+    { text: "hello", start: 1, end: 1.5 },
+  ]);
+  assert.equal(rules.applyToSegment(segment), true);
+  assert.equal(segment.text, "Hello");
+  assert.equal(rules.applyToSegment(new Segment(0, 1, "uh", [])), false);
+});
@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  clampRanges,
+  describeRanges,
+  normalizeRanges,
+  overlapsRanges,
+  parseRange,
+  parseTimestamp,
+  rangesAfter,
+  rangesLength,
+} from "../time-ranges.js";
+
+test("parseTimestamp reads seconds and clock times", () => {
+  assert.equal(parseTimestamp("95.5"), 95.5);
+  assert.equal(parseTimestamp(12), 12);
+  assert.equal(parseTimestamp("1:35.5"), 95.5);
+  assert.equal(parseTimestamp("01:01:35,500"), 3695.5);
+  for (const bad of ["", "abc", "1:60", "-5", "1:2:3:4", -1]) {
+    assert.throws(() => parseTimestamp(bad), /Invalid time/, String(bad));
+  }
+});
+
+test("parseRange allows open ends", () => {
+  assert.deepEqual(parseRange("1:00-2:30"), { start: 60, end: 150 });
+  assert.deepEqual(parseRange("-5:00"), { start: 0, end: 300 });
+  assert.deepEqual(parseRange("1:00:00-"), { start: 3600, end: null });
+  assert.throws(() => parseRange("1:00"), /Invalid range/);
+  assert.throws(() => parseRange("2:00-1:00"), /ends before it starts/);
+  assert.throws(() => parseRange("1:00-1:00"), /ends before it starts/);
+});
+
+test("normalizeRanges sorts and merges overlapping and touching ranges", () => {
+  assert.deepEqual(normalizeRanges(["10:00-", "2:00-3:00", "0-1:00", "1:00-1:30", { start: 150, end: 200 }]), [
+    { start: 0, end: 90 },
+    { start: 120, end: 200 },
+    { start: 600, end: null },
+  ]);
+  assert.deepEqual(normalizeRanges(["5:00-", "6:00-7:00"]), [{ start: 300, end: null }]);
+  assert.deepEqual(normalizeRanges([{ end: "1:00" }]), [{ start: 0, end: 60 }]);
+  assert.throws(() => normalizeRanges([{ start: 10, end: 5 }]), /ends before it starts/);
+});
+
+test("clampRanges fits ranges to the recording", () => {
+  const ranges = [{ start: 0, end: 60 }, { start: 100, end: null }, { start: 500, end: 600 }];
+  assert.deepEqual(clampRanges(ranges, 300), [{ start: 0, end: 60 }, { start: 100, end: 300 }]);
+  assert.deepEqual(clampRanges(ranges, 0), ranges);
+  assert.deepEqual(clampRanges([{ start: 0, end: 400 }], 300), [{ start: 0, end: 300 }]);
+});
+
+test("rangesAfter, rangesLength and overlapsRanges", () => {
+  const ranges = [{ start: 0, end: 60 }, { start: 100, end: 200 }, { start: 300, end: null }];
+  assert.deepEqual(rangesAfter(ranges, 150), [{ start: 150, end: 200 }, { start: 300, end: null }]);
+  assert.deepEqual(rangesAfter(ranges, 60), [{ start: 100, end: 200 }, { start: 300, end: null }]);
+  assert.equal(rangesLength(ranges), 160);
+  assert.equal(overlapsRanges({ start: 55, end: 65 }, ranges), true);
+  assert.equal(overlapsRanges({ start: 60, end: 100 }, ranges), false);
+  assert.equal(overlapsRanges({ start: 5000, end: 5001 }, ranges), true);
+});
+
+test("describeRanges prints clock times", () => {
+  assert.equal(describeRanges([{ start: 60, end: 150.25 }, { start: 3600, end: null }]), "00:01:00-00:02:30.250, 01:00:00-end");
+});
@@ -0,0 +1,255 @@
+// text-rules.js - Post-processing rules for transcript text
+// Named profiles in ./text-rules/<name>.json hold an ordered list of rules that
+// are applied to the text of every decoded segment before it is saved:
+//
+//   { "description": "...", "rules": [
+//       { "type": "replace", "pattern": "sherpa ?onyx", "replacement": "Sherpa-ONNX", "flags": "gi" },
+//       { "type": "dictionary", "entries": { "colour": "color" } },
+//       { "type": "fillers" },
+//       { "type": "profanity", "file": "badwords.txt" },
+//       { "type": "punctuation", "width": "half" },
+//       { "type": "numbers", "digits": "half", "groupSeparator": "," },
+//       { "type": "script", "from": "cn", "to": "tw" } ] }
+//
+// Several profiles can be chosen for a job; they run in the order given.
+// Script conversion uses the optional `opencc-js` package.
+
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { alignWords, isCjk } from "./segment.js";
+
+const TEXT_RULES_DIR = process.env.TEXT_RULES_DIR || "./text-rules";
+
+// Profile names become file names
+const PROFILE_NAME_RE = /^[\w.-]+$/;
+
+// Hesitations removed by a "fillers" rule without its own word list. CJK
+// fillers match inside text, so only ones that are never part of a word are listed.
+const DEFAULT_FILLERS = ["um", "umm", "uh", "uhh", "erm", "hmm", "mm", "嗯", "呃", "えーと", "えっと"];
+
+// Full-width punctuation and its half-width form
+const FULL_TO_HALF = {
+  "，": ",", "。": ".", "！": "!", "？": "?", "：": ":", "；": ";",
+  "（": "(", "）": ")", "“": "\"", "”": "\"", "‘": "'", "’": "'", "　": " ",
+};
+const HALF_TO_FULL = { ",": "，", ".": "。", "!": "！", "?": "？", ":": "：", ";": "；", "(": "（", ")": "）" };
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Regex source matching a term as a whole word; CJK terms have no word boundaries
+function wordPattern(term) {
+  const before = isCjk(term[0]) ? "" : "(?<![\\p{L}\\p{N}])";
+  const after = isCjk(term.at(-1)) ? "" : "(?![\\p{L}\\p{N}])";
+  return `${before}${escapeRegExp(term)}${after}`;
+}
+
+// Terms first by length so longer phrases win over their parts
+function termsPattern(terms) {
+  return [...terms].sort((a, b) => b.length - a.length).map(wordPattern).join("|");
+}
+
+// Collapse the spaces left behind by removed words
+function tidySpaces(text) {
+  return text.replace(/[ \t]{2,}/g, " ").replace(/ +([,.!?;:，。！？；：、])/g, "$1").trim();
+}
+
+// Word lists come inline (`words`) or from a file next to the profile, one per line
+async function readWordList(rule, baseDir, label) {
+  const words = [...(rule.words || [])];
+  if (rule.file) {
+    const text = await fsp.readFile(path.resolve(baseDir, rule.file), "utf8");
+    words.push(...text.split(/\r?\n/).map((l) => l.replace(/#.*$/, "").trim()).filter(Boolean));
+  }
+  if (words.length === 0) throw new Error(`${label}: needs "words" or "file"`);
+  return words;
+}
+
+let openccModule = null;
+async function loadOpenCC() {
+  if (!openccModule) {
+    try {
+      openccModule = await import("opencc-js");
+    } catch {
+      throw new Error('Script conversion needs the "opencc-js" package (npm install opencc-js)');
+    }
+  }
+  return openccModule;
+}
+
+// Compile one rule into a text -> text function
+const RULE_COMPILERS = {
+  replace: async (rule, baseDir, label) => {
+    if (typeof rule.pattern !== "string") throw new Error(`${label}: needs a "pattern"`);
+    let re;
+    try {
+      re = new RegExp(rule.pattern, rule.flags ?? "g");
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+    const replacement = rule.replacement ?? "";
+    return (text) => text.replace(re, replacement);
+  },
+
+  dictionary: async (rule, baseDir, label) => {
+    let entries = rule.entries || {};
+    if (rule.file) {
+      entries = { ...JSON.parse(await fsp.readFile(path.resolve(baseDir, rule.file), "utf8")), ...entries };
+    }
+    const keys = Object.keys(entries);
+    if (keys.length === 0) throw new Error(`${label}: needs "entries" or "file"`);
+    const ignoreCase = rule.ignoreCase !== false;
+    const lookup = new Map(keys.map((k) => [ignoreCase ? k.toLowerCase() : k, entries[k]]));
+    const re = new RegExp(termsPattern(keys), ignoreCase ? "giu" : "gu");
+    return (text) => text.replace(re, (m) => lookup.get(ignoreCase ? m.toLowerCase() : m));
+  },
+
+  fillers: async (rule, baseDir, label) => {
+    const words = (rule.words || rule.file) ? await readWordList(rule, baseDir, label) : DEFAULT_FILLERS;
+    // The filler and the comma or dash that usually follows it
+    const re = new RegExp(`(?:${termsPattern(words)})[,，、…-]*`, "giu");
+    return (text) => {
+      const out = tidySpaces(text.replace(re, ""));
+      // "Um, so we..." -> "So we..."
+      return /^\p{Lu}/u.test(text) ? out.replace(/^\p{Ll}/u, (c) => c.toUpperCase()) : out;
+    };
+  },
+
+  profanity: async (rule, baseDir, label) => {
+    const words = await readWordList(rule, baseDir, label);
+    const mask = rule.mask ?? "*";
+    const keepFirst = rule.keepFirst !== false;
+    const re = new RegExp(termsPattern(words), "giu");
+    return (text) =>
+      text.replace(re, (m) => {
+        const chars = [...m];
+        return keepFirst && chars.length > 1 ? chars[0] + mask.repeat(chars.length - 1) : mask.repeat(chars.length);
+      });
+  },
+
+  punctuation: async (rule, baseDir, label) => {
+    if (rule.width === "half") {
+      const re = new RegExp(`[${Object.keys(FULL_TO_HALF).join("")}]`, "g");
+      // Half-width punctuation is followed by a space unless CJK text continues
+      return (text) =>
+        text.replace(re, (c, offset) => {
+          const half = FULL_TO_HALF[c];
+          const next = text[offset + 1];
+          const spaced = /[,.!?:;)]/.test(half) && next && !/\s/.test(next) && !isCjk(next) && !FULL_TO_HALF[next];
+          return spaced ? `${half} ` : half;
+        });
+    }
+    if (rule.width === "full") {
+      // Only between CJK characters, where half-width punctuation is out of place
+      return (text) => text.replace(/(.)([,.!?:;])\s*/gu, (m, before, p) => (isCjk(before) ? before + HALF_TO_FULL[p] : m));
+    }
+    throw new Error(`${label}: "width" must be "half" or "full"`);
+  },
+
+  numbers: async (rule, baseDir, label) => {
+    const digits = rule.digits ?? "half";
+    if (!["half", "keep"].includes(digits)) throw new Error(`${label}: "digits" must be "half" or "keep"`);
+    const separator = rule.groupSeparator ?? null;
+    // Years such as 2024 stay as they are
+    const minDigits = rule.groupFrom ?? 5;
+    return (text) => {
+      let out = digits === "half" ? text.replace(/[０-９]/g, (d) => String.fromCharCode(d.charCodeAt(0) - 0xfee0)) : text;
+      if (separator) {
+        out = out.replace(/(?<![\d.,])\d+(?![\d])/g, (n) =>
+          n.length >= minDigits ? n.replace(/\B(?=(\d{3})+$)/g, separator) : n
+        );
+      }
+      return out;
+    };
+  },
+
+  script: async (rule, baseDir, label) => {
+    if (!rule.from || !rule.to) throw new Error(`${label}: needs "from" and "to" (e.g. "cn" and "tw")`);
+    const OpenCC = await loadOpenCC();
+    try {
+      return OpenCC.Converter({ from: rule.from, to: rule.to });
+    } catch (error) {
+      throw new Error(`${label}: ${error.message || error}`);
+    }
+  },
+};
+
+export const TEXT_RULE_TYPES = Object.keys(RULE_COMPILERS);
+
+/**
+ * Compile a list of rules
+ * @param {Object[]} rules - Rule objects (see the file header)
+ * @param {Object} [options]
+ * @param {string} [options.baseDir] - Where word list files are looked up
+ * @param {string} [options.name] - Used in error messages
+ * @returns {Promise<function(string): string>}
+ * @throws {Error} - Naming the rule that is invalid
+ */
+export async function compileTextRules(rules, { baseDir = TEXT_RULES_DIR, name = "rules" } = {}) {
+  if (!Array.isArray(rules)) throw new Error(`${name}: "rules" must be a list`);
+  const steps = [];
+  for (const [index, rule] of rules.entries()) {
+    const label = `${name} rule ${index + 1}`;
+    const compile = RULE_COMPILERS[rule?.type];
+    if (!compile) {
+      throw new Error(`${label}: unknown type "${rule?.type}" (known: ${TEXT_RULE_TYPES.join(", ")})`);
+    }
+    steps.push(await compile(rule, baseDir, label));
+  }
+  return (text) => steps.reduce((out, step) => step(out), text);
+}
+
+/**
+ * Names of the saved rule profiles
+ * @returns {string[]}
+ */
+export function listTextRuleProfiles() {
+  if (!fs.existsSync(TEXT_RULES_DIR)) return [];
+  return fs
+    .readdirSync(TEXT_RULES_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => f.slice(0, -".json".length))
+    .sort();
+}
+
+async function loadProfile(name) {
+  if (!PROFILE_NAME_RE.test(name)) throw new Error(`Invalid text rule profile name "${name}"`);
+  const file = path.join(TEXT_RULES_DIR, `${name}.json`);
+  let profile;
+  try {
+    profile = JSON.parse(await fsp.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw new Error(`Text rule profile "${name}": ${error.message}`);
+    const known = listTextRuleProfiles();
+    throw new Error(
+      `Unknown text rule profile "${name}" (${known.length > 0 ? `available: ${known.join(", ")}` : `no profiles in ${TEXT_RULES_DIR}`})`
+    );
+  }
+  return compileTextRules(profile.rules, { baseDir: TEXT_RULES_DIR, name: `Text rule profile "${name}"` });
+}
+
+/**
+ * Load rule profiles into one pipeline
+ * @param {string[]} names - Profile names, applied in this order
+ * @returns {Promise<{profiles: string[], transform: function(string): string,
+ *   applyToSegment: function(import("./segment.js").Segment): boolean}>} - applyToSegment
+ *   returns false when nothing is left of the segment
+ */
+export async function loadTextRules(names) {
+  const pipelines = [];
+  for (const name of names) pipelines.push(await loadProfile(name));
+  const transform = (text) => pipelines.reduce((out, pipeline) => pipeline(out), text);
+
+  const applyToSegment = (segment) => {
+    const text = transform(segment.text);
+    if (segment.words && segment.words.length > 0) {
+      // Word by word keeps the timings; rules that span words fall back to timing the text
+      const words = segment.words.map((w) => ({ ...w, text: transform(w.text) })).filter((w) => w.text);
+      segment.words = alignWords(words, text) || [];
+    }
+    segment.text = text;
+    return text.length > 0;
+  };
+
+  return { profiles: [...names], transform, applyToSegment };
+}
@@ -0,0 +1,132 @@
+// time-ranges.js - Time ranges of a recording to transcribe
+// Times are seconds ("95.5") or clock times ("1:35.5", "01:01:35,500"); a
+// range is "<start>-<end>" where either end may be left out ("-5:00" is the
+// first five minutes, "1:00:00-" everything after the first hour).
+
+const CLOCK_RE = /^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:[.,]\d+)?)$/;
+
+/**
+ * Parse a time given as seconds or as [hh:]mm:ss[.mmm]
+ * @param {string|number} value
+ * @returns {number} - Seconds
+ * @throws {Error} - When the value is not a time
+ */
+export function parseTimestamp(value) {
+  if (typeof value === "number" && Number.isFinite(value) && value >= 0) return value;
+  const text = String(value ?? "").trim();
+  if (/^\d+(?:\.\d+)?$/.test(text)) return Number(text);
+  const match = text.match(CLOCK_RE);
+  if (match && Number(match[2]) < 60 && Number(match[3].replace(",", ".")) < 60) {
+    return Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3].replace(",", "."));
+  }
+  throw new Error(`Invalid time "${value}" (use seconds or [hh:]mm:ss[.mmm])`);
+}
+
+/**
+ * Parse a "<start>-<end>" range
+ * @param {string} value
+ * @returns {{start: number, end: number|null}} - end null: to the end of the recording
+ * @throws {Error} - On invalid times or an empty range
+ */
+export function parseRange(value) {
+  const text = String(value ?? "").trim();
+  const dash = text.indexOf("-");
+  if (dash === -1) throw new Error(`Invalid range "${value}" (use <start>-<end>, e.g. 1:00-2:30)`);
+  const start = text.slice(0, dash).trim();
+  const end = text.slice(dash + 1).trim();
+  return checkRange({ start: start ? parseTimestamp(start) : 0, end: end ? parseTimestamp(end) : null });
+}
+
+function checkRange(range) {
+  if (range.end !== null && range.end <= range.start) {
+    throw new Error(`Range ends before it starts (${range.start}s-${range.end}s)`);
+  }
+  return range;
+}
+
+/**
+ * Sort ranges and merge the ones that overlap or touch
+ * @param {Array<string|{start: string|number, end?: string|number|null}>} ranges - Range strings or objects
+ * @returns {Array<{start: number, end: number|null}>}
+ */
+export function normalizeRanges(ranges) {
+  const parsed = ranges.map((r) =>
+    typeof r === "string"
+      ? parseRange(r)
+      : checkRange({
+        start: r.start === undefined || r.start === null ? 0 : parseTimestamp(r.start),
+        end: r.end === undefined || r.end === null ? null : parseTimestamp(r.end),
+      })
+  );
+  parsed.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of parsed) {
+    const last = merged.at(-1);
+    if (last && (last.end === null || range.start <= last.end)) {
+      last.end = last.end === null || range.end === null ? null : Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Limit ranges to a recording: open ends become its duration, ranges past it are dropped
+ * @param {Array<{start: number, end: number|null}>} ranges - From normalizeRanges()
+ * @param {number} duration - Seconds; 0 when unknown (ranges are kept as they are)
+ * @returns {Array<{start: number, end: number|null}>}
+ */
+export function clampRanges(ranges, duration) {
+  if (!(duration > 0)) return ranges.map((r) => ({ ...r }));
+  return ranges
+    .filter((r) => r.start < duration)
+    .map((r) => ({ start: r.start, end: r.end === null ? duration : Math.min(r.end, duration) }));
+}
+
+/**
+ * The parts of ranges that come after a point in time, e.g. to resume
+ * @param {Array<{start: number, end: number|null}>} ranges
+ * @param {number} from - Seconds
+ * @returns {Array<{start: number, end: number|null}>}
+ */
+export function rangesAfter(ranges, from) {
+  return ranges
+    .filter((r) => r.end === null || r.end > from)
+    .map((r) => ({ start: Math.max(r.start, from), end: r.end }));
+}
+
+/**
+ * Total length of ranges
+ * @param {Array<{start: number, end: number|null}>} ranges - With known ends
+ * @returns {number} - Seconds
+ */
+export function rangesLength(ranges) {
+  return ranges.reduce((sum, r) => sum + (r.end === null ? 0 : r.end - r.start), 0);
+}
+
+/**
+ * Whether a time span overlaps any of the ranges
+ * @param {{start: number, end: number}} span
+ * @param {Array<{start: number, end: number|null}>} ranges
+ * @returns {boolean}
+ */
+export function overlapsRanges(span, ranges) {
+  return ranges.some((r) => span.start < (r.end === null ? Infinity : r.end) && span.end > r.start);
+}
+
+/**
+ * Ranges as text for logs, e.g. "00:01:00-00:02:30, 00:10:00-end"
+ * @param {Array<{start: number, end: number|null}>} ranges
+ * @returns {string}
+ */
+export function describeRanges(ranges) {
+  const clock = (t) => {
+    const s = Math.round(t * 1000) / 1000;
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    const sec = (s % 60).toFixed(s % 1 ? 3 : 0).padStart(s % 1 ? 6 : 2, "0");
+    return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}:${sec}`;
+  };
+  return ranges.map((r) => `${clock(r.start)}-${r.end === null ? "end" : clock(r.end)}`).join(", ");
+}
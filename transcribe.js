@@ -0,0 +1,1174 @@
+// transcribe.js - Transcription library behind gensrt.js
+// transcribe() turns one media file into subtitles: it picks the audio track,
+// optionally finds the speakers and the spoken language, decodes speech as the
+// VAD emits it and writes every requested format. Progress and decoded segments
+// are reported as events, and an AbortSignal stops the job (keeping a checkpoint).
+//
+//   const job = transcribe("talk.mkv", { model: "auto", formats: ["srt", "vtt"], signal });
+//   job.on("progress", ({ processed, duration }) => ...);
+//   job.on("segment", ({ segment }) => ...);
+//   const { segments, outputs } = await job;
+
+import { spawn } from "node:child_process";
+import { EventEmitter } from "node:events";
+import fs from "node:fs/promises";
+import path from "node:path";
+import ffmpegInstaller from "@ffmpeg-installer/ffmpeg";
+import ffprobeInstaller from "@ffprobe-installer/ffprobe";
+import sherpa_onnx from "sherpa-onnx-node";
+import Logger from "./logger.js";
+import { AUTO_MODEL, DEFAULT_MODEL, findModelForLanguage, getModel, hotwordSupport, listModels } from "./modelConfig.js";
+import { formatTime, getFormatExtension, parseFormats } from "./subtitle-formats.js";
+import { Segment, tokensToWords } from "./segment.js";
+import { normalizeCueOptions } from "./segmentation.js";
+import { SubtitleWriter } from "./subtitle-writer.js";
+import { hasCheckpoint, loadCheckpoint, removeCheckpoint, saveCheckpoint } from "./checkpoint.js";
+import { probeAudioStreams, selectAudioTrack } from "./media-probe.js";
+import { DEFAULT_DIARIZATION, assignSpeakers, createDiarizer, decodeAudio, diarize } from "./diarization.js";
+import { DEFAULT_LANGUAGE_ID, collectSpeech, createLanguageIdentifier, identifyLanguage } from "./language-id.js";
+import { getOutputBase, readOutputMeta, writeOutputMeta } from "./output-meta.js";
+import { parseHotwords, writeHotwordsFile } from "./hotwords.js";
+import { DEFAULT_PUNCTUATION, PUNCTUATION_MODES, createPunctuator } from "./punctuation.js";
+import { loadTextRules } from "./text-rules.js";
+import { buildAudioFilter, describeAudioChain, isAudioChainEmpty, resolveAudioChain } from "./audio-filters.js";
+import { DEFAULT_DENOISE, createStreamingDenoiser } from "./speech-enhancement.js";
+import { clampRanges, describeRanges, normalizeRanges, rangesAfter, rangesLength } from "./time-ranges.js";
+import { buildSrt, parseSrt, spliceCues } from "./srt.js";
+import { DEFAULT_REVIEW, REVIEW_ACTIONS, markSegment, reviewSegment, writeReviewReport } from "./segment-review.js";
+
+export { AUTO_MODEL } from "./modelConfig.js";
+export { getOutputBase } from "./output-meta.js";
+
+const ffmpegPath = ffmpegInstaller.path;
+const ffprobePath = ffprobeInstaller.path;
+
+const DEFAULT_CONFIG = {
+  sampleRate: 16000,
+  featDim: 80,
+  bufferSizeInSeconds: 5,
+  // Threads used by each recognizer
+  numThreads: 2,
+
+  vad: {
+    sileroVad: {
+      model: null, // silero_vad.onnx in the model folder unless set
+      threshold: 0.5,
+      minSpeechDuration: 0.25,
+      minSilenceDuration: 0.5,
+      windowSize: 512,
+    },
+    sampleRate: 16000,
+    debug: false,
+    numThreads: 1,
+  },
+
+  memory: {
+    maxHeapMB: 1024,
+  },
+
+  // How often (wall clock) the checkpoint sidecar is refreshed while decoding
+  checkpointIntervalMs: 30000,
+
+  // Speaker diarization models and clustering (used with `diarize`)
+  diarization: { ...DEFAULT_DIARIZATION },
+
+  // Spoken language identification (used with model "auto")
+  languageId: { ...DEFAULT_LANGUAGE_ID },
+
+  // Punctuation restoration for models that ask for it in the registry
+  punctuation: { ...DEFAULT_PUNCTUATION },
+
+  // GTCRN speech enhancement (used by audio chains with `denoise`)
+  denoise: { ...DEFAULT_DENOISE },
+
+  // Thresholds of the suspicious segment checks (used with `review`)
+  review: { ...DEFAULT_REVIEW },
+
+  // Contextual biasing (used with `hotwords`): bonus per matched token and beam width
+  hotwords: {
+    score: 1.5,
+    maxActivePaths: 4,
+  },
+};
+
+/**
+ * A copy of the default configuration, to adjust and pass as `options.config`
+ * @returns {Object}
+ */
+export function createConfig() {
+  return structuredClone(DEFAULT_CONFIG);
+}
+
+function safeFree(obj) {
+  if (!obj) return;
+
+  if (typeof obj.free === "function") {
+    obj.free();
+  } else if (typeof obj.delete === "function") {
+    obj.delete();
+  } else if (typeof obj.destroy === "function") {
+    obj.destroy();
+  }
+}
+
+function abortError() {
+  const error = new Error("Transcription cancelled");
+  error.name = "AbortError";
+  return error;
+}
+
+// Stop a child process, forcefully if SIGTERM is ignored for a second
+function stopProcess(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  try {
+    child.kill("SIGTERM");
+  } catch (error) {
+    Logger.error("TRANSCRIBE", `Error terminating ffmpeg process: ${error.message}`);
+    return;
+  }
+  setTimeout(() => {
+    if (child.exitCode === null && child.signalCode === null) {
+      Logger.log("TRANSCRIBE", "Force killing ffmpeg process with SIGKILL...");
+      try {
+        child.kill("SIGKILL");
+      } catch (error) {
+        Logger.error("TRANSCRIBE", `Failed to kill ffmpeg process with SIGKILL: ${error.message}`);
+      }
+    }
+  }, 1000).unref();
+}
+
+/**
+ * Decide whether a media file needs transcribing. Files are always transcribed
+ * when an output format is missing or an unfinished checkpoint is waiting to be
+ * resumed; "smart" mode also redoes outputs that are stale. Subtitles of only
+ * some time ranges are never up to date for a run over the whole file, and a
+ * run over time ranges doesn't replace subtitles of the whole file unless forced.
+ * @param {string} mediaPath
+ * @param {Object} options
+ * @param {string} options.outputBase - From getOutputBase()
+ * @param {string[]} options.formats
+ * @param {string} [options.model] - Model that would be used ("auto" skips the model check)
+ * @param {string} [options.skip] - "smart" (default) or "exists"
+ * @param {boolean} [options.force] - Transcribe even if the outputs are up to date
+ * @param {boolean} [options.resume] - Whether checkpoints are resumed (default true)
+ * @param {boolean} [options.ranges] - The run transcribes time ranges into new outputs (not a splice)
+ * @returns {Promise<{transcribe: boolean, reason?: string}>} - `reason` is set when
+ *   existing subtitles are being replaced, or kept although the run asked for the file
+ */
+export async function checkOutputs(mediaPath, options) {
+  const {
+    outputBase: base, formats, model = null, skip = "smart", force = false, resume = true, ranges = false,
+  } = options;
+  if (resume && (await hasCheckpoint(base))) return { transcribe: true };
+
+  const outputStats = [];
+  for (const format of formats) {
+    try {
+      outputStats.push(await fs.stat(`${base}${getFormatExtension(format)}`));
+    } catch {
+      outputStats.push(null);
+    }
+  }
+  const meta = await readOutputMeta(base);
+  if (ranges) {
+    // Ranges are asked for explicitly, so they replace subtitles of earlier ranges
+    if (force || meta?.ranges || outputStats.every((stat) => stat === null)) return { transcribe: true };
+    return { transcribe: false, reason: "its subtitles cover the whole recording and would be replaced by the ranges only" };
+  }
+  if (outputStats.includes(null)) return { transcribe: true };
+  if (force) return { transcribe: true, reason: "forced" };
+  if (meta?.ranges) {
+    return { transcribe: true, reason: `subtitles only cover ${describeRanges(meta.ranges)}` };
+  }
+  if (skip === "exists") return { transcribe: false };
+
+  const mediaStat = await fs.stat(mediaPath);
+  if (outputStats.some((stat) => stat.mtimeMs < mediaStat.mtimeMs)) {
+    return { transcribe: true, reason: "subtitles are older than the media" };
+  }
+  // With model auto the model is only known after language detection
+  if (meta && meta.model && model && model !== AUTO_MODEL && meta.model !== model) {
+    return { transcribe: true, reason: `subtitles were made with ${meta.model}` };
+  }
+  return { transcribe: false };
+}
+
+/**
+ * Duration of a media file in seconds
+ * @param {string} inputFile
+ * @returns {Promise<number>} - 0 when ffprobe can't tell
+ */
+export function getDuration(inputFile) {
+  return new Promise((resolve) => {
+    let stdout = "";
+    const ffprobe = spawn(ffprobePath, [
+      "-v",
+      "error",
+      "-show_entries",
+      "format=duration",
+      "-of",
+      "default=noprint_wrappers=1:nokey=1",
+      inputFile,
+    ]);
+
+    ffprobe.stdout.on("data", (chunk) => (stdout += chunk.toString()));
+    let stderr = "";
+    ffprobe.stderr.on("data", (chunk) => (stderr += chunk.toString()));
+
+    ffprobe.on("error", (error) => {
+      Logger.log("TRANSCRIBE", `ffprobe spawn error: ${error.message || error}`);
+      resolve(0);
+    });
+
+    ffprobe.on("close", (code) => {
+      if (code !== 0) {
+        Logger.log("TRANSCRIBE", `ffprobe returned code ${code}. stderr: ${stderr.trim()}`);
+        resolve(0);
+        return;
+      }
+      const val = parseFloat(stdout);
+      if (Number.isFinite(val) && val > 0) resolve(val);
+      else resolve(0);
+    });
+  });
+}
+
+/**
+ * A running transcription. It is an EventEmitter and can be awaited for the
+ * result; listeners attached right after transcribe() returns see every event.
+ *
+ * Events (every payload has `file`):
+ * - "track"     `{stream, streams, reason}` - audio track chosen
+ * - "speakers"  `{turns, count, elapsed}` - diarization finished
+ * - "language"  `{language, model}` - spoken language detected (model "auto")
+ * - "start"     `{duration, model, language, audioTrack, outputBase, resumeOffset, resumedSegments,
+ *                hotwords}` (number of hotwords in use)
+ * - "progress"  `{processed, duration, elapsed, speed, remaining}` - seconds of audio decoded
+ * - "segment"   `{segment}` - a decoded speech segment (Segment)
+ * - "warning"   `{message}` - something failed but the job goes on
+ * - "cancelled" `{offset, outputs, segments}` - stopped by the signal; checkpoint at `offset`
+ *   seconds, `outputs` lists the partial subtitles written with `savePartial`
+ * - "done"      the result (see transcribe())
+ */
+export class Transcription extends EventEmitter {
+  constructor(run) {
+    super();
+    // Start on the next turn of the event loop so listeners can be attached first
+    this.result = new Promise((resolve) => setImmediate(resolve)).then(() => run(this));
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.result.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.result.catch(onRejected);
+  }
+
+  finally(onFinally) {
+    return this.result.finally(onFinally);
+  }
+}
+
+/**
+ * Transcribe one media file into subtitles
+ * @param {string} inputFile - Audio or video file
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model name from the registry, or "auto" (default: DEFAULT_MODEL)
+ * @param {string[]|string} [options.formats] - Output formats (default: srt)
+ * @param {string} [options.outputBase] - Output path without extension (default: getOutputBase())
+ * @param {string} [options.outputDir] - Used for the default outputBase
+ * @param {string|number} [options.audioTrack] - "auto", a track number or a language code
+ * @param {boolean} [options.diarize] - Label segments with speakers
+ * @param {number} [options.speakers] - Expected number of speakers (implies diarize)
+ * @param {Object} [options.cueOptions] - Cue readability options (see segmentation.js)
+ * @param {string[]|string} [options.hotwords] - Phrases to bias decoding towards (see hotwords.js);
+ *   needs a transducer model, with model auto other models transcribe without them
+ * @param {string} [options.punctuation] - "auto" (default: as set for the model in the registry),
+ *   "context" or "segment" to restore punctuation for any model, "off" to never
+ * @param {string[]|Object} [options.textRules] - Text rule profile names (see text-rules.js), or
+ *   a pipeline from loadTextRules(); applied to every segment after punctuation
+ * @param {string|Object} [options.audio] - Pre-processing before the VAD: a preset name or a chain
+ *   (see audio-filters.js); default none
+ * @param {Array<string|Object>} [options.ranges] - Only transcribe these time ranges ("1:00-2:30" or
+ *   `{start, end}`, see time-ranges.js); cues keep the times of the whole recording
+ * @param {boolean} [options.splice] - With `ranges`: replace the cues of the ranges in the existing
+ *   SRT output instead of writing new files
+ * @param {boolean|string} [options.review] - Check every segment for likely recognition errors and
+ *   list them in `<output>.review.json` (see segment-review.js); "mark" or "drop" also prefixes or
+ *   removes the flagged segments in the subtitles (true: "report", only the report)
+ * @param {boolean} [options.resume] - Continue from a checkpoint (default true)
+ * @param {boolean} [options.savePartial] - Write the subtitles decoded so far when cancelled (a splice
+ *   merges them into the existing SRT)
+ * @param {AbortSignal} [options.signal] - Cancels the job; the promise rejects with an AbortError
+ * @param {Object} [options.config] - From createConfig()
+ * @returns {Transcription} - Resolves to `{file, outputBase, outputs, segments, duration, elapsed,
+ *   model, language, audioTrack, speakers, ranges, review}`; `review` is `{report, segments, flagged,
+ *   checks}` when reviewing
+ */
+export function transcribe(inputFile, options = {}) {
+  return new Transcription((job) => runTranscription(job, inputFile, options));
+}
+
+async function runTranscription(job, inputFile, options) {
+  const { signal = null, savePartial = false } = options;
+  const config = options.config || createConfig();
+  const formats = parseFormats(options.formats || "srt");
+  const cueOptions = normalizeCueOptions(options.cueOptions || {});
+  const modelName = options.model || DEFAULT_MODEL;
+  const outBase = options.outputBase || getOutputBase(inputFile, { outputDir: options.outputDir });
+  const resumeEnabled = options.resume !== false;
+  const diarizeEnabled = options.diarize === true || options.speakers > 0;
+  const hotwords = options.hotwords ? parseHotwords(options.hotwords, { commas: true }) : [];
+  const punctuationMode = options.punctuation || "auto";
+  if (!PUNCTUATION_MODES.includes(punctuationMode)) {
+    throw new Error(`Unknown punctuation mode "${punctuationMode}" (use ${PUNCTUATION_MODES.join(", ")})`);
+  }
+  const textRules = typeof options.textRules === "string" || Array.isArray(options.textRules)
+    ? await loadTextRules([options.textRules].flat())
+    : options.textRules || null;
+  const audioChain = resolveAudioChain(options.audio ?? null);
+  const ranges = options.ranges && options.ranges.length > 0 ? normalizeRanges(options.ranges) : null;
+  const splice = options.splice === true;
+  const reviewAction = options.review === true ? "report" : options.review || null;
+  if (reviewAction && !REVIEW_ACTIONS.includes(reviewAction)) {
+    throw new Error(`Unknown review action "${reviewAction}" (use ${REVIEW_ACTIONS.join(", ")})`);
+  }
+  if (splice) {
+    if (!ranges) throw new Error("Splicing needs the time ranges to transcribe again");
+    if (formats.length !== 1 || formats[0] !== "srt") {
+      throw new Error(`Splicing works on SRT files only (formats: ${formats.join(", ")})`);
+    }
+    try {
+      await fs.access(`${outBase}.srt`);
+    } catch {
+      throw new Error(`Nothing to splice into: ${outBase}.srt doesn't exist`);
+    }
+  }
+  const filename = path.basename(inputFile);
+  const baseName = filename.replace(/\.[^.]*$/, "");
+
+  const emit = (event, data) => job.emit(event, { file: inputFile, ...data });
+  const warn = (message) => emit("warning", { message });
+  const cancelled = () => signal?.aborted === true;
+  if (cancelled()) throw abortError();
+
+  // With model auto each file gets its model once its language is known;
+  // the VAD comes from the default model
+  const model = modelName === AUTO_MODEL ? null : getModel(modelName);
+  if (model && hotwords.length > 0 && !hotwordSupport(model).supported) {
+    throw new Error(hotwordSupport(model).reason);
+  }
+  const vadConfig = createVadConfig(config, model);
+  const { trackProcess, detach } = watchProcesses(signal);
+
+  try {
+    const audioTrack = await pickAudioTrack(inputFile, model, options.audioTrack, { emit, warn });
+    const trackNumber = audioTrack ? audioTrack.track : null;
+
+    // Diarization looks at the whole recording, so it runs before decoding starts
+    let speakerTurns = null;
+    if (diarizeEnabled) {
+      const diarization = options.speakers > 0
+        ? { ...config.diarization, numSpeakers: options.speakers }
+        : config.diarization;
+      const { turns, elapsed } = await findSpeakerTurns(inputFile, trackNumber, diarization, config, trackProcess, cancelled);
+      speakerTurns = turns;
+      emit("speakers", { turns, count: new Set(turns.map((t) => t.speaker)).size, elapsed });
+    }
+
+    // With model auto, identify the spoken language and route to a model for it
+    let fileModelName = modelName;
+    let language = audioTrack?.language || null;
+    if (modelName === AUTO_MODEL) {
+      ({ modelName: fileModelName, language } = await chooseModel(
+        inputFile, trackNumber, vadConfig, config, buildAudioFilter(audioChain), { emit, warn, trackProcess, cancelled }
+      ));
+    }
+    const fileModel = model || getModel(fileModelName);
+    let fileHotwords = hotwords;
+    if (hotwords.length > 0 && !hotwordSupport(fileModel).supported) {
+      warn(`${hotwordSupport(fileModel).reason}; transcribing ${filename} without hotwords`);
+      fileHotwords = [];
+    }
+
+    return await decodeFile({
+      inputFile, filename, baseName, outBase, formats, cueOptions, config, vadConfig,
+      fileModel, fileModelName, language, audioTrack, trackNumber, speakerTurns, hotwords: fileHotwords,
+      punctuationMode, textRules, audioChain, ranges, splice, reviewAction,
+      resumeEnabled, savePartial, emit, warn, trackProcess, cancelled,
+      diarization: diarizeEnabled ? options.speakers || "auto" : null,
+    });
+  } finally {
+    detach();
+  }
+}
+
+/**
+ * Run the VAD and recognizer over a file once per audio chain and count what
+ * they find, to judge whether pre-processing helps. No subtitles are written.
+ * @param {string} inputFile - Audio or video file
+ * @param {Object} [options]
+ * @param {Array<string|Object>} [options.chains] - Presets or chains to compare (default: none and speech)
+ * @param {string} [options.model] - Recognition model (default: DEFAULT_MODEL; "auto" uses it too)
+ * @param {string|number} [options.audioTrack] - As for transcribe()
+ * @param {AbortSignal} [options.signal] - Stops the comparison
+ * @param {Object} [options.config] - From createConfig()
+ * @param {function(string): void} [options.onChain] - Called with the label of each chain as it starts
+ * @returns {Promise<Array<{label: string, chain: Object, vadSegments: number, speechSeconds: number,
+ *   segments: number, characters: number, elapsed: number}>>} - `segments` counts VAD segments
+ *   the recognizer found text in
+ */
+export async function compareAudioChains(inputFile, options = {}) {
+  const { signal = null, chains = ["none", "speech"] } = options;
+  const config = options.config || createConfig();
+  const model = getModel(options.model && options.model !== AUTO_MODEL ? options.model : DEFAULT_MODEL);
+  const vadConfig = createVadConfig(config, model);
+  const resolved = chains.map((chain) => ({
+    label: typeof chain === "string" ? chain : describeAudioChain(resolveAudioChain(chain)),
+    chain: resolveAudioChain(chain),
+  }));
+  const warn = (message) => Logger.warn("TRANSCRIBE", message);
+  const { trackProcess, detach } = watchProcesses(signal);
+  const cancelled = () => signal?.aborted === true;
+
+  const recognizer = await createRecognizer(model, config, warn);
+  try {
+    const audioTrack = await pickAudioTrack(inputFile, model, options.audioTrack, { emit: () => {}, warn });
+    const results = [];
+    for (const { label, chain } of resolved) {
+      if (cancelled()) throw abortError();
+      options.onChain?.(label);
+      const startTime = Date.now();
+      const counts = await measureSpeech(inputFile, chain, { recognizer, config, vadConfig, audioTrack, trackProcess, cancelled });
+      if (cancelled()) throw abortError();
+      results.push({ label, chain, ...counts, elapsed: (Date.now() - startTime) / 1000 });
+    }
+    return results;
+  } finally {
+    detach();
+    safeFree(recognizer);
+  }
+}
+
+// Speech found in a file with one audio chain (see compareAudioChains())
+async function measureSpeech(inputFile, chain, { recognizer, config, vadConfig, audioTrack, trackProcess, cancelled }) {
+  const sampleRate = vadConfig.sampleRate;
+  const counts = { vadSegments: 0, speechSeconds: 0, segments: 0, characters: 0 };
+  await scanSpeech(inputFile, {
+    chain, config, vadConfig, audioTrack, trackProcess, cancelled,
+    onSegment: (seg) => {
+      counts.vadSegments++;
+      counts.speechSeconds += seg.samples.length / sampleRate;
+      const segment = decodeSegment(recognizer, seg, sampleRate);
+      if (segment) {
+        counts.segments++;
+        counts.characters += segment.text.length;
+      }
+    },
+  });
+  return counts;
+}
+
+/**
+ * Find the speech in a media file with the Silero VAD, e.g. to line
+ * subtitles up with it
+ * @param {string} inputFile - Audio or video file
+ * @param {Object} [options]
+ * @param {string|number} [options.audioTrack] - As for transcribe()
+ * @param {string|Object} [options.audio] - Pre-processing before the VAD, as for transcribe()
+ * @param {AbortSignal} [options.signal] - Stops the scan; the promise rejects with an AbortError
+ * @param {Object} [options.config] - From createConfig()
+ * @param {function(Object): void} [options.onProgress] - Gets `{processed, duration}` in seconds
+ * @returns {Promise<{speech: Array<{start: number, end: number}>, duration: number}>}
+ */
+export async function detectSpeech(inputFile, options = {}) {
+  const { signal = null } = options;
+  const config = options.config || createConfig();
+  const chain = resolveAudioChain(options.audio ?? null);
+  const vadConfig = createVadConfig(config, null);
+  const sampleRate = vadConfig.sampleRate;
+  const warn = (message) => Logger.warn("TRANSCRIBE", message);
+  const { trackProcess, detach } = watchProcesses(signal);
+  const cancelled = () => signal?.aborted === true;
+
+  try {
+    const audioTrack = await pickAudioTrack(inputFile, null, options.audioTrack, { emit: () => {}, warn });
+    const duration = (await getDuration(inputFile)) || 0;
+    const speech = [];
+    await scanSpeech(inputFile, {
+      chain, config, vadConfig, audioTrack, trackProcess, cancelled,
+      onSegment: (seg) => {
+        const start = seg.start / sampleRate;
+        speech.push({ start, end: start + seg.samples.length / sampleRate });
+      },
+      onProgress: (processed) => options.onProgress?.({ processed, duration }),
+    });
+    if (cancelled()) throw abortError();
+    return { speech, duration };
+  } finally {
+    detach();
+  }
+}
+
+// Stream a file through an audio chain and the VAD, handing every speech
+// segment to `onSegment`; resolves early when cancelled
+async function scanSpeech(inputFile, { chain, config, vadConfig, audioTrack, trackProcess, cancelled, onSegment, onProgress }) {
+  const sampleRate = vadConfig.sampleRate;
+  const denoiser = chain.denoise ? createStreamingDenoiser(config.denoise, sampleRate) : null;
+  const vad = new sherpa_onnx.Vad(vadConfig, config.bufferSizeInSeconds);
+  const buffer = new sherpa_onnx.CircularBuffer(Math.max(1, Math.floor(config.bufferSizeInSeconds * sampleRate)));
+  let processed = 0;
+
+  const takeSegments = () => {
+    while (!vad.isEmpty()) {
+      const seg = vad.front();
+      vad.pop();
+      onSegment(seg);
+    }
+  };
+  const feed = createVadFeed({ vad, buffer, windowSize: vadConfig.sileroVad.windowSize, denoiser, onWindow: takeSegments, cancelled });
+
+  try {
+    await new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, pcmArgs(inputFile, { audioTrack, audioFilter: buildAudioFilter(chain), sampleRate }));
+      trackProcess(ffmpeg);
+      let ffmpegError = "";
+      let failed = null;
+      ffmpeg.stderr.on("data", (data) => {
+        ffmpegError = (ffmpegError + data.toString()).slice(-4000);
+      });
+      ffmpeg.stdout.on("data", (chunk) => {
+        if (failed || cancelled()) return;
+        try {
+          feed.write(pcmToFloat32(chunk));
+          processed += chunk.length / (sampleRate * 2);
+          onProgress?.(processed);
+        } catch (error) {
+          failed = error;
+          stopProcess(ffmpeg);
+        }
+      });
+      ffmpeg.on("error", (error) => reject(new Error(`FFmpeg spawn error: ${error.message || error}`)));
+      ffmpeg.on("close", (code) => {
+        if (failed) return reject(failed);
+        if (cancelled()) return resolve();
+        if (code !== 0) return reject(new Error(`FFmpeg exited with code ${code}. Error: ${ffmpegError}`));
+        try {
+          feed.end();
+          vad.flush();
+          takeSegments();
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+  } finally {
+    safeFree(vad);
+    safeFree(buffer);
+    denoiser?.free();
+  }
+}
+
+// VAD settings for a job; the Silero model comes from the model folder unless set
+function createVadConfig(config, model) {
+  return {
+    ...config.vad,
+    sileroVad: {
+      ...config.vad.sileroVad,
+      model:
+        config.vad.sileroVad.model ||
+        path.join((model || getModel(DEFAULT_MODEL)).modelDir, "silero_vad.onnx"),
+    },
+  };
+}
+
+// ffmpeg processes of a job, stopped when the signal fires
+function watchProcesses(signal) {
+  const processes = new Set();
+  const trackProcess = (child) => {
+    processes.add(child);
+    child.on("close", () => processes.delete(child));
+  };
+  const onAbort = () => {
+    for (const child of processes) stopProcess(child);
+  };
+  signal?.addEventListener("abort", onAbort, { once: true });
+  return { trackProcess, detach: () => signal?.removeEventListener("abort", onAbort) };
+}
+
+// Pick the audio track: the requested one, or one in a language the model knows
+async function pickAudioTrack(inputFile, model, track, { emit, warn }) {
+  let streams = [];
+  try {
+    streams = await probeAudioStreams(ffprobePath, inputFile);
+  } catch (error) {
+    warn(`Could not list audio tracks, using ffmpeg's default: ${error.message || error}`);
+  }
+  const trackLanguages = model
+    ? model.languages || []
+    : listModels().filter((m) => m.usable).flatMap((m) => m.languages);
+  const selected = selectAudioTrack(streams, { track: track ?? "auto", languages: trackLanguages });
+  if (!selected) return null;
+  emit("track", { stream: selected.stream, streams, reason: selected.reason });
+  return selected.stream;
+}
+
+// Identify the language spoken at the start of a file and pick a model for it.
+// Falls back to the default model when detection fails or no model covers it.
+async function chooseModel(inputFile, track, vadConfig, config, audioFilter, { emit, warn, trackProcess, cancelled }) {
+  const filename = path.basename(inputFile);
+  let language = null;
+  let identifier = null;
+  try {
+    const speech = await collectSpeech(ffmpegPath, inputFile, {
+      vadConfig,
+      bufferSeconds: config.bufferSizeInSeconds,
+      track,
+      speechSeconds: config.languageId.speechSeconds,
+      scanSeconds: config.languageId.scanSeconds,
+      audioFilter,
+      onSpawn: trackProcess,
+    });
+    if (cancelled()) throw abortError();
+    identifier = createLanguageIdentifier(config.languageId);
+    language = identifyLanguage(identifier, speech, vadConfig.sampleRate);
+  } catch (error) {
+    if (cancelled()) throw abortError();
+    warn(`Language detection failed for ${filename}: ${error.message || error}`);
+  } finally {
+    safeFree(identifier);
+  }
+
+  if (!language) {
+    warn(`Could not detect the language of ${filename}; using ${DEFAULT_MODEL}`);
+    return { modelName: DEFAULT_MODEL, language: null };
+  }
+  const found = findModelForLanguage(language);
+  emit("language", { language, model: found || DEFAULT_MODEL });
+  if (!found) {
+    warn(`No model lists language "${language}"; using ${DEFAULT_MODEL}`);
+    return { modelName: DEFAULT_MODEL, language };
+  }
+  return { modelName: found, language };
+}
+
+// Speaker turns of a whole audio track
+async function findSpeakerTurns(inputFile, track, diarization, config, trackProcess, cancelled) {
+  const startTime = Date.now();
+  const diarizer = createDiarizer(diarization);
+  try {
+    const samples = await decodeAudio(ffmpegPath, inputFile, {
+      sampleRate: diarizer.sampleRate || config.sampleRate,
+      track,
+      onSpawn: trackProcess,
+    });
+    if (cancelled()) throw abortError();
+    return { turns: diarize(diarizer, samples), elapsed: (Date.now() - startTime) / 1000 };
+  } finally {
+    safeFree(diarizer);
+  }
+}
+
+// Create recognizer with resource limits, biased towards the hotwords if any
+async function createRecognizer(fileModel, config, warn, hotwords = []) {
+  // The recognizer reads the hotwords file while it is created
+  const hotwordsFile = hotwords.length > 0 ? await writeHotwordsFile(hotwords) : null;
+  let recognizer;
+  try {
+    recognizer = await fileModel.createRecognizer({
+      sampleRate: config.sampleRate,
+      featDim: config.featDim,
+      modelDir: fileModel.modelDir,
+      numThreads: config.numThreads,
+      hotwords: hotwordsFile ? { ...config.hotwords, file: hotwordsFile.file } : null,
+    });
+  } finally {
+    await hotwordsFile?.remove();
+  }
+
+  if (recognizer && typeof recognizer.setMaxHeapSize === "function") {
+    try {
+      recognizer.setMaxHeapSize(config.memory.maxHeapMB);
+    } catch (error) {
+      warn(`Recognizer.setMaxHeapSize not applied: ${error.message || error}`);
+    }
+  }
+
+  return recognizer;
+}
+
+// Punctuation restoration for a file: with "auto" when the registry asks for it
+// (a missing punctuation model is then only a warning), otherwise as requested
+function createFilePunctuator(fileModel, mode, config, language, warn) {
+  if (mode === "off" || (mode === "auto" && !fileModel.punctuation)) return null;
+  const options = mode === "auto" ? config.punctuation : { ...config.punctuation, mode };
+  // A single-language model tells the language when the track doesn't
+  const textLanguage = language || (fileModel.languages?.length === 1 ? fileModel.languages[0] : null);
+  try {
+    return createPunctuator(options, { language: textLanguage });
+  } catch (error) {
+    if (mode !== "auto") throw error;
+    warn(`Punctuation not restored for ${fileModel.name}: ${error.message || error}`);
+    return null;
+  }
+}
+
+// Decode one VAD segment right away so its samples can be released.
+// `offset` is where ffmpeg started reading (seconds) when resuming.
+function decodeSegment(recognizer, seg, sampleRate, offset = 0) {
+  const stream = recognizer.createStream();
+  try {
+    stream.acceptWaveform({
+      samples: seg.samples,
+      sampleRate,
+    });
+    recognizer.decode(stream);
+    const result = recognizer.getResult(stream);
+    if (!result || !result.text) return null;
+
+    const segStart = offset + seg.start / sampleRate;
+    const segDuration = seg.samples.length / sampleRate;
+    // Token timestamps are relative to the start of this VAD segment
+    const words = tokensToWords(result.tokens, result.timestamps, segStart, segStart + segDuration);
+    return new Segment(segStart, segDuration, result.text.trim(), words);
+  } finally {
+    safeFree(stream);
+  }
+}
+
+// ffmpeg arguments that decode an audio track to mono s16le PCM, through the
+// ffmpeg part of an audio chain; `offset` and `length` select a time range
+function pcmArgs(inputFile, { audioTrack = null, audioFilter = null, offset = 0, length = null, sampleRate }) {
+  return [
+    // Seek before -i so a resumed run or a time range starts decoding right there
+    ...(offset > 0 ? ["-ss", offset.toFixed(3)] : []),
+    ...(length !== null ? ["-t", length.toFixed(3)] : []),
+    "-i",
+    inputFile,
+    ...(audioTrack ? ["-map", `0:a:${audioTrack.track}`] : []),
+    ...(audioFilter ? ["-af", audioFilter] : []),
+    "-f",
+    "s16le",
+    "-ac",
+    "1",
+    "-ar",
+    String(sampleRate),
+    "-",
+  ];
+}
+
+function pcmToFloat32(chunk) {
+  const sampleCount = Math.floor(chunk.length / 2);
+  const float32 = new Float32Array(sampleCount);
+  for (let i = 0; i < sampleCount; i++) {
+    float32[i] = chunk.readInt16LE(i * 2) / 32768.0;
+  }
+  return float32;
+}
+
+// Pass audio through the optional denoiser into the VAD a window at a time;
+// `onWindow` runs after every window, e.g. to decode finished segments
+function createVadFeed({ vad, buffer, windowSize, denoiser, onWindow, cancelled }) {
+  // Denoised blocks can be longer than the buffer, so they go in by slices
+  const sliceLength = windowSize * 32;
+  const push = (samples) => {
+    for (let offset = 0; offset < samples.length; offset += sliceLength) {
+      buffer.push(samples.subarray(offset, offset + sliceLength));
+      while (buffer.size() >= windowSize) {
+        if (cancelled()) return;
+        const frame = buffer.get(buffer.head(), windowSize);
+        buffer.pop(windowSize);
+        vad.acceptWaveform(frame);
+        onWindow();
+      }
+    }
+  };
+  return {
+    write: (samples) => push(denoiser ? denoiser.push(samples) : samples),
+    // The audio the denoiser still holds; call before vad.flush()
+    end: () => {
+      if (denoiser) push(denoiser.flush());
+    },
+  };
+}
+
+// Stream the audio track through the VAD and recognizer into the subtitle writer
+async function decodeFile(ctx) {
+  const {
+    inputFile, filename, baseName, outBase, formats, cueOptions, config, vadConfig,
+    fileModel, fileModelName, language, audioTrack, trackNumber, speakerTurns, hotwords,
+    punctuationMode, textRules, audioChain, ranges, splice, reviewAction,
+    resumeEnabled, savePartial, emit, warn, trackProcess, cancelled, diarization,
+  } = ctx;
+  const sampleRate = vadConfig.sampleRate;
+  const windowSize = vadConfig.sileroVad.windowSize;
+  // A splice is transcribed next to the file it goes into, then merged
+  const workBase = splice ? `${outBase}.splice` : outBase;
+
+  const mediaDuration = await getDuration(inputFile) || 0;
+  const fileRanges = ranges ? clampRanges(ranges, mediaDuration) : null;
+  if (fileRanges && fileRanges.length === 0) {
+    throw new Error(`${filename} ends before the requested time ranges (${describeRanges(ranges)})`);
+  }
+  // With time ranges, progress and speed refer to the audio in them
+  const duration = fileRanges ? rangesLength(fileRanges) : mediaDuration;
+
+  // Native objects; release() frees the ones created so far, so a failure while
+  // setting up (a bad model, hotwords or checkpoint) doesn't leak them
+  let punctuator = null;
+  let denoiser = null;
+  let recognizer = null;
+  let vad = null;
+  let buffer = null;
+  const release = () => {
+    safeFree(vad);
+    safeFree(recognizer);
+    safeFree(buffer);
+    punctuator?.free();
+    denoiser?.free();
+  };
+
+  const startTime = Date.now();
+
+  // Options that change the decoded segments; a checkpoint made with others is not resumed
+  const settings = {
+    audio: audioChain,
+    hotwords,
+    textRules: textRules ? textRules.profiles ?? "custom" : null,
+    punctuation: punctuationMode,
+    diarization,
+  };
+
+  let resumeOffset = 0;
+  let segments = [];
+  try {
+    punctuator = createFilePunctuator(fileModel, punctuationMode, config, language, warn);
+    denoiser = audioChain.denoise ? createStreamingDenoiser(config.denoise, sampleRate) : null;
+    recognizer = await createRecognizer(fileModel, config, warn, hotwords);
+    vad = new sherpa_onnx.Vad(vadConfig, config.bufferSizeInSeconds);
+    const bufferLength = Math.max(1, Math.floor(config.bufferSizeInSeconds * (sampleRate || config.sampleRate)));
+    buffer = new sherpa_onnx.CircularBuffer(bufferLength);
+
+    // Resume from a checkpoint left by an interrupted run
+    if (resumeEnabled) {
+      const checkpoint = await loadCheckpoint(workBase, inputFile, fileModelName, trackNumber, fileRanges, settings);
+      if (checkpoint) {
+        resumeOffset = checkpoint.offset;
+        segments = checkpoint.segments;
+      }
+    } else {
+      await removeCheckpoint(workBase);
+    }
+  } catch (error) {
+    release();
+    throw error;
+  }
+  const resumedSegments = segments.length;
+  // ffmpeg runs once per time range (once in all for the whole file)
+  const passes = rangesAfter(fileRanges || [{ start: 0, end: null }], resumeOffset);
+  let processed = fileRanges ? duration - rangesLength(passes) : resumeOffset;
+  let passOffset = 0;
+
+  const writer = new SubtitleWriter(workBase, formats, cueOptions, {
+    title: baseName,
+    source: filename,
+    model: fileModelName,
+    language: language || undefined,
+  });
+  // The script check needs the spoken language; a single-language model tells it when the track doesn't
+  const reviewLanguage = language || (fileModel.languages?.length === 1 ? fileModel.languages[0] : null);
+  const dropped = (segment) => reviewAction === "drop" && segment.review?.length > 0;
+  // Flagged segments go into the subtitles as the review action says
+  const output = (segment) => {
+    if (dropped(segment)) return;
+    writer.add(reviewAction === "mark" && segment.review?.length > 0 ? markSegment(segment) : segment);
+  };
+  try {
+    await writer.open();
+    for (const segment of segments) {
+      // Segments resumed from a run without review get the checks that don't need the audio
+      if (reviewAction && !segment.review) {
+        segment.review = reviewSegment(segment, { language: reviewLanguage, options: config.review });
+      }
+      output(segment);
+    }
+  } catch (error) {
+    release();
+    throw new Error(`Failed to open output files: ${error.message || error}`);
+  }
+
+  // Everything before the end of the last decoded segment is done; a resumed
+  // run re-scans from there, so speech the VAD was still collecting is not lost
+  const checkpointOffset = () => (segments.length > 0 ? segments.at(-1).end : resumeOffset);
+  let lastCheckpointAt = Date.now();
+  let checkpointWrite = Promise.resolve();
+  const writeCheckpoint = () => {
+    lastCheckpointAt = Date.now();
+    const state = {
+      inputFile,
+      model: fileModelName,
+      audioTrack: trackNumber,
+      ranges: fileRanges,
+      settings,
+      offset: checkpointOffset(),
+      segments: [...segments],
+    };
+    checkpointWrite = checkpointWrite
+      .then(() => saveCheckpoint(workBase, state))
+      .catch((error) => warn(`Failed to save checkpoint: ${error.message || error}`));
+    return checkpointWrite;
+  };
+
+  // Decode every segment the VAD has finished and hand it to the writer
+  const drainVad = () => {
+    while (!vad.isEmpty()) {
+      const seg = vad.front();
+      vad.pop();
+      const segment = decodeSegment(recognizer, seg, sampleRate, passOffset);
+      if (segment && speakerTurns) assignSpeakers(segment, speakerTurns);
+      if (segment && punctuator) punctuator.apply(segment);
+      // Rules may remove everything, e.g. a segment that was only "um"
+      if (segment && textRules && !textRules.applyToSegment(segment)) continue;
+      if (segment && reviewAction) {
+        segment.review = reviewSegment(segment, { samples: seg.samples, language: reviewLanguage, options: config.review });
+      }
+      if (segment) {
+        output(segment);
+        // Dropped segments are kept for the checkpoint and the report
+        segments.push(segment);
+        if (!dropped(segment)) emit("segment", { segment });
+      }
+    }
+    if (Date.now() - lastCheckpointAt >= config.checkpointIntervalMs) writeCheckpoint();
+  };
+  const feed = createVadFeed({ vad, buffer, windowSize, denoiser, onWindow: drainVad, cancelled });
+
+  const progress = () => {
+    const elapsed = Math.max(0.001, (Date.now() - startTime) / 1000);
+    const speed = processed / elapsed;
+    const remaining = processed > 0 && duration > 0 ? Math.max(0, (duration - processed) / speed) : 0;
+    return {
+      processed: duration > 0 ? Math.min(duration, processed) : processed,
+      duration,
+      elapsed,
+      speed,
+      remaining,
+    };
+  };
+
+  // Stream one range (or the whole file) through the VAD; resolves when ffmpeg
+  // is done or was stopped by cancellation
+  const decodePass = (pass) =>
+    new Promise((resolve, reject) => {
+      let ffmpeg;
+      try {
+        ffmpeg = spawn(ffmpegPath, pcmArgs(inputFile, {
+          audioTrack,
+          audioFilter: buildAudioFilter(audioChain),
+          offset: pass.start,
+          length: pass.end === null ? null : pass.end - pass.start,
+          sampleRate,
+        }));
+        trackProcess(ffmpeg);
+        Logger.log("TRANSCRIBE", `Started ffmpeg process with pid: ${ffmpeg.pid}`);
+      } catch (spawnError) {
+        return reject(new Error(`Failed to spawn FFmpeg: ${spawnError.message || spawnError}`));
+      }
+
+      let ffmpegError = "";
+      let chunkError = null;
+      ffmpeg.stderr.on("data", (data) => {
+        ffmpegError += data.toString();
+      });
+
+      ffmpeg.stdout.on("data", (chunk) => {
+        // After cancellation the remaining output is ignored; ffmpeg is being stopped
+        if (chunkError || cancelled()) return;
+
+        try {
+          feed.write(pcmToFloat32(chunk));
+          if (cancelled()) return;
+          processed += chunk.length / (sampleRate * 2);
+          emit("progress", progress());
+        } catch (error) {
+          // Stop decoding; the close handler sees chunkError and discards the output
+          chunkError = new Error(`Error handling audio chunk: ${error.message || error}`);
+          stopProcess(ffmpeg);
+        }
+      });
+
+      ffmpeg.on("close", (code, signal) => {
+        Logger.log("TRANSCRIBE", `FFmpeg process closed with code: ${code}, signal: ${signal}`);
+        if (chunkError) return reject(chunkError);
+        if (cancelled()) return resolve();
+        if (code !== 0) return reject(new Error(`FFmpeg exited with code ${code}. Error: ${ffmpegError}`));
+        try {
+          feed.end();
+          if (typeof vad.flush === "function") vad.flush();
+          drainVad();
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      });
+
+      ffmpeg.on("error", (error) => {
+        reject(new Error(`FFmpeg spawn error: ${error.message || error}`));
+      });
+    });
+
+  emit("start", {
+    duration,
+    model: fileModelName,
+    language,
+    audioTrack,
+    outputBase: outBase,
+    resumeOffset,
+    resumedSegments,
+    hotwords: hotwords.length,
+    audio: isAudioChainEmpty(audioChain) ? null : describeAudioChain(audioChain),
+    ranges: fileRanges ? describeRanges(fileRanges) : null,
+  });
+  // Report periodically too, so elapsed time keeps moving while ffmpeg is slow
+  const progressInterval = setInterval(() => emit("progress", progress()), 1000);
+
+  try {
+    for (const [index, pass] of passes.entries()) {
+      if (cancelled()) break;
+      if (index > 0) {
+        // VAD sample positions restart with each range
+        vad.reset();
+        buffer.reset();
+      }
+      passOffset = pass.start;
+      await decodePass(pass);
+    }
+  } catch (error) {
+    clearInterval(progressInterval);
+    await writer.abort();
+    release();
+    throw new Error(`Error processing ${filename}: ${error.message || error}`);
+  }
+  clearInterval(progressInterval);
+  emit("progress", { ...progress(), processed: duration > 0 ? duration : processed });
+
+  if (cancelled()) {
+    // Keep what was decoded: the checkpoint lets a rerun resume, and the
+    // partial subtitles are kept as final outputs when asked to
+    await writeCheckpoint();
+    let outputs = [];
+    // A splice only replaces the cues of the part of the ranges decoded so far
+    const decodedRanges = splice && checkpointOffset() > 0 ? clampRanges(fileRanges, checkpointOffset()) : [];
+    try {
+      if (savePartial && splice && decodedRanges.length > 0) {
+        const [partial] = await writer.finish();
+        outputs = [await spliceInto(`${outBase}.srt`, partial, decodedRanges, warn)];
+      } else if (savePartial && !splice) {
+        outputs = await writer.finish();
+      } else {
+        await writer.abort();
+      }
+    } catch (error) {
+      warn(`Failed to save partial subtitles: ${error.message || error}`);
+    }
+    release();
+    emit("cancelled", { offset: checkpointOffset(), outputs, segments: segments.length });
+    throw abortError();
+  }
+
+  try {
+    let outputs = await writer.finish();
+    await checkpointWrite;
+    await removeCheckpoint(workBase);
+    const speakers = speakerTurns ? new Set(speakerTurns.map((t) => t.speaker)).size : undefined;
+    if (splice) {
+      outputs = [await spliceInto(`${outBase}.srt`, outputs[0], fileRanges, warn)];
+    } else {
+      await writeOutputMeta(outBase, {
+        source: inputFile,
+        model: fileModelName,
+        language,
+        formats,
+        audioTrack: trackNumber,
+        audioLanguage: audioTrack?.language || null,
+        speakers,
+        ranges: fileRanges || undefined,
+      });
+    }
+    const review = reviewAction
+      ? await writeReviewReport(outBase, {
+        source: inputFile,
+        model: fileModelName,
+        language: reviewLanguage,
+        action: reviewAction,
+        options: config.review,
+        segments,
+      })
+      : undefined;
+    if (review) logReview(filename, review, segments, reviewAction);
+
+    const result = {
+      file: inputFile,
+      outputBase: outBase,
+      outputs,
+      segments: segments.filter((segment) => !dropped(segment)),
+      duration,
+      elapsed: (Date.now() - startTime) / 1000,
+      model: fileModelName,
+      language,
+      audioTrack: trackNumber,
+      speakers,
+      ranges: fileRanges,
+      review,
+    };
+    emit("done", result);
+    return result;
+  } catch (error) {
+    await writer.abort();
+    throw new Error(`Error during final transcription of ${filename}: ${error.message || error}`);
+  } finally {
+    release();
+  }
+}
+
+// Summary of the review in the log, with the first flagged segments
+function logReview(filename, review, segments, action) {
+  const checks = Object.entries(review.checks).filter(([, count]) => count > 0).map(([check, count]) => `${check} ${count}`);
+  if (review.flagged === 0) {
+    Logger.log("TRANSCRIBE", `Review of ${filename}: no suspicious segments in ${review.segments}, report: ${review.report}`);
+    return;
+  }
+  const handled = action === "drop" ? ", dropped" : action === "mark" ? ", marked" : "";
+  Logger.warn(
+    "TRANSCRIBE",
+    `Review of ${filename}: ${review.flagged} of ${review.segments} segment(s) look suspicious (${checks.join(", ")})${handled}, ` +
+      `report: ${review.report}`
+  );
+  const flagged = segments.filter((s) => s.review?.length > 0);
+  for (const segment of flagged.slice(0, 5)) {
+    const text = segment.text.length > 50 ? `${segment.text.slice(0, 50)}...` : segment.text;
+    const issues = segment.review.map((issue) => `${issue.check}: ${issue.detail}`).join("; ");
+    Logger.warn("TRANSCRIBE", `   ${formatTime(segment.start)} ${text} (${issues})`);
+  }
+  if (flagged.length > 5) Logger.warn("TRANSCRIBE", `   ... and ${flagged.length - 5} more`);
+}
+
+// Merge the cues transcribed for some ranges into an existing SRT file,
+// replacing the cues that overlap them
+async function spliceInto(targetFile, spliceFile, ranges, warn) {
+  try {
+    const existing = parseSrt(await fs.readFile(targetFile, "utf8"));
+    const replacement = parseSrt(await fs.readFile(spliceFile, "utf8"));
+    const { cues, removed, added } = spliceCues(existing, replacement, ranges);
+    const tmp = `${targetFile}.tmp`;
+    await fs.writeFile(tmp, buildSrt(cues), "utf8");
+    await fs.rename(tmp, targetFile);
+    Logger.log("TRANSCRIBE", `Spliced ${describeRanges(ranges)} into ${targetFile}: ${removed} cue(s) replaced by ${added}`);
+    return targetFile;
+  } finally {
+    await fs.unlink(spliceFile).catch((error) => warn(`Failed to remove ${spliceFile}: ${error.message || error}`));
+  }
+}